@@ -7,7 +7,7 @@
  * @package LifterLMS_Blocks/Main
  *
  * @since 1.0.0
- * @version 2.4.3
+ * @version [version]
  */
 
 defined( 'ABSPATH' ) || exit;
@@ -34,6 +34,7 @@ class LLMS_Blocks_Assets {
 	 * @since 1.10.0 Load `LLMS_Assets` and define plugin assets.
 	 * @since 2.0.0 Maybe define backwards compatibility script.
 	 * @since 2.1.0 Adjust `editor_assets()` priority from 999 to 5.
+	 * @since [version] Register frontend assets.
 	 *
 	 * @return void
 	 */
@@ -64,12 +65,16 @@ class LLMS_Blocks_Assets {
 		// Enqueue editor assets.
 		add_action( 'enqueue_block_editor_assets', array( $this, 'editor_assets' ), 5 );
 
+		// Register frontend assets.
+		add_action( 'wp_enqueue_scripts', array( $this, 'frontend_assets' ) );
+
 	}
 
 	/**
 	 * Define block plugin assets.
 	 *
 	 * @since 1.10.0
+	 * @since [version] Define the form field conditional logic and file upload scripts.
 	 *
 	 * @return void
 	 */
@@ -80,11 +85,21 @@ class LLMS_Blocks_Assets {
 		$this->assets->define(
 			'scripts',
 			array(
-				'llms-blocks-editor' => array(
+				'llms-blocks-editor'           => array(
 					'dependencies' => $asset['dependencies'],
 					'file_name'    => 'llms-blocks',
 					'version'      => $asset['version'],
 				),
+				'llms-blocks-field-conditions' => array(
+					'dependencies' => array(),
+					'file_name'    => 'llms-field-conditions',
+					'translate'    => false,
+				),
+				'llms-blocks-field-file'       => array(
+					'dependencies' => array(),
+					'file_name'    => 'llms-field-file',
+					'translate'    => false,
+				),
 			)
 		);
 
@@ -167,6 +182,22 @@ class LLMS_Blocks_Assets {
 
 	}
 
+	/**
+	 * Register frontend assets.
+	 *
+	 * Scripts are registered but only enqueued when they're needed to render a block.
+	 *
+	 * @since [version]
+	 *
+	 * @return void
+	 */
+	public function frontend_assets() {
+
+		$this->assets->register_script( 'llms-blocks-field-conditions' );
+		$this->assets->register_script( 'llms-blocks-field-file' );
+
+	}
+
 	/**
 	 * Determines if WP Core backwards compatibility scripts should defined & be loaded.
 	 *
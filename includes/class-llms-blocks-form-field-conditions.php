@@ -0,0 +1,225 @@
+<?php
+/**
+ * Handle form field conditional logic.
+ *
+ * @package LifterLMS_Blocks/Classes
+ *
+ * @since [version]
+ * @version [version]
+ */
+
+defined( 'ABSPATH' ) || exit;
+
+/**
+ * Form field conditional logic class.
+ *
+ * Conditional logic is stored in the `conditional_logic` attribute of form field blocks. Fields are
+ * displayed and hidden in the browser by the `llms-blocks-field-conditions` script. Hidden fields are
+ * not submitted, so their required validation is skipped when the form is submitted.
+ *
+ * @since [version]
+ */
+class LLMS_Blocks_Form_Field_Conditions {
+
+	/**
+	 * Constructor.
+	 *
+	 * @since [version]
+	 *
+	 * @return void
+	 */
+	public function __construct() {
+
+		add_filter( 'render_block', array( $this, 'render_block' ), 25, 2 );
+		add_filter( 'llms_get_form_fields', array( $this, 'maybe_skip_required' ) );
+
+	}
+
+	/**
+	 * Retrieve the conditional logic of a field.
+	 *
+	 * @since [version]
+	 *
+	 * @param array $settings Field settings or block attributes.
+	 * @return array|false {
+	 *     Conditional logic or `false` when the field doesn't have any rules.
+	 *
+	 *     @type string $action   Either "show" or "hide".
+	 *     @type string $relation Either "all" or "any".
+	 *     @type array  $rules    Array of rules with `field`, `operator`, and `value` keys.
+	 * }
+	 */
+	public static function get_conditional_logic( $settings ) {
+
+		if ( empty( $settings['conditional_logic']['rules'] ) || ! is_array( $settings['conditional_logic']['rules'] ) ) {
+			return false;
+		}
+
+		$logic = $settings['conditional_logic'];
+		$rules = array();
+		foreach ( $logic['rules'] as $rule ) {
+			if ( ! empty( $rule['field'] ) ) {
+				$rules[] = array(
+					'field'    => (string) $rule['field'],
+					'operator' => empty( $rule['operator'] ) ? 'is' : (string) $rule['operator'],
+					'value'    => isset( $rule['value'] ) ? (string) $rule['value'] : '',
+				);
+			}
+		}
+
+		if ( ! $rules ) {
+			return false;
+		}
+
+		return array(
+			'action'   => isset( $logic['action'] ) && 'hide' === $logic['action'] ? 'hide' : 'show',
+			'relation' => isset( $logic['relation'] ) && 'any' === $logic['relation'] ? 'any' : 'all',
+			'rules'    => $rules,
+		);
+
+	}
+
+	/**
+	 * Determine if a field with conditional logic is displayed for a set of submitted values.
+	 *
+	 * @since [version]
+	 *
+	 * @param array $logic  Conditional logic, as returned by `get_conditional_logic()`.
+	 * @param array $values Submitted form values, keyed by field name.
+	 * @return boolean
+	 */
+	public static function is_field_displayed( $logic, $values ) {
+
+		$matched = 'any' === $logic['relation'] ? false : true;
+
+		foreach ( $logic['rules'] as $rule ) {
+
+			$rule_matched = self::is_rule_matched( $rule, isset( $values[ $rule['field'] ] ) ? $values[ $rule['field'] ] : '' );
+
+			if ( 'any' === $logic['relation'] && $rule_matched ) {
+				$matched = true;
+				break;
+			} elseif ( 'all' === $logic['relation'] && ! $rule_matched ) {
+				$matched = false;
+				break;
+			}
+		}
+
+		return 'hide' === $logic['action'] ? ! $matched : $matched;
+
+	}
+
+	/**
+	 * Determine if a single conditional logic rule matches a submitted field value.
+	 *
+	 * Mirrors `isRuleMatched()` in the `llms-blocks-field-conditions` script.
+	 *
+	 * @since [version]
+	 *
+	 * @param array        $rule  Conditional logic rule.
+	 * @param string|array $value Submitted value of the field referenced by the rule.
+	 * @return boolean
+	 */
+	private static function is_rule_matched( $rule, $value ) {
+
+		$values   = array_map( 'strval', array_filter( (array) $value, 'is_scalar' ) );
+		$is_empty = ! array_filter( $values, 'strlen' );
+
+		switch ( $rule['operator'] ) {
+			case 'empty':
+				return $is_empty;
+
+			case 'not_empty':
+				return ! $is_empty;
+
+			case 'contains':
+			case 'not_contains':
+				$found = false;
+				foreach ( $values as $submitted ) {
+					if ( '' !== $rule['value'] && false !== strpos( $submitted, $rule['value'] ) ) {
+						$found = true;
+						break;
+					}
+				}
+				return 'contains' === $rule['operator'] ? $found : ! $found;
+
+			case 'is_not':
+				return ! in_array( $rule['value'], $values, true );
+
+			default:
+				return in_array( $rule['value'], $values, true );
+		}
+
+	}
+
+	/**
+	 * Skip required validation of fields hidden by their conditional logic during form submissions.
+	 *
+	 * @since [version]
+	 *
+	 * @param array[] $fields Array of field settings arrays.
+	 * @return array[]
+	 */
+	public function maybe_skip_required( $fields ) {
+
+		// phpcs:ignore WordPress.Security.NonceVerification.Missing -- Nonces are verified by the form handlers.
+		if ( empty( $_POST ) || ! is_array( $fields ) ) {
+			return $fields;
+		}
+
+		$posted = wp_unslash( $_POST ); // phpcs:ignore WordPress.Security.NonceVerification.Missing, WordPress.Security.ValidatedSanitizedInput.InputNotSanitized -- Values are only compared.
+
+		foreach ( $fields as &$field ) {
+
+			if ( empty( $field['required'] ) ) {
+				continue;
+			}
+
+			$logic = self::get_conditional_logic( $field );
+			if ( $logic && ! self::is_field_displayed( $logic, $posted ) ) {
+				$field['required'] = false;
+			}
+		}
+
+		return $fields;
+
+	}
+
+	/**
+	 * Output the conditional logic of a field block in a data attribute of its wrapper element.
+	 *
+	 * @since [version]
+	 *
+	 * @param string $content Block HTML.
+	 * @param array  $block   Block data array.
+	 * @return string
+	 */
+	public function render_block( $content, $block ) {
+
+		if ( ! $content || empty( $block['blockName'] ) || 0 !== strpos( $block['blockName'], 'llms/form-field-' ) ) {
+			return $content;
+		}
+
+		$logic = self::get_conditional_logic( $block['attrs'] );
+		if ( ! $logic ) {
+			return $content;
+		}
+
+		wp_enqueue_script( 'llms-blocks-field-conditions' );
+
+		$attr = ' data-llms-field-conditions="' . esc_attr( wp_json_encode( $logic ) ) . '"';
+
+		return preg_replace_callback(
+			'/<[a-z]+/i',
+			function( $matches ) use ( $attr ) {
+				return $matches[0] . $attr;
+			},
+			$content,
+			1
+		);
+
+	}
+
+}
+
+return new LLMS_Blocks_Form_Field_Conditions();
@@ -0,0 +1,137 @@
+<?php
+/**
+ * Handle consent form fields.
+ *
+ * @package LifterLMS_Blocks/Classes
+ *
+ * @since [version]
+ * @version [version]
+ */
+
+defined( 'ABSPATH' ) || exit;
+
+/**
+ * Consent form field class.
+ *
+ * `llms/form-field-consent` blocks are single checkbox fields, required by default. The checkbox value is
+ * stored by LifterLMS core like any other field. When consent is given, this class stores the date of
+ * acceptance and the accepted version (from the `consent_version` attribute) in usermeta, using the field's
+ * `data_store_key` suffixed with `_timestamp` and `_version`.
+ *
+ * @since [version]
+ */
+class LLMS_Blocks_Form_Field_Consent {
+
+	/**
+	 * Consent fields of the form being submitted, keyed by field name.
+	 *
+	 * @var array[]
+	 */
+	private $fields = array();
+
+	/**
+	 * Constructor.
+	 *
+	 * @since [version]
+	 *
+	 * @return void
+	 */
+	public function __construct() {
+
+		add_filter( 'llms_get_form_fields', array( $this, 'prepare_fields' ), 20 );
+
+		add_action( 'lifterlms_user_registered', array( $this, 'save' ) );
+		add_action( 'lifterlms_user_updated', array( $this, 'save' ) );
+
+	}
+
+	/**
+	 * Retrieve the usermeta keys used to store the acceptance of a consent field.
+	 *
+	 * @since [version]
+	 *
+	 * @param string $data_store_key The field's usermeta key.
+	 * @return array {
+	 *     @type string $timestamp Key of the acceptance date, stored in the "Y-m-d H:i:s" format.
+	 *     @type string $version   Key of the accepted version.
+	 * }
+	 */
+	public static function get_meta_keys( $data_store_key ) {
+
+		return array(
+			'timestamp' => $data_store_key . '_timestamp',
+			'version'   => $data_store_key . '_version',
+		);
+
+	}
+
+	/**
+	 * Store the consent fields of the form being submitted.
+	 *
+	 * Consent fields are identified by their `consent_version` setting.
+	 *
+	 * @since [version]
+	 *
+	 * @param array[] $fields Array of field settings arrays.
+	 * @return array[]
+	 */
+	public function prepare_fields( $fields ) {
+
+		// phpcs:ignore WordPress.Security.NonceVerification.Missing -- Nonces are verified by the form handlers.
+		if ( empty( $_POST ) || ! is_array( $fields ) ) {
+			return $fields;
+		}
+
+		$this->fields = array();
+
+		foreach ( $fields as $field ) {
+			if ( isset( $field['consent_version'] ) && ! empty( $field['name'] ) ) {
+				$this->fields[ $field['name'] ] = $field;
+			}
+		}
+
+		return $fields;
+
+	}
+
+	/**
+	 * Store the date of acceptance and the accepted version of the consent fields checked in the submitted form.
+	 *
+	 * The date isn't updated when the user already accepted the same version.
+	 *
+	 * @since [version]
+	 *
+	 * @param int $user_id WP_User ID of the registered or updated user.
+	 * @return void
+	 */
+	public function save( $user_id ) {
+
+		foreach ( $this->fields as $name => $field ) {
+
+			if ( ( isset( $field['data_store'] ) && 'usermeta' !== $field['data_store'] ) || empty( $field['data_store_key'] ) ) {
+				continue;
+			}
+
+			// phpcs:ignore WordPress.Security.NonceVerification.Missing -- Nonces are verified by the form handlers.
+			if ( empty( $_POST[ $name ] ) ) {
+				continue;
+			}
+
+			$keys    = self::get_meta_keys( $field['data_store_key'] );
+			$version = sanitize_text_field( $field['consent_version'] );
+
+			if ( get_user_meta( $user_id, $keys['timestamp'], true ) && get_user_meta( $user_id, $keys['version'], true ) === $version ) {
+				continue;
+			}
+
+			update_user_meta( $user_id, $keys['timestamp'], current_time( 'mysql' ) );
+			update_user_meta( $user_id, $keys['version'], $version );
+		}
+
+		$this->fields = array();
+
+	}
+
+}
+
+return new LLMS_Blocks_Form_Field_Consent();
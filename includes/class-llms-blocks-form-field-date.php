@@ -0,0 +1,255 @@
+<?php
+/**
+ * Handle date form fields.
+ *
+ * @package LifterLMS_Blocks/Classes
+ *
+ * @since [version]
+ * @version [version]
+ */
+
+defined( 'ABSPATH' ) || exit;
+
+/**
+ * Date form field class.
+ *
+ * Date fields are `llms/form-field-text` blocks using the `date` variation. They're rendered as
+ * native date inputs which submit dates in the "Y-m-d" format. Submitted dates are validated against
+ * that format and the field's earliest and latest dates, since browsers without a date picker (and
+ * altered requests) can submit any text.
+ *
+ * Stored dates are output by the [llms-user] shortcode in the field's `date_format`, or in the site's
+ * date format when the field doesn't specify one.
+ *
+ * @since [version]
+ */
+class LLMS_Blocks_Form_Field_Date {
+
+	/**
+	 * Date fields of the form being submitted, keyed by field name.
+	 *
+	 * @var array[]
+	 */
+	private $fields = array();
+
+	/**
+	 * Constructor.
+	 *
+	 * @since [version]
+	 *
+	 * @return void
+	 */
+	public function __construct() {
+
+		add_filter( 'render_block', array( $this, 'render_block' ), 25, 2 );
+		add_filter( 'llms_get_form_fields', array( $this, 'prepare_fields' ), 20 );
+
+		add_filter( 'lifterlms_user_registration_data', array( $this, 'validate' ) );
+		add_filter( 'lifterlms_user_update_data', array( $this, 'validate' ) );
+
+		add_filter( 'do_shortcode_tag', array( $this, 'shortcode_output' ), 10, 3 );
+
+	}
+
+	/**
+	 * Determine if a string is a valid date in the "Y-m-d" format.
+	 *
+	 * @since [version]
+	 *
+	 * @param string $date Date string.
+	 * @return boolean
+	 */
+	public static function is_valid_date( $date ) {
+
+		if ( ! is_string( $date ) ) {
+			return false;
+		}
+
+		$obj = DateTime::createFromFormat( '!Y-m-d', $date );
+
+		return $obj && $obj->format( 'Y-m-d' ) === $date;
+
+	}
+
+	/**
+	 * Format a stored date for display.
+	 *
+	 * @since [version]
+	 *
+	 * @param string $date     Date string, in the "Y-m-d" format.
+	 * @param array  $settings Field settings or block attributes.
+	 * @return string The formatted date or the original string when it isn't a valid date.
+	 */
+	public static function format_date( $date, $settings ) {
+
+		if ( ! self::is_valid_date( $date ) ) {
+			return $date;
+		}
+
+		$format = ! empty( $settings['date_format'] ) ? $settings['date_format'] : get_option( 'date_format' );
+
+		/**
+		 * Filter the formatted display of a date field's stored value.
+		 *
+		 * @since [version]
+		 *
+		 * @param string $formatted Formatted date.
+		 * @param string $date      Stored date, in the "Y-m-d" format.
+		 * @param array  $settings  Field settings or block attributes.
+		 */
+		return apply_filters( 'llms_blocks_form_field_date_display', date_i18n( $format, strtotime( $date ) ), $date, $settings );
+
+	}
+
+	/**
+	 * Store the date fields of the form being submitted.
+	 *
+	 * @since [version]
+	 *
+	 * @param array[] $fields Array of field settings arrays.
+	 * @return array[]
+	 */
+	public function prepare_fields( $fields ) {
+
+		// phpcs:ignore WordPress.Security.NonceVerification.Missing -- Nonces are verified by the form handlers.
+		if ( empty( $_POST ) || ! is_array( $fields ) ) {
+			return $fields;
+		}
+
+		$this->fields = array();
+
+		foreach ( $fields as $field ) {
+			if ( ! empty( $field['type'] ) && 'date' === $field['type'] && ! empty( $field['name'] ) ) {
+				$this->fields[ $field['name'] ] = $field;
+			}
+		}
+
+		return $fields;
+
+	}
+
+	/**
+	 * Validate the dates submitted for the date fields of the submitted form.
+	 *
+	 * Empty values are skipped, required fields are validated by LifterLMS core.
+	 *
+	 * @since [version]
+	 *
+	 * @param boolean|WP_Error $valid Validation result from LifterLMS core.
+	 * @return boolean|WP_Error
+	 */
+	public function validate( $valid ) {
+
+		$errors = new WP_Error();
+
+		foreach ( $this->fields as $name => $field ) {
+
+			// phpcs:ignore WordPress.Security.NonceVerification.Missing -- Nonces are verified by the form handlers.
+			if ( ! isset( $_POST[ $name ] ) || '' === $_POST[ $name ] ) {
+				continue;
+			}
+
+			$label = ! empty( $field['label'] ) ? wp_strip_all_tags( $field['label'] ) : $name;
+			$date  = is_string( $_POST[ $name ] ) ? sanitize_text_field( wp_unslash( $_POST[ $name ] ) ) : ''; // phpcs:ignore WordPress.Security.NonceVerification.Missing
+
+			if ( ! self::is_valid_date( $date ) ) {
+				// Translators: %s = Field label.
+				$errors->add( 'llms-form-field-date-invalid', sprintf( __( '%s must be a valid date.', 'lifterlms' ), $label ) );
+				continue;
+			}
+
+			$min = isset( $field['html_attrs']['min'] ) && self::is_valid_date( $field['html_attrs']['min'] ) ? $field['html_attrs']['min'] : '';
+			$max = isset( $field['html_attrs']['max'] ) && self::is_valid_date( $field['html_attrs']['max'] ) ? $field['html_attrs']['max'] : '';
+
+			// Dates in the "Y-m-d" format can be compared as strings.
+			if ( $min && $date < $min ) {
+				// Translators: %1$s = Field label; %2$s = Earliest allowed date.
+				$errors->add( 'llms-form-field-date-min', sprintf( __( '%1$s must be on or after %2$s.', 'lifterlms' ), $label, self::format_date( $min, $field ) ) );
+			} elseif ( $max && $date > $max ) {
+				// Translators: %1$s = Field label; %2$s = Latest allowed date.
+				$errors->add( 'llms-form-field-date-max', sprintf( __( '%1$s must be on or before %2$s.', 'lifterlms' ), $label, self::format_date( $max, $field ) ) );
+			}
+		}
+
+		if ( ! $errors->has_errors() ) {
+			return $valid;
+		}
+
+		if ( is_wp_error( $valid ) ) {
+			$valid->merge_from( $errors );
+			return $valid;
+		}
+
+		return $errors;
+
+	}
+
+	/**
+	 * Format the dates output by the [llms-user] shortcode for date fields.
+	 *
+	 * @since [version]
+	 *
+	 * @param string       $output Shortcode output.
+	 * @param string       $tag    Shortcode name.
+	 * @param array|string $attr   Shortcode attributes.
+	 * @return string
+	 */
+	public function shortcode_output( $output, $tag, $attr ) {
+
+		if ( 'llms-user' !== $tag || ! self::is_valid_date( $output ) || empty( $attr[0] ) || ! function_exists( 'llms_get_user_information_fields' ) ) {
+			return $output;
+		}
+
+		foreach ( llms_get_user_information_fields() as $field ) {
+			if ( ! empty( $field['type'] ) && 'date' === $field['type'] && isset( $field['data_store_key'] ) && $attr[0] === $field['data_store_key'] ) {
+				return self::format_date( $output, $field );
+			}
+		}
+
+		return $output;
+
+	}
+
+	/**
+	 * Prefill the input of date fields set to default to the current date.
+	 *
+	 * The current date is only added when the input doesn't have a value already.
+	 *
+	 * @since [version]
+	 *
+	 * @param string $content Block HTML.
+	 * @param array  $block   Block data array.
+	 * @return string
+	 */
+	public function render_block( $content, $block ) {
+
+		if ( ! $content || 'llms/form-field-text' !== $block['blockName'] || empty( $block['attrs']['field'] ) || 'date' !== $block['attrs']['field'] || empty( $block['attrs']['default_today'] ) ) {
+			return $content;
+		}
+
+		$today = current_time( 'Y-m-d' );
+
+		return preg_replace_callback(
+			'/<input\b[^>]*>/i',
+			function( $matches ) use ( $today ) {
+
+				$input = $matches[0];
+
+				if ( preg_match( '/\svalue="[^"]+"/i', $input ) ) {
+					return $input;
+				} elseif ( preg_match( '/\svalue=""/i', $input ) ) {
+					return preg_replace( '/\svalue=""/i', ' value="' . esc_attr( $today ) . '"', $input, 1 );
+				}
+
+				return preg_replace( '/^<input\b/i', '<input value="' . esc_attr( $today ) . '"', $input, 1 );
+
+			},
+			$content,
+			1
+		);
+
+	}
+
+}
+
+return new LLMS_Blocks_Form_Field_Date();
@@ -0,0 +1,682 @@
+<?php
+/**
+ * Handle file upload form fields.
+ *
+ * @package LifterLMS_Blocks/Classes
+ *
+ * @since [version]
+ * @version [version]
+ */
+
+defined( 'ABSPATH' ) || exit;
+
+/**
+ * File upload form field class.
+ *
+ * Files uploaded through `llms/form-field-file` blocks are stored as private attachments and the resulting
+ * attachment ID is stored in the field's `data_store` using its `data_store_key`. When the field allows
+ * multiple files an array of attachment IDs is stored.
+ *
+ * Uploaded files may contain personal information, so they're kept out of the media library: files are
+ * saved with a random name in a private uploads directory which isn't served by the web server, the
+ * attachments are private and excluded from the media library, and their URL points to a download handler
+ * which only serves them to their owner and to users who can edit the owner.
+ *
+ * Uploaded files aren't part of the posted data validated by LifterLMS core, so the required validation
+ * of file fields is skipped by core and handled by this class along with the file type and size validation.
+ *
+ * @since [version]
+ */
+class LLMS_Blocks_Form_Field_File {
+
+	/**
+	 * Postmeta key storing the WP_User ID of the user who uploaded a form field file.
+	 *
+	 * @var string
+	 */
+	const META_KEY = '_llms_form_field_file_user';
+
+	/**
+	 * Name of the private uploads directory, relative to the uploads base directory.
+	 *
+	 * @var string
+	 */
+	const UPLOADS_DIR = 'llms-private-uploads';
+
+	/**
+	 * File fields of the form being submitted, keyed by field name.
+	 *
+	 * @var array[]
+	 */
+	private $fields = array();
+
+	/**
+	 * Constructor.
+	 *
+	 * @since [version]
+	 *
+	 * @return void
+	 */
+	public function __construct() {
+
+		add_filter( 'render_block', array( $this, 'render_block' ), 25, 2 );
+		add_filter( 'llms_get_form_fields', array( $this, 'prepare_fields' ), 20 );
+
+		add_filter( 'lifterlms_user_registration_data', array( $this, 'validate' ) );
+		add_filter( 'lifterlms_user_update_data', array( $this, 'validate' ) );
+
+		add_action( 'lifterlms_user_registered', array( $this, 'save' ) );
+		add_action( 'lifterlms_user_updated', array( $this, 'save' ) );
+
+		add_filter( 'do_shortcode_tag', array( $this, 'add_form_enctype' ) );
+
+		add_filter( 'ajax_query_attachments_args', array( $this, 'exclude_from_media_modal' ) );
+		add_action( 'pre_get_posts', array( $this, 'exclude_from_media_list' ) );
+		add_filter( 'wp_get_attachment_url', array( $this, 'get_attachment_url' ), 10, 2 );
+		add_action( 'wp_ajax_llms_blocks_form_field_file', array( $this, 'download' ) );
+
+	}
+
+	/**
+	 * Retrieve the URL of the download handler serving a form field file.
+	 *
+	 * @since [version]
+	 *
+	 * @param int $attachment_id WP_Post ID of the attachment.
+	 * @return string
+	 */
+	public static function get_download_url( $attachment_id ) {
+
+		return add_query_arg(
+			array(
+				'action'     => 'llms_blocks_form_field_file',
+				'attachment' => absint( $attachment_id ),
+			),
+			admin_url( 'admin-ajax.php' )
+		);
+
+	}
+
+	/**
+	 * Determine if a user can access a form field file.
+	 *
+	 * Files can be accessed by the user who uploaded them and by users who can edit that user.
+	 *
+	 * @since [version]
+	 *
+	 * @param int $attachment_id WP_Post ID of the attachment.
+	 * @param int $user_id       WP_User ID of the user.
+	 * @return boolean
+	 */
+	public static function user_can_access_file( $attachment_id, $user_id ) {
+
+		$owner   = absint( get_post_meta( $attachment_id, self::META_KEY, true ) );
+		$user_id = absint( $user_id );
+		$can     = $owner && $user_id && ( $owner === $user_id || user_can( $user_id, 'edit_user', $owner ) );
+
+		/**
+		 * Filters whether or not a user can access a file uploaded through a file form field.
+		 *
+		 * @since [version]
+		 *
+		 * @param boolean $can           Whether or not the user can access the file.
+		 * @param int     $attachment_id WP_Post ID of the attachment.
+		 * @param int     $user_id       WP_User ID of the user.
+		 * @param int     $owner         WP_User ID of the user who uploaded the file.
+		 */
+		return apply_filters( 'llms_blocks_form_field_file_user_can_access', $can, $attachment_id, $user_id, $owner );
+
+	}
+
+	/**
+	 * Move uploads to the private uploads directory.
+	 *
+	 * Used as an `upload_dir` filter while form field files are uploaded.
+	 *
+	 * @since [version]
+	 *
+	 * @param array $uploads Array of upload directory data.
+	 * @return array
+	 */
+	public static function get_upload_dir( $uploads ) {
+
+		$subdir = '/' . self::UPLOADS_DIR . $uploads['subdir'];
+
+		$uploads['path']   = $uploads['basedir'] . $subdir;
+		$uploads['url']    = $uploads['baseurl'] . $subdir;
+		$uploads['subdir'] = $subdir;
+
+		return $uploads;
+
+	}
+
+	/**
+	 * Generate a random and unique name for an uploaded file.
+	 *
+	 * Used as the `unique_filename_callback` of form field file uploads so file URLs can't be guessed.
+	 *
+	 * @since [version]
+	 *
+	 * @param string $dir  Directory of the file.
+	 * @param string $name Sanitized file name.
+	 * @return string
+	 */
+	public static function get_unique_filename( $dir, $name ) {
+
+		return wp_unique_filename( $dir, wp_generate_password( 16, false ) . '-' . $name );
+
+	}
+
+	/**
+	 * Prevent the web server from listing or serving the files of the private uploads directory.
+	 *
+	 * @since [version]
+	 *
+	 * @return void
+	 */
+	private function protect_upload_dir() {
+
+		$dir = trailingslashit( wp_upload_dir( null, false )['basedir'] ) . self::UPLOADS_DIR;
+
+		if ( ! wp_mkdir_p( $dir ) ) {
+			return;
+		}
+
+		$files = array(
+			'index.php' => '<?php' . PHP_EOL . '// Silence is golden.' . PHP_EOL,
+			'.htaccess' => 'Deny from all' . PHP_EOL,
+		);
+
+		foreach ( $files as $file => $content ) {
+			if ( ! file_exists( $dir . '/' . $file ) ) {
+				file_put_contents( $dir . '/' . $file, $content ); // phpcs:ignore WordPress.WP.AlternativeFunctions.file_system_read_file_put_contents
+			}
+		}
+
+	}
+
+	/**
+	 * Retrieve the maximum file size allowed for a field, in bytes.
+	 *
+	 * The size can't exceed the maximum upload size allowed by the server.
+	 *
+	 * @since [version]
+	 *
+	 * @param array $settings Field settings or block attributes.
+	 * @return int
+	 */
+	public static function get_max_size( $settings ) {
+
+		$max = wp_max_upload_size();
+
+		if ( ! empty( $settings['max_size'] ) ) {
+			$max = min( $max, absint( $settings['max_size'] ) * MB_IN_BYTES );
+		}
+
+		return $max;
+
+	}
+
+	/**
+	 * Retrieve the list of file types allowed by a field.
+	 *
+	 * @since [version]
+	 *
+	 * @param array $settings Field settings or block attributes.
+	 * @return string[] Array of lowercase MIME types (which may use wildcards, like "image/*") and extensions (like ".pdf").
+	 *                  An empty array when all the file types allowed by the site are allowed.
+	 */
+	public static function get_allowed_types( $settings ) {
+
+		if ( empty( $settings['allowed_types'] ) ) {
+			return array();
+		}
+
+		return array_values( array_filter( array_map( 'trim', explode( ',', strtolower( $settings['allowed_types'] ) ) ) ) );
+
+	}
+
+	/**
+	 * Determine if a file type is allowed.
+	 *
+	 * @since [version]
+	 *
+	 * @param string   $type    MIME type of the file.
+	 * @param string   $ext     File extension, without the leading dot.
+	 * @param string[] $allowed Allowed types, as returned by `get_allowed_types()`.
+	 * @return boolean
+	 */
+	public static function is_type_allowed( $type, $ext, $allowed ) {
+
+		if ( ! $type ) {
+			return false;
+		}
+
+		if ( ! $allowed ) {
+			return true;
+		}
+
+		$type = strtolower( $type );
+		$ext  = '.' . strtolower( $ext );
+
+		foreach ( $allowed as $allowed_type ) {
+
+			if ( $allowed_type === $type || $allowed_type === $ext ) {
+				return true;
+			}
+
+			if ( '/*' === substr( $allowed_type, -2 ) && 0 === strpos( $type, substr( $allowed_type, 0, -1 ) ) ) {
+				return true;
+			}
+		}
+
+		return false;
+
+	}
+
+	/**
+	 * Retrieve the files uploaded for a field.
+	 *
+	 * Normalizes the `$_FILES` array of fields allowing multiple files into a list of file arrays.
+	 *
+	 * @since [version]
+	 *
+	 * @param string $name Field name.
+	 * @return array[] List of file arrays, empty inputs are excluded.
+	 */
+	public static function get_uploaded_files( $name ) {
+
+		// phpcs:ignore WordPress.Security.NonceVerification.Missing -- Nonces are verified by the form handlers.
+		if ( empty( $_FILES[ $name ]['name'] ) ) {
+			return array();
+		}
+
+		$upload = $_FILES[ $name ]; // phpcs:ignore WordPress.Security.NonceVerification.Missing, WordPress.Security.ValidatedSanitizedInput -- Files are validated before being uploaded.
+		$files  = array();
+
+		foreach ( (array) $upload['name'] as $index => $file_name ) {
+
+			$error = is_array( $upload['error'] ) ? $upload['error'][ $index ] : $upload['error'];
+			if ( UPLOAD_ERR_NO_FILE === (int) $error ) {
+				continue;
+			}
+
+			$files[] = array(
+				'name'     => $file_name,
+				'type'     => is_array( $upload['type'] ) ? $upload['type'][ $index ] : $upload['type'],
+				'tmp_name' => is_array( $upload['tmp_name'] ) ? $upload['tmp_name'][ $index ] : $upload['tmp_name'],
+				'error'    => (int) $error,
+				'size'     => (int) ( is_array( $upload['size'] ) ? $upload['size'][ $index ] : $upload['size'] ),
+			);
+		}
+
+		return $files;
+
+	}
+
+	/**
+	 * Store the file fields of the form being submitted and skip their required validation by LifterLMS core.
+	 *
+	 * Runs after `LLMS_Blocks_Form_Field_Conditions::maybe_skip_required()` so file fields hidden by their
+	 * conditional logic aren't required.
+	 *
+	 * @since [version]
+	 *
+	 * @param array[] $fields Array of field settings arrays.
+	 * @return array[]
+	 */
+	public function prepare_fields( $fields ) {
+
+		// phpcs:ignore WordPress.Security.NonceVerification.Missing -- Nonces are verified by the form handlers.
+		if ( empty( $_POST ) || ! is_array( $fields ) ) {
+			return $fields;
+		}
+
+		$this->fields = array();
+
+		foreach ( $fields as &$field ) {
+
+			if ( empty( $field['type'] ) || 'file' !== $field['type'] || empty( $field['name'] ) ) {
+				continue;
+			}
+
+			$this->fields[ $field['name'] ] = $field;
+			$field['required']              = false;
+		}
+
+		return $fields;
+
+	}
+
+	/**
+	 * Validate the files uploaded for the file fields of the submitted form.
+	 *
+	 * @since [version]
+	 *
+	 * @param boolean|WP_Error $valid Validation result from LifterLMS core.
+	 * @return boolean|WP_Error
+	 */
+	public function validate( $valid ) {
+
+		$errors = new WP_Error();
+
+		foreach ( $this->fields as $name => $field ) {
+
+			$label = ! empty( $field['label'] ) ? wp_strip_all_tags( $field['label'] ) : $name;
+			$files = self::get_uploaded_files( $name );
+
+			if ( ! $files ) {
+				if ( ! empty( $field['required'] ) ) {
+					// Translators: %s = Field label.
+					$errors->add( 'llms-form-field-file-required', sprintf( __( '%s is a required field.', 'lifterlms' ), $label ) );
+				}
+				continue;
+			}
+
+			if ( count( $files ) > 1 && empty( $field['multiple'] ) ) {
+				// Translators: %s = Field label.
+				$errors->add( 'llms-form-field-file-multiple', sprintf( __( 'Only one file can be uploaded for %s.', 'lifterlms' ), $label ) );
+				continue;
+			}
+
+			$max     = self::get_max_size( $field );
+			$allowed = self::get_allowed_types( $field );
+
+			foreach ( $files as $file ) {
+
+				if ( UPLOAD_ERR_OK !== $file['error'] && UPLOAD_ERR_INI_SIZE !== $file['error'] && UPLOAD_ERR_FORM_SIZE !== $file['error'] ) {
+					// Translators: %1$s = File name; %2$s = Field label.
+					$errors->add( 'llms-form-field-file-upload', sprintf( __( 'There was an error uploading "%1$s" for %2$s. Please try again.', 'lifterlms' ), $file['name'], $label ) );
+					continue;
+				}
+
+				if ( UPLOAD_ERR_OK !== $file['error'] || $file['size'] > $max ) {
+					// Translators: %1$s = File name; %2$s = Maximum file size.
+					$errors->add( 'llms-form-field-file-size', sprintf( __( '"%1$s" exceeds the maximum file size of %2$s.', 'lifterlms' ), $file['name'], size_format( $max ) ) );
+					continue;
+				}
+
+				$check = wp_check_filetype_and_ext( $file['tmp_name'], $file['name'] );
+				if ( ! self::is_type_allowed( $check['type'], $check['ext'], $allowed ) ) {
+					// Translators: %s = File name.
+					$errors->add( 'llms-form-field-file-type', sprintf( __( '"%s" is not an allowed file type.', 'lifterlms' ), $file['name'] ) );
+				}
+			}
+		}
+
+		if ( ! $errors->has_errors() ) {
+			return $valid;
+		}
+
+		if ( is_wp_error( $valid ) ) {
+			$valid->merge_from( $errors );
+			return $valid;
+		}
+
+		return $errors;
+
+	}
+
+	/**
+	 * Upload the files of the submitted form's file fields to the private uploads directory and store the attachment IDs.
+	 *
+	 * Fields without uploaded files keep their existing value.
+	 *
+	 * @since [version]
+	 *
+	 * @param int $user_id WP_User ID of the registered or updated user.
+	 * @return void
+	 */
+	public function save( $user_id ) {
+
+		if ( ! $this->fields ) {
+			return;
+		}
+
+		require_once ABSPATH . 'wp-admin/includes/file.php';
+		require_once ABSPATH . 'wp-admin/includes/image.php';
+		require_once ABSPATH . 'wp-admin/includes/media.php';
+
+		$this->protect_upload_dir();
+		add_filter( 'upload_dir', array( __CLASS__, 'get_upload_dir' ) );
+
+		$post_data = array(
+			'post_author' => $user_id,
+			'post_status' => 'private',
+		);
+		$overrides = array(
+			'test_form'                => false,
+			'unique_filename_callback' => array( __CLASS__, 'get_unique_filename' ),
+		);
+
+		foreach ( $this->fields as $name => $field ) {
+
+			if ( ( isset( $field['data_store'] ) && 'usermeta' !== $field['data_store'] ) || empty( $field['data_store_key'] ) ) {
+				continue;
+			}
+
+			$ids = array();
+			foreach ( self::get_uploaded_files( $name ) as $index => $file ) {
+
+				$key            = sprintf( 'llms_field_file_%1$s_%2$d', $name, $index );
+				$_FILES[ $key ] = $file;
+
+				$id = media_handle_upload( $key, 0, $post_data, $overrides );
+				unset( $_FILES[ $key ] );
+
+				if ( ! is_wp_error( $id ) ) {
+					update_post_meta( $id, self::META_KEY, $user_id );
+					$ids[] = $id;
+				}
+			}
+
+			if ( $ids ) {
+				update_user_meta( $user_id, $field['data_store_key'], empty( $field['multiple'] ) ? $ids[0] : $ids );
+			}
+		}
+
+		remove_filter( 'upload_dir', array( __CLASS__, 'get_upload_dir' ) );
+
+		$this->fields = array();
+
+	}
+
+	/**
+	 * Add the allowed file types, multiple files, and maximum size attributes to the input of file fields.
+	 *
+	 * @since [version]
+	 *
+	 * @param string $content Block HTML.
+	 * @param array  $block   Block data array.
+	 * @return string
+	 */
+	public function render_block( $content, $block ) {
+
+		if ( ! $content || 'llms/form-field-file' !== $block['blockName'] ) {
+			return $content;
+		}
+
+		wp_enqueue_script( 'llms-blocks-field-file' );
+
+		$max   = self::get_max_size( $block['attrs'] );
+		$attrs = array(
+			'data-llms-max-size'       => $max,
+			// Translators: %s = Maximum file size.
+			'data-llms-max-size-error' => sprintf( __( 'Files can\'t exceed the maximum file size of %s.', 'lifterlms' ), size_format( $max ) ),
+		);
+
+		$allowed = self::get_allowed_types( $block['attrs'] );
+		if ( $allowed ) {
+			$attrs['accept'] = implode( ',', $allowed );
+		}
+
+		$multiple = ! empty( $block['attrs']['multiple'] );
+		if ( $multiple ) {
+			$attrs['multiple'] = 'multiple';
+		}
+
+		$html = '';
+		foreach ( $attrs as $attr => $value ) {
+			$html .= sprintf( ' %1$s="%2$s"', $attr, esc_attr( $value ) );
+		}
+
+		return preg_replace_callback(
+			'/<input\b[^>]*type="file"[^>]*>/i',
+			function( $matches ) use ( $html, $multiple ) {
+
+				$input = $matches[0];
+				if ( $multiple ) {
+					$input = preg_replace( '/\sname="([^"\[]+)"/i', ' name="$1[]"', $input, 1 );
+				}
+
+				return preg_replace( '/^<input\b/i', '<input' . $html, $input, 1 );
+
+			},
+			$content,
+			1
+		);
+
+	}
+
+	/**
+	 * Submit forms containing file fields as `multipart/form-data`.
+	 *
+	 * LifterLMS forms are output by shortcodes, the `enctype` attribute is added to the forms of the shortcode
+	 * output which contain the input of a file field.
+	 *
+	 * @since [version]
+	 *
+	 * @param string $output Shortcode output.
+	 * @return string
+	 */
+	public function add_form_enctype( $output ) {
+
+		if ( ! is_string( $output ) || false === strpos( $output, 'data-llms-max-size=' ) ) {
+			return $output;
+		}
+
+		return preg_replace_callback(
+			'/(<form\b[^>]*>)(.*?<\/form>)/is',
+			function( $matches ) {
+
+				if ( ! preg_match( '/<input\b[^>]*data-llms-max-size=/i', $matches[2] ) ) {
+					return $matches[0];
+				}
+
+				$form = preg_replace( '/\senctype="[^"]*"/i', '', $matches[1], 1 );
+
+				return '<form enctype="multipart/form-data"' . substr( $form, strlen( '<form' ) ) . $matches[2];
+
+			},
+			$output
+		);
+
+	}
+
+	/**
+	 * Add a clause excluding form field files to a meta query.
+	 *
+	 * @since [version]
+	 *
+	 * @param mixed $meta_query Existing meta query.
+	 * @return array
+	 */
+	private function get_exclude_meta_query( $meta_query ) {
+
+		$meta_query   = is_array( $meta_query ) ? $meta_query : array();
+		$meta_query[] = array(
+			'key'     => self::META_KEY,
+			'compare' => 'NOT EXISTS',
+		);
+
+		return $meta_query;
+
+	}
+
+	/**
+	 * Exclude form field files from the media modal and the grid mode of the media library.
+	 *
+	 * @since [version]
+	 *
+	 * @param array $query Attachment query arguments.
+	 * @return array
+	 */
+	public function exclude_from_media_modal( $query ) {
+
+		$query['meta_query'] = $this->get_exclude_meta_query( isset( $query['meta_query'] ) ? $query['meta_query'] : array() ); // phpcs:ignore WordPress.DB.SlowDBQuery.slow_db_query_meta_query
+
+		return $query;
+
+	}
+
+	/**
+	 * Exclude form field files from the list mode of the media library.
+	 *
+	 * Only the main attachment query of the admin is modified, other attachment queries are left unchanged.
+	 *
+	 * @since [version]
+	 *
+	 * @param WP_Query $query Query object.
+	 * @return void
+	 */
+	public function exclude_from_media_list( $query ) {
+
+		if ( ! is_admin() || ! $query->is_main_query() || ! in_array( 'attachment', (array) $query->get( 'post_type' ), true ) ) {
+			return;
+		}
+
+		$query->set( 'meta_query', $this->get_exclude_meta_query( $query->get( 'meta_query' ) ) ); // phpcs:ignore WordPress.DB.SlowDBQuery.slow_db_query_meta_query
+
+	}
+
+	/**
+	 * Replace the URL of form field files with the URL of the download handler.
+	 *
+	 * @since [version]
+	 *
+	 * @param string $url           Attachment URL.
+	 * @param int    $attachment_id WP_Post ID of the attachment.
+	 * @return string
+	 */
+	public function get_attachment_url( $url, $attachment_id ) {
+
+		return get_post_meta( $attachment_id, self::META_KEY, true ) ? self::get_download_url( $attachment_id ) : $url;
+
+	}
+
+	/**
+	 * Serve a form field file to a user allowed to access it.
+	 *
+	 * Callback for the `wp_ajax_llms_blocks_form_field_file` action, logged out users can't access files.
+	 *
+	 * @since [version]
+	 *
+	 * @return void
+	 */
+	public function download() {
+
+		$id = isset( $_GET['attachment'] ) ? absint( $_GET['attachment'] ) : 0; // phpcs:ignore WordPress.Security.NonceVerification.Recommended -- Access is checked below.
+
+		if ( ! $id || ! self::user_can_access_file( $id, get_current_user_id() ) ) {
+			wp_die( esc_html__( 'You are not allowed to access this file.', 'lifterlms' ), '', array( 'response' => 403 ) );
+		}
+
+		$path = get_attached_file( $id );
+		if ( ! $path || ! is_file( $path ) ) {
+			wp_die( esc_html__( 'The file could not be found.', 'lifterlms' ), '', array( 'response' => 404 ) );
+		}
+
+		nocache_headers();
+		header( 'Content-Type: ' . get_post_mime_type( $id ) );
+		header( 'Content-Disposition: attachment; filename="' . basename( $path ) . '"' );
+		header( 'Content-Length: ' . filesize( $path ) );
+		header( 'X-Content-Type-Options: nosniff' );
+
+		readfile( $path ); // phpcs:ignore WordPress.WP.AlternativeFunctions.file_system_read_readfile
+		exit;
+
+	}
+
+}
+
+return new LLMS_Blocks_Form_Field_File();
@@ -0,0 +1,164 @@
+<?php
+/**
+ * Handle hidden form fields.
+ *
+ * @package LifterLMS_Blocks/Classes
+ *
+ * @since [version]
+ * @version [version]
+ */
+
+defined( 'ABSPATH' ) || exit;
+
+/**
+ * Hidden form field class.
+ *
+ * The value of `llms/form-field-hidden` blocks is retrieved when the form is displayed from the source
+ * stored in the `value_source` attribute. The `value` attribute is used as a static value, or as the default
+ * value when the source doesn't provide a value.
+ *
+ * Hidden field values are submitted by the browser, so they can be altered by the user like any other field.
+ *
+ * @since [version]
+ */
+class LLMS_Blocks_Form_Field_Hidden {
+
+	/**
+	 * Constructor.
+	 *
+	 * @since [version]
+	 *
+	 * @return void
+	 */
+	public function __construct() {
+
+		add_filter( 'render_block', array( $this, 'render_block' ), 25, 2 );
+
+	}
+
+	/**
+	 * Retrieve the value of a hidden field.
+	 *
+	 * @since [version]
+	 *
+	 * @param array $attrs Block attributes.
+	 * @return string
+	 */
+	public static function get_value( $attrs ) {
+
+		$source  = isset( $attrs['value_source'] ) ? $attrs['value_source'] : 'literal';
+		$key     = isset( $attrs['value_key'] ) ? $attrs['value_key'] : '';
+		$default = isset( $attrs['value'] ) ? (string) $attrs['value'] : '';
+		$value   = '';
+
+		// phpcs:disable WordPress.Security.NonceVerification.Recommended -- Values are only displayed in a form.
+		switch ( $source ) {
+			case 'query':
+				$value = $key && isset( $_GET[ $key ] ) && is_scalar( $_GET[ $key ] ) ? wp_unslash( $_GET[ $key ] ) : ''; // phpcs:ignore WordPress.Security.ValidatedSanitizedInput.InputNotSanitized -- Sanitized below.
+				break;
+
+			case 'cookie':
+				$value = $key && isset( $_COOKIE[ $key ] ) && is_scalar( $_COOKIE[ $key ] ) ? wp_unslash( $_COOKIE[ $key ] ) : ''; // phpcs:ignore WordPress.Security.ValidatedSanitizedInput.InputNotSanitized, WordPressVIPMinimum.Variables.RestrictedVariables.cache_constraints___COOKIE -- Sanitized below.
+				break;
+
+			case 'usermeta':
+				// Protected meta (keys starting with an underscore) isn't output in the form.
+				if ( $key && get_current_user_id() && ! is_protected_meta( $key, 'user' ) ) {
+					$meta  = get_user_meta( get_current_user_id(), $key, true );
+					$value = is_scalar( $meta ) ? (string) $meta : '';
+				}
+				break;
+
+			case 'referer':
+				$value = isset( $_SERVER['HTTP_REFERER'] ) ? esc_url_raw( wp_unslash( $_SERVER['HTTP_REFERER'] ) ) : ''; // phpcs:ignore WordPress.Security.ValidatedSanitizedInput.InputNotSanitized -- Sanitized by esc_url_raw().
+				break;
+		}
+		// phpcs:enable WordPress.Security.NonceVerification.Recommended
+
+		$value = sanitize_text_field( $value );
+
+		/**
+		 * Filter the value of a hidden form field.
+		 *
+		 * @since [version]
+		 *
+		 * @param string $value  Field value retrieved from the source, or the default value when the source doesn't provide a value.
+		 * @param string $source Value source: "literal", "query", "cookie", "usermeta", or "referer".
+		 * @param string $key    Query parameter name, cookie name, or usermeta key.
+		 * @param array  $attrs  Block attributes.
+		 */
+		return apply_filters( 'llms_blocks_form_field_hidden_value', '' !== $value ? $value : $default, $source, $key, $attrs );
+
+	}
+
+	/**
+	 * Retrieve the value of a hidden field stored for the current user.
+	 *
+	 * @since [version]
+	 *
+	 * @param array $attrs Block attributes.
+	 * @return string
+	 */
+	private function get_stored_value( $attrs ) {
+
+		$data_store = isset( $attrs['data_store'] ) ? $attrs['data_store'] : 'usermeta';
+		if ( ! get_current_user_id() || 'usermeta' !== $data_store || empty( $attrs['data_store_key'] ) ) {
+			return '';
+		}
+
+		$value = get_user_meta( get_current_user_id(), $attrs['data_store_key'], true );
+
+		return is_scalar( $value ) ? (string) $value : '';
+
+	}
+
+	/**
+	 * Set the value of hidden field inputs.
+	 *
+	 * When a form is redisplayed after a failed submission, the submitted value is kept so it isn't replaced
+	 * by a value retrieved from the submission request (like the referring page). Values already stored for the
+	 * current user are kept too, so updating an account doesn't overwrite the value captured during registration.
+	 *
+	 * @since [version]
+	 *
+	 * @param string $content Block HTML.
+	 * @param array  $block   Block data array.
+	 * @return string
+	 */
+	public function render_block( $content, $block ) {
+
+		if ( ! $content || 'llms/form-field-hidden' !== $block['blockName'] ) {
+			return $content;
+		}
+
+		$name = isset( $block['attrs']['name'] ) ? $block['attrs']['name'] : '';
+
+		// phpcs:ignore WordPress.Security.NonceVerification.Missing -- Nonces are verified by the form handlers.
+		if ( $name && isset( $_POST[ $name ] ) && is_scalar( $_POST[ $name ] ) ) {
+			$value = sanitize_text_field( wp_unslash( $_POST[ $name ] ) ); // phpcs:ignore WordPress.Security.NonceVerification.Missing
+		} else {
+			$value = $this->get_stored_value( $block['attrs'] );
+			$value = '' !== $value ? $value : self::get_value( $block['attrs'] );
+		}
+
+		$value = ' value="' . esc_attr( $value ) . '"';
+
+		return preg_replace_callback(
+			'/<input\b[^>]*>/i',
+			function( $matches ) use ( $value ) {
+
+				// The value isn't used as a replacement string since it may contain backreferences.
+				$input = preg_replace( '/\svalue="[^"]*"/i', '', $matches[0], 1 );
+
+				return '<input' . $value . substr( $input, strlen( '<input' ) );
+
+			},
+			$content,
+			1
+		);
+
+	}
+
+}
+
+return new LLMS_Blocks_Form_Field_Hidden();
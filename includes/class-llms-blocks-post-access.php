@@ -0,0 +1,210 @@
+<?php
+/**
+ * Handle course and membership access & enrollment data.
+ *
+ * @package  LifterLMS_Blocks/Classes
+ *
+ * @since [version]
+ * @version [version]
+ */
+
+defined( 'ABSPATH' ) || exit;
+
+/**
+ * Register course and membership access & enrollment settings edited from the block editor.
+ *
+ * These settings are also edited by the course and membership metaboxes. Values are stored in the same
+ * format used by the metaboxes so both editors can be used interchangeably. When the block editor is
+ * used, the fields are removed from the metaboxes so their stale values aren't submitted with the
+ * metaboxes when the post is saved.
+ *
+ * @since [version]
+ */
+class LLMS_Blocks_Post_Access {
+
+	/**
+	 * Format of stored date meta values.
+	 *
+	 * @var string
+	 */
+	const DATE_FORMAT = 'm/d/Y h:i A';
+
+	/**
+	 * Constructor.
+	 *
+	 * @since [version]
+	 *
+	 * @return void
+	 */
+	public function __construct() {
+
+		add_action( 'init', array( $this, 'register_meta' ) );
+
+		add_filter( 'llms_metabox_fields_lifterlms_course_options', array( $this, 'remove_metabox_fields' ) );
+		add_filter( 'llms_metabox_fields_lifterlms_membership', array( $this, 'remove_metabox_fields' ) );
+
+	}
+
+	/**
+	 * Meta field update authorization callback.
+	 *
+	 * @since [version]
+	 *
+	 * @param bool   $allowed   Is the update allowed.
+	 * @param string $meta_key  Meta keyname.
+	 * @param int    $object_id WP Object ID (post,comment,etc)...
+	 * @param int    $user_id   WP User ID.
+	 * @param string $cap       requested capability.
+	 * @param array  $caps      user capabilities.
+	 * @return bool
+	 */
+	public function authorize_callback( $allowed, $meta_key, $object_id, $user_id, $cap, $caps ) {
+		return user_can( $user_id, 'edit_post', $object_id );
+	}
+
+	/**
+	 * Retrieve the registered meta fields.
+	 *
+	 * @since [version]
+	 *
+	 * @return array Array of meta keys => meta type (string, date, or integer).
+	 */
+	public function get_meta_fields() {
+
+		/**
+		 * Filters the course and membership access & enrollment meta fields editable from the block editor.
+		 *
+		 * @since [version]
+		 *
+		 * @param array $fields Array of meta keys => meta type (string, date, or integer).
+		 */
+		return apply_filters(
+			'llms_blocks_post_access_meta_fields',
+			array(
+				'_llms_enrollment_period'      => 'string',
+				'_llms_enrollment_opens_date'  => 'date',
+				'_llms_enrollment_closes_date' => 'date',
+				'_llms_time_period'            => 'string',
+				'_llms_start_date'             => 'date',
+				'_llms_end_date'               => 'date',
+				'_llms_enable_capacity'        => 'string',
+				'_llms_capacity'               => 'integer',
+				'_llms_has_prerequisite'       => 'string',
+				'_llms_prerequisite'           => 'integer',
+				'_llms_prerequisite_track'     => 'integer',
+			)
+		);
+
+	}
+
+	/**
+	 * Retrieve the post types using the access & enrollment settings.
+	 *
+	 * @since [version]
+	 *
+	 * @return string[]
+	 */
+	public function get_post_types() {
+		return array( 'course', 'llms_membership' );
+	}
+
+	/**
+	 * Register meta fields.
+	 *
+	 * @since [version]
+	 *
+	 * @return void
+	 */
+	public function register_meta() {
+
+		$sanitize_callbacks = array(
+			'date'    => array( $this, 'sanitize_date' ),
+			'integer' => 'absint',
+			'string'  => 'sanitize_text_field',
+		);
+
+		foreach ( $this->get_post_types() as $post_type ) {
+
+			foreach ( $this->get_meta_fields() as $key => $type ) {
+
+				register_meta(
+					'post',
+					$key,
+					array(
+						'object_subtype'    => $post_type,
+						'sanitize_callback' => $sanitize_callbacks[ $type ],
+						'auth_callback'     => array( $this, 'authorize_callback' ),
+						'type'              => 'integer' === $type ? 'integer' : 'string',
+						'single'            => true,
+						'show_in_rest'      => true,
+					)
+				);
+
+			}
+		}
+
+	}
+
+	/**
+	 * Remove the fields edited by the "Access & Enrollment" panel from the course and membership metaboxes.
+	 *
+	 * The fields are only removed when the block editor is used, tabs left without fields are removed too.
+	 *
+	 * @since [version]
+	 *
+	 * @param array[] $tabs Array of metabox tab arrays, each containing a `fields` array.
+	 * @return array[]
+	 */
+	public function remove_metabox_fields( $tabs ) {
+
+		$post = get_post();
+		if ( ! $post || llms_blocks_is_classic_enabled_for_post( $post ) || ! is_array( $tabs ) ) {
+			return $tabs;
+		}
+
+		$meta = $this->get_meta_fields();
+
+		foreach ( $tabs as $index => $tab ) {
+
+			if ( empty( $tab['fields'] ) || ! is_array( $tab['fields'] ) ) {
+				continue;
+			}
+
+			$fields = array();
+			foreach ( $tab['fields'] as $field ) {
+				if ( empty( $field['id'] ) || ! array_key_exists( $field['id'], $meta ) ) {
+					$fields[] = $field;
+				}
+			}
+
+			if ( $fields ) {
+				$tabs[ $index ]['fields'] = $fields;
+			} else {
+				unset( $tabs[ $index ] );
+			}
+		}
+
+		return array_values( $tabs );
+
+	}
+
+	/**
+	 * Sanitize a date meta value.
+	 *
+	 * Any date string which can be parsed by `strtotime()` is stored in the format used by the course and membership metaboxes.
+	 *
+	 * @since [version]
+	 *
+	 * @param string $value Date string.
+	 * @return string
+	 */
+	public function sanitize_date( $value ) {
+
+		$time = $value ? strtotime( sanitize_text_field( $value ) ) : false;
+		return $time ? gmdate( self::DATE_FORMAT, $time ) : '';
+
+	}
+
+}
+
+return new LLMS_Blocks_Post_Access();
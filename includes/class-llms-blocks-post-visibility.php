@@ -1,28 +1,76 @@
 <?php
 /**
- * Handle course & membership catalog visibility data data.
+ * Handle course, membership & lesson catalog visibility data data.
  *
  * @package  LifterLMS_Blocks/Classes
  * @since    1.3.0
- * @version  1.3.0
+ * @version  [version]
  */
 
 defined( 'ABSPATH' ) || exit;
 
 /**
  * LLMS_Blocks_Post_Visibility class.
+ *
+ * @since 1.3.0
+ * @since [version] Add scheduled catalog visibility changes and search visibility for lessons.
  */
 class LLMS_Blocks_Post_Visibility {
 
+	/**
+	 * Cron hook used to apply a scheduled catalog visibility change.
+	 *
+	 * @var string
+	 */
+	const SCHEDULE_HOOK = 'llms_blocks_scheduled_catalog_visibility';
+
+	/**
+	 * Taxonomy used to store catalog visibility.
+	 *
+	 * @var string
+	 */
+	const TAXONOMY = 'llms_product_visibility';
+
 	/**
 	 * Constructor.
 	 *
 	 * @since   1.3.0
-	 * @version  1.3.0
+	 * @since   [version] Add scheduled catalog visibility cron action and exclude hidden lessons from search results.
+	 * @version [version]
 	 */
 	public function __construct() {
 
 		add_action( 'init', array( $this, 'register_meta' ) );
+		add_action( self::SCHEDULE_HOOK, array( $this, 'apply_scheduled_visibility' ) );
+		add_action( 'pre_get_posts', array( $this, 'exclude_hidden_lessons' ), 20 );
+
+	}
+
+	/**
+	 * Apply a scheduled catalog visibility change.
+	 *
+	 * Called by the cron event scheduled when the change is saved. The change is skipped when it has
+	 * been removed or rescheduled to a later date since the event was scheduled.
+	 *
+	 * @param   int $post_id WP_Post ID of the course or membership.
+	 * @return  void
+	 * @since   [version]
+	 * @version [version]
+	 */
+	public function apply_scheduled_visibility( $post_id ) {
+
+		$schedule = $this->get_schedule( $post_id );
+		if ( ! $schedule['visibility'] || ! $schedule['date'] || get_gmt_from_date( $schedule['date'], 'U' ) > time() ) {
+			return;
+		}
+
+		if ( in_array( get_post_type( $post_id ), array( 'course', 'llms_membership' ), true ) ) {
+			$obj = new LLMS_Product( $post_id );
+			$obj->set_catalog_visibility( $schedule['visibility'] );
+		}
+
+		delete_post_meta( $post_id, '_llms_scheduled_visibility' );
+		delete_post_meta( $post_id, '_llms_scheduled_visibility_date' );
 
 	}
 
@@ -43,6 +91,160 @@ class LLMS_Blocks_Post_Visibility {
 		return user_can( $user_id, 'edit_post', $object_id );
 	}
 
+	/**
+	 * Exclude lessons hidden from search from the main search query.
+	 *
+	 * Courses and memberships are excluded by the LifterLMS core search query modifications, which run first and
+	 * whose tax queries are preserved. The `NOT IN` clause applies to all post types, which is harmless since the
+	 * "hidden" and "catalog" terms hide courses and memberships from search results too.
+	 *
+	 * @param   WP_Query $query Query object.
+	 * @return  void
+	 * @since   [version]
+	 * @version [version]
+	 */
+	public function exclude_hidden_lessons( $query ) {
+
+		if ( is_admin() || ! $query->is_main_query() || ! $query->is_search() ) {
+			return;
+		}
+
+		$tax_query   = is_array( $query->get( 'tax_query' ) ) ? $query->get( 'tax_query' ) : array();
+		$tax_query[] = array(
+			'taxonomy' => self::TAXONOMY,
+			'field'    => 'name',
+			'terms'    => array( 'hidden', 'catalog' ),
+			'operator' => 'NOT IN',
+		);
+
+		$query->set( 'tax_query', $tax_query ); // phpcs:ignore WordPress.DB.SlowDBQuery.slow_db_query_tax_query
+
+	}
+
+	/**
+	 * Retrieve the visibility options available for lessons.
+	 *
+	 * Lessons aren't displayed in the catalog so only their visibility in search results can be controlled.
+	 *
+	 * @return  array Array of visibility term names => labels.
+	 * @since   [version]
+	 * @version [version]
+	 */
+	public static function get_lesson_visibility_options() {
+
+		/**
+		 * Filters the visibility options available for lessons
+		 *
+		 * @since [version]
+		 *
+		 * @param array $options Array of visibility term names => labels.
+		 */
+		return apply_filters(
+			'llms_blocks_lesson_visibility_options',
+			array(
+				'catalog_search' => __( 'Visible', 'lifterlms' ),
+				'hidden'         => __( 'Hidden', 'lifterlms' ),
+			)
+		);
+
+	}
+
+	/**
+	 * Retrieve the visibility of a lesson.
+	 *
+	 * @param   int $post_id WP_Post ID of the lesson.
+	 * @return  string Visibility term name.
+	 * @since   [version]
+	 * @version [version]
+	 */
+	private function get_lesson_visibility( $post_id ) {
+
+		$terms = wp_get_object_terms( $post_id, self::TAXONOMY, array( 'fields' => 'names' ) );
+
+		return ( $terms && ! is_wp_error( $terms ) ) ? $terms[0] : 'catalog_search';
+
+	}
+
+	/**
+	 * Retrieve the scheduled catalog visibility change for a post.
+	 *
+	 * @param   int $post_id WP_Post ID.
+	 * @return  array {
+	 *     Scheduled change.
+	 *
+	 *     @type string $visibility Catalog visibility term slug. Empty when no change is scheduled.
+	 *     @type string $date       Date of the change in the site's timezone, eg "2022-01-31T09:00:00".
+	 * }
+	 * @since   [version]
+	 * @version [version]
+	 */
+	private function get_schedule( $post_id ) {
+
+		return array(
+			'visibility' => (string) get_post_meta( $post_id, '_llms_scheduled_visibility', true ),
+			'date'       => (string) get_post_meta( $post_id, '_llms_scheduled_visibility_date', true ),
+		);
+
+	}
+
+	/**
+	 * Retrieve the scheduled catalog visibility change for a given object.
+	 *
+	 * @param   array           $obj     Assoc. array of WP_Post data.
+	 * @param   WP_REST_Request $request Full details about the request.
+	 * @return  array
+	 * @since   [version]
+	 * @version [version]
+	 */
+	public function get_schedule_callback( $obj, $request ) {
+		return $this->get_schedule( $obj['id'] );
+	}
+
+	/**
+	 * Update the scheduled catalog visibility change for a given object.
+	 *
+	 * Saving a change replaces any previously scheduled change. An empty visibility or date removes the scheduled change.
+	 *
+	 * @param   array   $value  Scheduled change with `visibility` and `date` keys.
+	 * @param   WP_Post $object WP_Post object.
+	 * @param   string  $key    Name of the field.
+	 * @return  null|WP_Error
+	 * @since   [version]
+	 * @version [version]
+	 */
+	public function update_schedule_callback( $value, $object, $key ) {
+
+		if ( ! current_user_can( 'edit_post', $object->ID ) ) {
+			return new WP_Error(
+				'rest_cannot_update',
+				__( 'Sorry, you are not allowed to edit the object visibility.', 'lifterlms' ),
+				array(
+					'key'    => $key,
+					'status' => rest_authorization_required_code(),
+				)
+			);
+		}
+
+		$visibility = empty( $value['visibility'] ) ? '' : sanitize_text_field( $value['visibility'] );
+		$date       = empty( $value['date'] ) ? '' : sanitize_text_field( $value['date'] );
+
+		wp_clear_scheduled_hook( self::SCHEDULE_HOOK, array( $object->ID ) );
+
+		if ( ! $visibility || ! $date || ! array_key_exists( $visibility, llms_get_product_visibility_options() ) ) {
+			delete_post_meta( $object->ID, '_llms_scheduled_visibility' );
+			delete_post_meta( $object->ID, '_llms_scheduled_visibility_date' );
+			return null;
+		}
+
+		update_post_meta( $object->ID, '_llms_scheduled_visibility', $visibility );
+		update_post_meta( $object->ID, '_llms_scheduled_visibility_date', $date );
+
+		wp_schedule_single_event( get_gmt_from_date( $date, 'U' ), self::SCHEDULE_HOOK, array( $object->ID ) );
+
+		return null;
+
+	}
+
 	/**
 	 * Retrieve visibility information for a give object.
 	 *
@@ -50,10 +252,15 @@ class LLMS_Blocks_Post_Visibility {
 	 * @param   WP_REST_Request $request   Full details about the request.
 	 * @return  WP_Error|string Visibility term slug or WP_Error object.
 	 * @since   1.3.0
-	 * @version 1.3.0
+	 * @since   [version] Retrieve lesson visibility.
+	 * @version [version]
 	 */
 	public function get_callback( $obj, $request ) {
 
+		if ( 'lesson' === get_post_type( $obj['id'] ) ) {
+			return $this->get_lesson_visibility( $obj['id'] );
+		}
+
 		$ret = array();
 
 		$obj = new LLMS_Product( $obj['id'] );
@@ -72,7 +279,8 @@ class LLMS_Blocks_Post_Visibility {
 	 * @param   string  $key    name of the field.
 	 * @return  null|WP_Error
 	 * @since   1.3.0
-	 * @version 1.3.0
+	 * @since   [version] Update lesson visibility.
+	 * @version [version]
 	 */
 	public function update_callback( $value, $object, $key ) {
 
@@ -87,6 +295,13 @@ class LLMS_Blocks_Post_Visibility {
 			);
 		}
 
+		if ( 'lesson' === $object->post_type ) {
+			if ( array_key_exists( $value, self::get_lesson_visibility_options() ) ) {
+				wp_set_object_terms( $object->ID, $value, self::TAXONOMY, false );
+			}
+			return null;
+		}
+
 		$obj = new LLMS_Product( $object->ID );
 		if ( $obj ) {
 			$obj->set_catalog_visibility( $value );
@@ -100,11 +315,14 @@ class LLMS_Blocks_Post_Visibility {
 	 *
 	 * @return  void
 	 * @since   1.3.0
-	 * @version 1.3.0
+	 * @since   [version] Register the `visibility_schedule` field and the `visibility` field for lessons.
+	 * @version [version]
 	 */
 	public function register_meta() {
 
-		foreach ( array( 'course', 'llms_membership' ) as $post_type ) {
+		register_taxonomy_for_object_type( self::TAXONOMY, 'lesson' );
+
+		foreach ( array( 'course', 'llms_membership', 'lesson' ) as $post_type ) {
 
 			register_rest_field(
 				$post_type,
@@ -125,6 +343,35 @@ class LLMS_Blocks_Post_Visibility {
 				)
 			);
 
+			// Lessons aren't displayed in the catalog so they can't schedule catalog visibility changes.
+			if ( 'lesson' === $post_type ) {
+				continue;
+			}
+
+			register_rest_field(
+				$post_type,
+				'visibility_schedule',
+				array(
+					'get_callback'    => array( $this, 'get_schedule_callback' ),
+					'update_callback' => array( $this, 'update_schedule_callback' ),
+					'schema'          => array(
+						'description' => __( 'Scheduled catalog visibility change.', 'lifterlms' ),
+						'type'        => 'object',
+						'context'     => array( 'edit' ),
+						'properties'  => array(
+							'visibility' => array(
+								'description' => __( 'Catalog visibility applied on the scheduled date.', 'lifterlms' ),
+								'type'        => 'string',
+							),
+							'date'       => array(
+								'description' => __( "Date of the change, in the site's timezone.", 'lifterlms' ),
+								'type'        => 'string',
+							),
+						),
+					),
+				)
+			);
+
 		}
 
 	}
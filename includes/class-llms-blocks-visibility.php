@@ -5,7 +5,7 @@
  * @package LifterLMS_Blocks/Classes
  *
  * @since 1.0.0
- * @version 2.4.2
+ * @version [version]
  */
 
 defined( 'ABSPATH' ) || exit;
@@ -16,6 +16,17 @@ defined( 'ABSPATH' ) || exit;
  * @since 1.0.0
  * @since 1.6.0 Add logic for `logged_in` and `logged_out` block visibility options.
  *               Adjusted priority of `render_block` filter to 20.
+ * @since [version] Add scheduled (date window) block visibility.
+ *               Add logic for the `enrolled_days`, `progress`, and `completed` block visibility options.
+ *               Add logic for the `quiz_passed`, `quiz_failed`, and `quiz_not_attempted` block visibility options.
+ *               Add composite (AND/OR) visibility rules.
+ *               Add fallback content displayed in place of hidden blocks.
+ *               Add logic for the `role` and `capability` block visibility options.
+ *               Add logic for the `user_field` block visibility option.
+ *               Allow third party dynamic blocks to opt in to block visibility.
+ *               Add logic for the `access_plan` block visibility option.
+ *               Add logic for the enrollment status block visibility options.
+ *               Add the `llms_parent_course` lesson REST field.
  */
 class LLMS_Blocks_Visibility {
 
@@ -24,11 +35,109 @@ class LLMS_Blocks_Visibility {
 	 *
 	 * @since 1.0.0
 	 * @since 1.6.0 Adjusted priority of `render_block` filter to 20.
+	 * @since [version] Add visibility attributes to opted in dynamic blocks and register the lesson parent course REST field.
 	 *
 	 * @return void
 	 */
 	public function __construct() {
 		add_filter( 'render_block', array( $this, 'maybe_filter_block' ), 20, 2 );
+		add_filter( 'register_block_type_args', array( $this, 'register_dynamic_block_attributes' ), 10, 2 );
+		add_action( 'rest_api_init', array( $this, 'register_rest_fields' ) );
+	}
+
+	/**
+	 * Retrieve the parent course of a lesson for the REST API.
+	 *
+	 * @since [version]
+	 *
+	 * @param array $obj Assoc. array of WP_Post data.
+	 * @return int
+	 */
+	public function get_parent_course_callback( $obj ) {
+		return $this->get_product_id( $obj['id'] );
+	}
+
+	/**
+	 * Register the read-only `llms_parent_course` REST field for lessons.
+	 *
+	 * Used by the block editor to resolve the "this" course of visibility rules when previewing a lesson.
+	 *
+	 * @since [version]
+	 *
+	 * @return void
+	 */
+	public function register_rest_fields() {
+
+		register_rest_field(
+			'lesson',
+			'llms_parent_course',
+			array(
+				'get_callback' => array( $this, 'get_parent_course_callback' ),
+				'schema'       => array(
+					'description' => __( 'WP_Post ID of the lesson\'s parent course.', 'lifterlms' ),
+					'type'        => 'integer',
+					'context'     => array( 'edit' ),
+					'readonly'    => true,
+				),
+			)
+		);
+
+	}
+
+	/**
+	 * Determine if a dynamic block registered outside of LifterLMS has opted in to block visibility.
+	 *
+	 * Visibility attributes can't be added to dynamic blocks from the block editor, the attributes
+	 * must be registered on the server or the block's REST API attribute validation fails. Dynamic blocks
+	 * opt in by declaring `'supports' => array( 'llms_visibility' => true )` when they're registered.
+	 *
+	 * @since [version]
+	 *
+	 * @param string $name Block name, eg "core/archives".
+	 * @param array  $args Block type registration arguments.
+	 * @return boolean
+	 */
+	public static function dynamic_block_supports_visibility( $name, $args ) {
+
+		$supports = ! empty( $args['supports']['llms_visibility'] );
+
+		/**
+		 * Filters whether or not a dynamic block supports block-level visibility.
+		 *
+		 * Dynamic blocks registered by LifterLMS always support block visibility and aren't passed through this filter.
+		 *
+		 * @since [version]
+		 *
+		 * @param boolean $supports Whether or not the block supports visibility.
+		 * @param string  $name     Block name, eg "core/archives".
+		 * @param array   $args     Block type registration arguments.
+		 */
+		return apply_filters( 'llms_blocks_visibility_dynamic_block_support', $supports, $name, $args );
+
+	}
+
+	/**
+	 * Add visibility attributes to dynamic blocks which opted in to block visibility.
+	 *
+	 * @since [version]
+	 *
+	 * @param array  $args Block type registration arguments.
+	 * @param string $name Block name, eg "core/archives".
+	 * @return array
+	 */
+	public function register_dynamic_block_attributes( $args, $name ) {
+
+		if ( empty( $args['render_callback'] ) || 0 === strpos( $name, 'llms/' ) || ! self::dynamic_block_supports_visibility( $name, $args ) ) {
+			return $args;
+		}
+
+		$args['attributes'] = array_merge(
+			empty( $args['attributes'] ) ? array() : $args['attributes'],
+			self::get_attributes()
+		);
+
+		return $args;
+
 	}
 
 	/**
@@ -37,20 +146,71 @@ class LLMS_Blocks_Visibility {
 	 * Used when registering dynamic blocks via PHP.
 	 *
 	 * @since 1.0.0
+	 * @since [version] Add `llms_visibility_start`, `llms_visibility_end`, `llms_visibility_days`, `llms_visibility_progress`,
+	 *                  `llms_visibility_rules`, `llms_visibility_fallback`, `llms_visibility_roles`, `llms_visibility_capability`,
+	 *                  `llms_visibility_field`, `llms_visibility_operator`, `llms_visibility_value`, and `llms_visibility_plans` attributes.
 	 *
 	 * @return array
 	 */
 	public static function get_attributes() {
 		return array(
-			'llms_visibility'       => array(
+			'llms_visibility'            => array(
 				'default' => 'all',
 				'type'    => 'string',
 			),
-			'llms_visibility_in'    => array(
+			'llms_visibility_in'         => array(
 				'default' => '',
 				'type'    => 'string',
 			),
-			'llms_visibility_posts' => array(
+			'llms_visibility_posts'      => array(
+				'default' => '[]',
+				'type'    => 'string',
+			),
+			'llms_visibility_start'      => array(
+				'default' => '',
+				'type'    => 'string',
+			),
+			'llms_visibility_end'        => array(
+				'default' => '',
+				'type'    => 'string',
+			),
+			'llms_visibility_days'       => array(
+				'default' => 0,
+				'type'    => 'integer',
+			),
+			'llms_visibility_progress'   => array(
+				'default' => 0,
+				'type'    => 'integer',
+			),
+			'llms_visibility_rules'      => array(
+				'default' => '',
+				'type'    => 'string',
+			),
+			'llms_visibility_fallback'   => array(
+				'default' => '',
+				'type'    => 'string',
+			),
+			'llms_visibility_roles'      => array(
+				'default' => '[]',
+				'type'    => 'string',
+			),
+			'llms_visibility_capability' => array(
+				'default' => '',
+				'type'    => 'string',
+			),
+			'llms_visibility_field'      => array(
+				'default' => '',
+				'type'    => 'string',
+			),
+			'llms_visibility_operator'   => array(
+				'default' => 'is',
+				'type'    => 'string',
+			),
+			'llms_visibility_value'      => array(
+				'default' => '',
+				'type'    => 'string',
+			),
+			'llms_visibility_plans'      => array(
 				'default' => '[]',
 				'type'    => 'string',
 			),
@@ -109,97 +269,732 @@ class LLMS_Blocks_Visibility {
 	}
 
 	/**
-	 * Filter block output.
+	 * Retrieve the ID of the course or membership a user enrolls into for a given post.
 	 *
-	 * @since 1.0.0
-	 * @since 1.6.0 Add logic for `logged_in` and `logged_out` block visibility options.
-	 * @since 2.0.0 Added a conditional prior to checking the block's visibility attributes.
-	 * @since 2.4.2 Set the `user_login` field block's visibility to its default 'logged_out' if not set.
+	 * Lessons resolve to their parent course.
 	 *
-	 * @param string $content Block inner content.
-	 * @param array  $block   Block data array.
-	 * @return string
+	 * @since [version]
+	 *
+	 * @param int $post_id WP_Post ID.
+	 * @return int
 	 */
-	public function maybe_filter_block( $content, $block ) {
+	private function get_product_id( $post_id ) {
 
-		// Allow conditionally filtering the block based on external context.
-		if ( ! $this->should_filter_block( $block ) ) {
-			return $content;
+		if ( 'lesson' === get_post_type( $post_id ) ) {
+			$lesson  = llms_get_post( $post_id );
+			$post_id = $lesson ? $lesson->get( 'parent_course' ) : 0;
 		}
 
-		// Set the `user_login` field block's visibility to its default 'logged_out' if not set.
-		// The WordPress serializer `getCommentAttributes()` function removes the attribute before being
-		// serialized into `post_content` if the attribute can have only one value and it's the default.
-		if ( 'llms/form-field-user-login' === $block['blockName'] && empty( $block['attrs']['llms_visibility'] ) ) {
-			$block['attrs']['llms_visibility'] = 'logged_out';
+		return absint( $post_id );
+
+	}
+
+	/**
+	 * Determine if a condition is met for the posts selected in a block's visibility attributes.
+	 *
+	 * Uses the relationship defined by the block's "visibility in" attribute: the condition must
+	 * be met for any of the posts with "list_any" and for all of them otherwise.
+	 *
+	 * @since [version]
+	 *
+	 * @param int[]    $ids      WP_Post IDs.
+	 * @param array    $attrs    Block attributes.
+	 * @param callable $callback Function called with each post ID. Returns `true` when the condition is met.
+	 * @return boolean
+	 */
+	private function check_posts( $ids, $attrs, $callback ) {
+
+		if ( ! $ids ) {
+			return false;
 		}
 
-		// No attributes or no llms visibility settings (visible to "all").
-		if ( empty( $block['attrs'] ) || empty( $block['attrs']['llms_visibility'] ) ) {
-			return $content;
+		$relation = 'list_any' === $attrs['llms_visibility_in'] ? 'any' : 'all'; // "this" becomes an "all" relationship.
+
+		foreach ( $ids as $id ) {
+
+			$met = call_user_func( $callback, $id );
+
+			if ( 'any' === $relation && $met ) {
+				return true;
+			} elseif ( 'all' === $relation && ! $met ) {
+				return false;
+			}
+		}
+
+		return 'all' === $relation;
+
+	}
+
+	/**
+	 * Determine if a user has completed the courses or lessons in a block's visibility attributes.
+	 *
+	 * When the block's visibility is `progress`, only courses are checked and they are considered
+	 * complete when the user's progress reaches the block's `llms_visibility_progress` percentage.
+	 *
+	 * @since [version]
+	 *
+	 * @param int   $uid   WP_User ID.
+	 * @param array $attrs Block attributes.
+	 * @return boolean
+	 */
+	private function has_course_progress( $uid, $attrs ) {
+
+		$student = llms_get_student( $uid );
+		if ( ! $student ) {
+			return false;
+		}
+
+		$ids = $this->get_post_ids_from_block_attributes( $attrs );
+
+		// Lessons resolve to their parent course when checking "this" course.
+		if ( 'this' === $attrs['llms_visibility_in'] ) {
+			$ids = array_map( array( $this, 'get_product_id' ), $ids );
+		}
+
+		$types = 'completed' === $attrs['llms_visibility'] ? array( 'course', 'lesson' ) : array( 'course' );
+		$ids   = array_filter(
+			$ids,
+			function( $id ) use ( $types ) {
+				return in_array( get_post_type( $id ), $types, true );
+			}
+		);
+
+		if ( 'completed' === $attrs['llms_visibility'] ) {
+			return $this->check_posts(
+				$ids,
+				$attrs,
+				function( $id ) use ( $student ) {
+					return $student->is_complete( $id, get_post_type( $id ) );
+				}
+			);
+		}
+
+		$min_progress = empty( $attrs['llms_visibility_progress'] ) ? 0 : absint( $attrs['llms_visibility_progress'] );
+
+		return $this->check_posts(
+			$ids,
+			$attrs,
+			function( $id ) use ( $student, $min_progress ) {
+				return $student->is_enrolled( $id ) && $student->get_progress( $id, 'course' ) >= $min_progress;
+			}
+		);
+
+	}
+
+	/**
+	 * Determine if a user has been enrolled for the number of days required by a block.
+	 *
+	 * @since [version]
+	 *
+	 * @param int   $uid   WP_User ID.
+	 * @param array $attrs Block attributes.
+	 * @return boolean
+	 */
+	private function is_enrolled_for_days( $uid, $attrs ) {
+
+		$student = llms_get_student( $uid );
+		if ( ! $student ) {
+			return false;
+		}
+
+		$min_time = empty( $attrs['llms_visibility_days'] ) ? 0 : absint( $attrs['llms_visibility_days'] ) * DAY_IN_SECONDS;
+		$now      = llms_current_time( 'timestamp' );
+
+		return $this->check_posts(
+			array_filter( array_map( array( $this, 'get_product_id' ), $this->get_post_ids_from_block_attributes( $attrs ) ) ),
+			$attrs,
+			function( $id ) use ( $student, $min_time, $now ) {
+				return $student->is_enrolled( $id ) && ( $now - (int) $student->get_enrollment_date( $id, 'enrolled', 'U' ) ) >= $min_time;
+			}
+		);
+
+	}
+
+	/**
+	 * Retrieve the IDs of a user's orders.
+	 *
+	 * @since [version]
+	 *
+	 * @param int      $uid        WP_User ID.
+	 * @param string[] $statuses   Order post statuses.
+	 * @param array    $meta_query Additional meta query clause used to filter the orders.
+	 * @return int[]
+	 */
+	private function get_user_order_ids( $uid, $statuses, $meta_query ) {
+
+		$query = new WP_Query(
+			array(
+				'post_type'      => 'llms_order',
+				'post_status'    => $statuses,
+				'posts_per_page' => -1,
+				'fields'         => 'ids',
+				'no_found_rows'  => true,
+				'meta_query'     => array(
+					'relation' => 'AND',
+					array(
+						'key'   => '_llms_user_id',
+						'value' => $uid,
+					),
+					$meta_query,
+				),
+			)
+		);
+
+		return $query->posts;
+
+	}
+
+	/**
+	 * Determine if a user's enrollment status satisfies the enrollment status conditions of a block's visibility attributes.
+	 *
+	 * The `enrollment_expired` and `enrollment_cancelled` options check the user's stored enrollment status and the
+	 * `enrollment_pending` option checks for a pending order. Completed enrollments are checked by the `completed` option.
+	 *
+	 * @since [version]
+	 *
+	 * @param int   $uid   WP_User ID.
+	 * @param array $attrs Block attributes.
+	 * @return boolean
+	 */
+	private function has_enrollment_status( $uid, $attrs ) {
+
+		$student = llms_get_student( $uid );
+		if ( ! $student ) {
+			return false;
+		}
+
+		$status = str_replace( 'enrollment_', '', $attrs['llms_visibility'] );
+
+		return $this->check_posts(
+			array_filter( array_map( array( $this, 'get_product_id' ), $this->get_post_ids_from_block_attributes( $attrs ) ) ),
+			$attrs,
+			function( $id ) use ( $uid, $student, $status ) {
+
+				if ( 'pending' === $status ) {
+					return (bool) $this->get_user_order_ids(
+						$uid,
+						array( 'llms-pending' ),
+						array(
+							'key'   => '_llms_product_id',
+							'value' => $id,
+						)
+					);
+				}
+
+				return $status === $student->get_enrollment_status( $id );
+
+			}
+		);
+
+	}
+
+	/**
+	 * Determine if a user enrolled through one of the access plans selected in a block's visibility attributes.
+	 *
+	 * The user must be enrolled in the plan's product and have an order for the plan which grants access.
+	 *
+	 * @since [version]
+	 *
+	 * @param int   $uid   WP_User ID.
+	 * @param array $attrs Block attributes.
+	 * @return boolean
+	 */
+	private function has_access_plan( $uid, $attrs ) {
+
+		$plan_ids = array_filter(
+			array_map( 'absint', wp_list_pluck( json_decode( $attrs['llms_visibility_plans'] ), 'id' ) ),
+			function( $id ) {
+				return 'llms_access_plan' === get_post_type( $id );
+			}
+		);
+
+		if ( ! $plan_ids ) {
+			return false;
+		}
+
+		/**
+		 * Filters the order statuses which grant access to a block restricted to an access plan.
+		 *
+		 * @since [version]
+		 *
+		 * @param string[] $statuses Array of order post statuses.
+		 */
+		$statuses = apply_filters( 'llms_blocks_visibility_access_plan_order_statuses', array( 'llms-active', 'llms-completed', 'llms-pending-cancel' ) );
+
+		$orders = $this->get_user_order_ids(
+			$uid,
+			$statuses,
+			array(
+				'key'     => '_llms_plan_id',
+				'value'   => $plan_ids,
+				'compare' => 'IN',
+			)
+		);
+
+		foreach ( $orders as $order_id ) {
+			$product_id = absint( get_post_meta( $order_id, '_llms_product_id', true ) );
+			if ( $product_id && llms_is_user_enrolled( $uid, $product_id ) ) {
+				return true;
+			}
+		}
+
+		return false;
+
+	}
+
+	/**
+	 * Determine if a user's quiz results satisfy the quiz conditions of a block's visibility attributes.
+	 *
+	 * The "this" relationship targets the quiz attached to the current lesson. Quiz results
+	 * are determined by the student's best attempt for each quiz.
+	 *
+	 * @since [version]
+	 *
+	 * @param int   $uid   WP_User ID.
+	 * @param array $attrs Block attributes.
+	 * @return boolean
+	 */
+	private function has_quiz_result( $uid, $attrs ) {
+
+		$student = llms_get_student( $uid );
+		if ( ! $student ) {
+			return false;
 		}
 
-		$uid = get_current_user_id();
+		$ids = $this->get_post_ids_from_block_attributes( $attrs );
+
+		if ( 'this' === $attrs['llms_visibility_in'] ) {
+			$ids = array_map(
+				function( $id ) {
+					$lesson = 'lesson' === get_post_type( $id ) ? llms_get_post( $id ) : false;
+					return $lesson ? absint( $lesson->get( 'quiz' ) ) : 0;
+				},
+				$ids
+			);
+		}
+
+		$ids = array_filter(
+			$ids,
+			function( $id ) {
+				return 'llms_quiz' === get_post_type( $id );
+			}
+		);
+
+		$visibility = $attrs['llms_visibility'];
+
+		return $this->check_posts(
+			$ids,
+			$attrs,
+			function( $id ) use ( $student, $visibility ) {
+
+				$attempt = $student->quizzes()->get_best_attempt( $id );
+
+				if ( 'quiz_not_attempted' === $visibility ) {
+					return ! $attempt;
+				} elseif ( 'quiz_failed' === $visibility ) {
+					return $attempt && 'fail' === $attempt->get( 'status' );
+				}
+
+				return $attempt && $attempt->is_passing();
+
+			}
+		);
+
+	}
+
+	/**
+	 * Determine if a user's stored user information field value satisfies a block's visibility attributes.
+	 *
+	 * The field's value is retrieved from the user's data or meta data using the field's data store key.
+	 * Fields which store multiple values (like checkboxes) are compared against each stored value.
+	 *
+	 * @since [version]
+	 *
+	 * @param int   $uid   WP_User ID.
+	 * @param array $attrs Block attributes.
+	 * @return boolean
+	 */
+	private function has_user_field_value( $uid, $attrs ) {
+
+		$user = get_userdata( $uid );
+		if ( ! $user ) {
+			return false;
+		}
+
+		$stored   = maybe_unserialize( $user->get( $attrs['llms_visibility_field'] ) );
+		$stored   = array_map( 'strval', array_filter( (array) $stored, 'is_scalar' ) );
+		$operator = empty( $attrs['llms_visibility_operator'] ) ? 'is' : $attrs['llms_visibility_operator'];
+		$value    = isset( $attrs['llms_visibility_value'] ) ? (string) $attrs['llms_visibility_value'] : '';
+		$is_empty = ! array_filter( $stored, 'strlen' );
+
+		switch ( $operator ) {
+			case 'empty':
+				return $is_empty;
+
+			case 'not_empty':
+				return ! $is_empty;
+
+			case 'contains':
+			case 'not_contains':
+				$found = false;
+				foreach ( $stored as $stored_value ) {
+					if ( '' !== $value && false !== strpos( $stored_value, $value ) ) {
+						$found = true;
+						break;
+					}
+				}
+				return 'contains' === $operator ? $found : ! $found;
+
+			case 'is_not':
+				return ! in_array( $value, $stored, true );
+
+			default:
+				return in_array( $value, $stored, true );
+		}
+
+	}
+
+	/**
+	 * Determine if the current time is within a block's scheduled visibility window.
+	 *
+	 * Schedule dates are stored in the site's timezone. A block without a start
+	 * or end date is not restricted by that end of the window.
+	 *
+	 * @since [version]
+	 *
+	 * @param array $attrs Block attributes.
+	 * @return boolean
+	 */
+	private function is_within_schedule( $attrs ) {
+
+		$now = llms_current_time( 'timestamp' );
+
+		if ( ! empty( $attrs['llms_visibility_start'] ) && $now < strtotime( $attrs['llms_visibility_start'] ) ) {
+			return false;
+		}
+
+		if ( ! empty( $attrs['llms_visibility_end'] ) && $now >= strtotime( $attrs['llms_visibility_end'] ) ) {
+			return false;
+		}
+
+		return true;
+
+	}
+
+	/**
+	 * Determine if a single visibility rule allows a user to view a block.
+	 *
+	 * @since [version]
+	 *
+	 * @param int   $uid   WP_User ID, `0` for logged out users.
+	 * @param array $attrs Block attributes (or rule attributes as returned by `get_rule_attributes()`).
+	 * @return boolean
+	 */
+	private function is_visible( $uid, $attrs ) {
+
+		$visible = true;
 
 		// Show only to logged in users.
-		if ( 'logged_in' === $block['attrs']['llms_visibility'] && ! $uid ) {
+		if ( 'logged_in' === $attrs['llms_visibility'] && ! $uid ) {
 
-			$content = '';
+			$visible = false;
 
 			// Show only to logged out users.
-		} elseif ( 'logged_out' === $block['attrs']['llms_visibility'] && $uid ) {
-			$content = '';
+		} elseif ( 'logged_out' === $attrs['llms_visibility'] && $uid ) {
+			$visible = false;
+
+			// Show only to users with one of the selected roles.
+		} elseif ( 'role' === $attrs['llms_visibility'] && ! empty( $attrs['llms_visibility_roles'] ) ) {
+
+			$roles = json_decode( $attrs['llms_visibility_roles'], true );
+			$user  = $uid ? get_userdata( $uid ) : false;
+			if ( is_array( $roles ) && $roles && ( ! $user || ! array_intersect( $roles, $user->roles ) ) ) {
+				$visible = false;
+			}
+
+			// Show only to users with the capability.
+		} elseif ( 'capability' === $attrs['llms_visibility'] && ! empty( $attrs['llms_visibility_capability'] ) ) {
+
+			if ( ! $uid || ! user_can( $uid, $attrs['llms_visibility_capability'] ) ) {
+				$visible = false;
+			}
+
+			// User information field checks.
+		} elseif ( 'user_field' === $attrs['llms_visibility'] && ! empty( $attrs['llms_visibility_field'] ) ) {
+
+			if ( ! $uid || ! $this->has_user_field_value( $uid, $attrs ) ) {
+				$visible = false;
+			}
+
+			// Access plan checks.
+		} elseif ( 'access_plan' === $attrs['llms_visibility'] && ! empty( $attrs['llms_visibility_plans'] ) && '[]' !== $attrs['llms_visibility_plans'] ) {
+
+			if ( ! $uid || ! $this->has_access_plan( $uid, $attrs ) ) {
+				$visible = false;
+			}
+
+			// Enrollment status checks.
+		} elseif ( in_array( $attrs['llms_visibility'], array( 'enrollment_expired', 'enrollment_cancelled', 'enrollment_pending' ), true ) && ! empty( $attrs['llms_visibility_in'] ) ) {
+
+			if ( ! $uid || ! $this->has_enrollment_status( $uid, $attrs ) ) {
+				$visible = false;
+			}
 
 			// Enrolled checks.
-		} elseif ( 'enrolled' === $block['attrs']['llms_visibility'] && ! empty( $block['attrs']['llms_visibility_in'] ) ) {
+		} elseif ( 'enrolled' === $attrs['llms_visibility'] && ! empty( $attrs['llms_visibility_in'] ) ) {
 
 			// Don't have to run any further checks if we don't have a user.
 			if ( ! $uid ) {
 
-				$content = '';
+				$visible = false;
 
 				// Checks for the "any" conditions.
-			} elseif ( in_array( $block['attrs']['llms_visibility_in'], array( 'any', 'any_course', 'any_membership' ), true ) ) {
+			} elseif ( in_array( $attrs['llms_visibility_in'], array( 'any', 'any_course', 'any_membership' ), true ) ) {
 
-				$found = $this->get_enrollment_count_by_type( $uid, $block['attrs']['llms_visibility_in'] );
+				$found = $this->get_enrollment_count_by_type( $uid, $attrs['llms_visibility_in'] );
 				if ( ! $found ) {
-					$content = '';
+					$visible = false;
 				}
 
 				// Checks for specifics.
-			} elseif ( in_array( $block['attrs']['llms_visibility_in'], array( 'this', 'list_all', 'list_any' ), true ) ) {
+			} elseif ( in_array( $attrs['llms_visibility_in'], array( 'this', 'list_all', 'list_any' ), true ) ) {
 
-				$relation = 'list_any' === $block['attrs']['llms_visibility_in'] ? 'any' : 'all'; // "this" becomes an "all" relationship
-				if ( ! llms_is_user_enrolled( $uid, $this->get_post_ids_from_block_attributes( $block['attrs'] ), $relation ) ) {
-					$content = '';
+				$relation = 'list_any' === $attrs['llms_visibility_in'] ? 'any' : 'all'; // "this" becomes an "all" relationship
+				if ( ! llms_is_user_enrolled( $uid, $this->get_post_ids_from_block_attributes( $attrs ), $relation ) ) {
+					$visible = false;
 				}
 			}
 
+			// Enrolled for a number of days checks.
+		} elseif ( 'enrolled_days' === $attrs['llms_visibility'] && ! empty( $attrs['llms_visibility_in'] ) ) {
+
+			if ( ! $uid || ! $this->is_enrolled_for_days( $uid, $attrs ) ) {
+				$visible = false;
+			}
+
+			// Course progress and completion checks.
+		} elseif ( in_array( $attrs['llms_visibility'], array( 'progress', 'completed' ), true ) && ! empty( $attrs['llms_visibility_in'] ) ) {
+
+			if ( ! $uid || ! $this->has_course_progress( $uid, $attrs ) ) {
+				$visible = false;
+			}
+
+			// Quiz result checks.
+		} elseif ( in_array( $attrs['llms_visibility'], array( 'quiz_passed', 'quiz_failed', 'quiz_not_attempted' ), true ) && ! empty( $attrs['llms_visibility_in'] ) ) {
+
+			if ( ! $uid || ! $this->has_quiz_result( $uid, $attrs ) ) {
+				$visible = false;
+			}
+
 			// Not-Enrolled checks.
-		} elseif ( 'not_enrolled' === $block['attrs']['llms_visibility'] && ! empty( $block['attrs']['llms_visibility_in'] ) ) {
+		} elseif ( 'not_enrolled' === $attrs['llms_visibility'] && ! empty( $attrs['llms_visibility_in'] ) ) {
 
 			// Only need to check logged in users.
 			if ( $uid ) {
 
 				// Checks for the "any" conditions.
-				if ( in_array( $block['attrs']['llms_visibility_in'], array( 'any', 'any_course', 'any_membership' ), true ) ) {
+				if ( in_array( $attrs['llms_visibility_in'], array( 'any', 'any_course', 'any_membership' ), true ) ) {
 
-					$found = $this->get_enrollment_count_by_type( $uid, $block['attrs']['llms_visibility_in'] );
+					$found = $this->get_enrollment_count_by_type( $uid, $attrs['llms_visibility_in'] );
 					if ( $found ) {
-						$content = '';
+						$visible = false;
 					}
 
 					// Checks for specifics.
-				} elseif ( in_array( $block['attrs']['llms_visibility_in'], array( 'this', 'list_all', 'list_any' ), true ) ) {
+				} elseif ( in_array( $attrs['llms_visibility_in'], array( 'this', 'list_all', 'list_any' ), true ) ) {
 
-					$relation = 'list_any' === $block['attrs']['llms_visibility_in'] ? 'any' : 'all'; // "this" becomes an "all" relationship
-					if ( llms_is_user_enrolled( $uid, $this->get_post_ids_from_block_attributes( $block['attrs'] ), $relation ) ) {
-						$content = '';
+					$relation = 'list_any' === $attrs['llms_visibility_in'] ? 'any' : 'all'; // "this" becomes an "all" relationship
+					if ( llms_is_user_enrolled( $uid, $this->get_post_ids_from_block_attributes( $attrs ), $relation ) ) {
+						$visible = false;
 					}
 				}
 			}
 		}
 
+		return $visible;
+
+	}
+
+	/**
+	 * Retrieve the composite visibility rule set stored in a block's attributes.
+	 *
+	 * @since [version]
+	 *
+	 * @param array $attrs Block attributes.
+	 * @return array|null Rule set array or `null` if the block uses a single visibility rule.
+	 */
+	private function get_rule_set( $attrs ) {
+
+		if ( empty( $attrs['llms_visibility_rules'] ) ) {
+			return null;
+		}
+
+		$rules = json_decode( $attrs['llms_visibility_rules'], true );
+
+		return is_array( $rules ) && isset( $rules['rules'] ) ? $rules : null;
+
+	}
+
+	/**
+	 * Convert a rule from a composite rule set into the visibility attributes of a single rule block.
+	 *
+	 * @since [version]
+	 *
+	 * @param array $rule Rule array.
+	 * @return array
+	 */
+	private function get_rule_attributes( $rule ) {
+
+		return array(
+			'llms_visibility'            => empty( $rule['visibility'] ) ? 'all' : $rule['visibility'],
+			'llms_visibility_in'         => empty( $rule['in'] ) ? '' : $rule['in'],
+			'llms_visibility_posts'      => wp_json_encode( empty( $rule['posts'] ) ? array() : $rule['posts'] ),
+			'llms_visibility_days'       => empty( $rule['days'] ) ? 0 : absint( $rule['days'] ),
+			'llms_visibility_progress'   => empty( $rule['progress'] ) ? 0 : absint( $rule['progress'] ),
+			'llms_visibility_roles'      => wp_json_encode( empty( $rule['roles'] ) ? array() : $rule['roles'] ),
+			'llms_visibility_capability' => empty( $rule['capability'] ) ? '' : $rule['capability'],
+			'llms_visibility_field'      => empty( $rule['field'] ) ? '' : $rule['field'],
+			'llms_visibility_operator'   => empty( $rule['operator'] ) ? 'is' : $rule['operator'],
+			'llms_visibility_value'      => isset( $rule['value'] ) ? (string) $rule['value'] : '',
+			'llms_visibility_plans'      => wp_json_encode( empty( $rule['plans'] ) ? array() : $rule['plans'] ),
+		);
+
+	}
+
+	/**
+	 * Determine if a composite rule set allows a user to view a block.
+	 *
+	 * Rules (and nested groups of rules) are joined by the set's "and" or "or" relation. An empty
+	 * rule set doesn't restrict the block.
+	 *
+	 * @since [version]
+	 *
+	 * @param int   $uid WP_User ID, `0` for logged out users.
+	 * @param array $set Rule set array.
+	 * @return boolean
+	 */
+	private function is_rule_set_visible( $uid, $set ) {
+
+		$relation = isset( $set['relation'] ) && 'or' === $set['relation'] ? 'or' : 'and';
+		$rules    = empty( $set['rules'] ) || ! is_array( $set['rules'] ) ? array() : $set['rules'];
+
+		if ( ! $rules ) {
+			return true;
+		}
+
+		foreach ( $rules as $rule ) {
+
+			$visible = isset( $rule['rules'] ) ? $this->is_rule_set_visible( $uid, $rule ) : $this->is_visible( $uid, $this->get_rule_attributes( $rule ) );
+
+			if ( 'or' === $relation && $visible ) {
+				return true;
+			} elseif ( 'and' === $relation && ! $visible ) {
+				return false;
+			}
+		}
+
+		return 'and' === $relation;
+
+	}
+
+	/**
+	 * Retrieve the fallback content displayed in place of a hidden block.
+	 *
+	 * @since [version]
+	 *
+	 * @param array $block Block data array.
+	 * @return string Fallback HTML or an empty string if the block has no fallback content.
+	 */
+	private function get_fallback_content( $block ) {
+
+		$html = '';
+
+		if ( ! empty( $block['attrs']['llms_visibility_fallback'] ) ) {
+			$html = sprintf(
+				'<div class="llms-block-visibility-fallback">%s</div>',
+				wpautop( wp_kses_post( $block['attrs']['llms_visibility_fallback'] ) )
+			);
+		}
+
+		/**
+		 * Filters the fallback content displayed in place of a block hidden by its visibility settings
+		 *
+		 * @since [version]
+		 *
+		 * @param string $html  Fallback HTML. An empty string hides the block entirely.
+		 * @param array  $block Block data array.
+		 */
+		return apply_filters( 'llms_blocks_visibility_fallback_content', $html, $block );
+
+	}
+
+	/**
+	 * Filter block output.
+	 *
+	 * @since 1.0.0
+	 * @since 1.6.0 Add logic for `logged_in` and `logged_out` block visibility options.
+	 * @since 2.0.0 Added a conditional prior to checking the block's visibility attributes.
+	 * @since 2.4.2 Set the `user_login` field block's visibility to its default 'logged_out' if not set.
+	 * @since [version] Hide blocks outside of their scheduled visibility window.
+	 *              Add logic for the `enrolled_days`, `progress`, and `completed` block visibility options.
+	 *              Add logic for the `quiz_passed`, `quiz_failed`, and `quiz_not_attempted` block visibility options.
+	 *              Moved single rule checks to `is_visible()` and add support for composite visibility rules.
+	 *              Return the block's fallback content when the block is hidden.
+	 *
+	 * @param string $content Block inner content.
+	 * @param array  $block   Block data array.
+	 * @return string
+	 */
+	public function maybe_filter_block( $content, $block ) {
+
+		// Allow conditionally filtering the block based on external context.
+		if ( ! $this->should_filter_block( $block ) ) {
+			return $content;
+		}
+
+		// Set the `user_login` field block's visibility to its default 'logged_out' if not set.
+		// The WordPress serializer `getCommentAttributes()` function removes the attribute before being
+		// serialized into `post_content` if the attribute can have only one value and it's the default.
+		if ( 'llms/form-field-user-login' === $block['blockName'] && empty( $block['attrs']['llms_visibility'] ) ) {
+			$block['attrs']['llms_visibility'] = 'logged_out';
+		}
+
+		// No attributes or no llms visibility settings (visible to "all"), no visibility rules, and no visibility schedule.
+		if ( empty( $block['attrs'] ) || ( empty( $block['attrs']['llms_visibility'] ) && empty( $block['attrs']['llms_visibility_rules'] ) && empty( $block['attrs']['llms_visibility_start'] ) && empty( $block['attrs']['llms_visibility_end'] ) ) ) {
+			return $content;
+		}
+
+		// A block with only a schedule or visibility rules is visible to "all" within its schedule.
+		if ( empty( $block['attrs']['llms_visibility'] ) ) {
+			$block['attrs']['llms_visibility'] = 'all';
+		}
+
+		$uid    = get_current_user_id();
+		$rules  = $this->get_rule_set( $block['attrs'] );
+		$hidden = false;
+
+		// Outside of the block's scheduled visibility window.
+		if ( ! $this->is_within_schedule( $block['attrs'] ) ) {
+
+			$hidden = true;
+
+			// Composite visibility rules.
+		} elseif ( $rules ) {
+
+			$hidden = ! $this->is_rule_set_visible( $uid, $rules );
+
+			// Single visibility rule stored in the block's attributes.
+		} elseif ( ! $this->is_visible( $uid, $block['attrs'] ) ) {
+
+			$hidden = true;
+
+		}
+
+		// Display the block's fallback content in place of the hidden block.
+		if ( $hidden ) {
+			$content = $this->get_fallback_content( $block );
+		}
+
 		/**
 		 * Filters a blocks content after it has been run through visibility attribute filters
 		 *
@@ -5,7 +5,7 @@
  * @package LifterLMS_Blocks/Classes
  *
  * @since 1.0.0
- * @version 2.3.0
+ * @version [version]
  */
 
 defined( 'ABSPATH' ) || exit;
@@ -80,6 +80,8 @@ class LLMS_Blocks {
 	 *
 	 * @since 1.5.1
 	 * @since 2.0.0 Since WordPress 5.8 blocks are available in widgets and customizer screen too.
+	 * @since [version] Print the list of user roles used by block visibility settings, the list of course tracks used by the
+	 *                  course "Access & Enrollment" panel, and the maximum upload size, in MB, used by the file upload form field.
 	 *
 	 * @return void
 	 */
@@ -90,21 +92,37 @@ class LLMS_Blocks {
 			return;
 		}
 
+		$tracks = get_terms(
+			'course_track',
+			array(
+				'fields'     => 'id=>name',
+				'hide_empty' => false,
+			)
+		);
+
 		echo '<script>window.llms.dynamic_blocks = ' . wp_json_encode( $this->get_dynamic_block_names() ) . ';</script>';
+		echo '<script>window.llms.roles = ' . wp_json_encode( array_map( 'translate_user_role', wp_roles()->get_names() ) ) . ';</script>';
+		echo '<script>window.llms.tracks = ' . wp_json_encode( is_wp_error( $tracks ) ? array() : $tracks ) . ';</script>';
+		echo '<script>window.llms.max_upload_size = ' . absint( floor( wp_max_upload_size() / MB_IN_BYTES ) ) . ';</script>';
 
 	}
 
 	/**
 	 * Retrieve a list of dynamic block names registered with WordPress (excluding LifterLMS blocks).
 	 *
+	 * Dynamic blocks which registered the visibility attributes are excluded as they support block visibility.
+	 *
 	 * @since 1.5.1
+	 * @since [version] Exclude dynamic blocks which opted in to block visibility.
 	 *
 	 * @return array
 	 */
 	private function get_dynamic_block_names() {
-		$blocks = array();
+		$blocks   = array();
+		$registry = WP_Block_Type_Registry::get_instance();
 		foreach ( get_dynamic_block_names() as $name ) {
-			if ( 0 !== strpos( $name, 'llms/' ) ) {
+			$block_type = $registry->get_registered( $name );
+			if ( 0 !== strpos( $name, 'llms/' ) && ! isset( $block_type->attributes['llms_visibility'] ) ) {
 				$blocks[] = $name;
 			}
 		}
@@ -116,6 +134,7 @@ class LLMS_Blocks {
 	 *
 	 * @since 2.0.0
 	 * @since 2.3.0 Include php template block file.
+	 * @since [version] Include post access, form field conditional logic, and date, file, hidden, and consent form field files.
 	 *
 	 * @return void
 	 */
@@ -127,8 +146,14 @@ class LLMS_Blocks {
 		// Classes.
 		require_once LLMS_BLOCKS_PLUGIN_DIR . '/includes/class-llms-blocks-assets.php';
 		require_once LLMS_BLOCKS_PLUGIN_DIR . '/includes/class-llms-blocks-abstract-block.php';
+		require_once LLMS_BLOCKS_PLUGIN_DIR . '/includes/class-llms-blocks-form-field-conditions.php';
+		require_once LLMS_BLOCKS_PLUGIN_DIR . '/includes/class-llms-blocks-form-field-consent.php';
+		require_once LLMS_BLOCKS_PLUGIN_DIR . '/includes/class-llms-blocks-form-field-date.php';
+		require_once LLMS_BLOCKS_PLUGIN_DIR . '/includes/class-llms-blocks-form-field-file.php';
+		require_once LLMS_BLOCKS_PLUGIN_DIR . '/includes/class-llms-blocks-form-field-hidden.php';
 		require_once LLMS_BLOCKS_PLUGIN_DIR . '/includes/class-llms-blocks-migrate.php';
 		require_once LLMS_BLOCKS_PLUGIN_DIR . '/includes/class-llms-blocks-page-builders.php';
+		require_once LLMS_BLOCKS_PLUGIN_DIR . '/includes/class-llms-blocks-post-access.php';
 		require_once LLMS_BLOCKS_PLUGIN_DIR . '/includes/class-llms-blocks-post-instructors.php';
 		require_once LLMS_BLOCKS_PLUGIN_DIR . '/includes/class-llms-blocks-post-types.php';
 		require_once LLMS_BLOCKS_PLUGIN_DIR . '/includes/class-llms-blocks-post-visibility.php';
@@ -6,8 +6,23 @@ module.exports = {
 				allow: [
 					'llms_visibility*',
 					'not_enrolled',
+					'enrolled_days',
 					'logged_in',
 					'logged_out',
+					'quiz_passed',
+					'quiz_failed',
+					'quiz_not_attempted',
+					'user_field',
+					'is_not',
+					'not_contains',
+					'not_empty',
+					'data_store_key',
+					'access_plan',
+					'post_id',
+					'per_page',
+					'enrollment_pending',
+					'enrollment_expired',
+					'enrollment_cancelled',
 				],
 			},
 		],
@@ -5,6 +5,8 @@
  * @since 1.5.1 Exits early for non LifterLMS dynamic blocks.
  * @since 1.6.0 Setup visibility support checking as a module.
  * @since 1.8.0 Merge default values into block settings.
+ * @since [version] Add visibility schedule, enrollment days, progress, composite rules, fallback, roles, capability,
+ *                  user information field, and access plan attributes.
  */
 
 // Internal deps.
@@ -44,6 +46,9 @@ const setAttribute = ( attributes, attributeName, defaults ) => {
  *
  * @since 1.0.0
  * @since 1.8.0 Merge default values into block settings.
+ * @since [version] Add `llms_visibility_start`, `llms_visibility_end`, `llms_visibility_days`, `llms_visibility_progress`,
+ *                  `llms_visibility_rules`, `llms_visibility_fallback`, `llms_visibility_roles`, `llms_visibility_capability`,
+ *                  `llms_visibility_field`, `llms_visibility_operator`, `llms_visibility_value`, and `llms_visibility_plans` attributes.
  *
  * @param {Object} settings Block settings object.
  * @param {string} name Block name, eg "core/paragraph".
@@ -71,6 +76,54 @@ export default function visibilityAttributes( settings, name ) {
 			default: '[]',
 			type: 'string',
 		},
+		llms_visibility_start: {
+			default: '',
+			type: 'string',
+		},
+		llms_visibility_end: {
+			default: '',
+			type: 'string',
+		},
+		llms_visibility_days: {
+			default: 0,
+			type: 'integer',
+		},
+		llms_visibility_progress: {
+			default: 0,
+			type: 'integer',
+		},
+		llms_visibility_rules: {
+			default: '',
+			type: 'string',
+		},
+		llms_visibility_fallback: {
+			default: '',
+			type: 'string',
+		},
+		llms_visibility_roles: {
+			default: '[]',
+			type: 'string',
+		},
+		llms_visibility_capability: {
+			default: '',
+			type: 'string',
+		},
+		llms_visibility_field: {
+			default: '',
+			type: 'string',
+		},
+		llms_visibility_operator: {
+			default: 'is',
+			type: 'string',
+		},
+		llms_visibility_value: {
+			default: '',
+			type: 'string',
+		},
+		llms_visibility_plans: {
+			default: '[]',
+			type: 'string',
+		},
 	};
 
 	Object.keys( attrs ).forEach( ( key ) => {
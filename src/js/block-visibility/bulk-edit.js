@@ -0,0 +1,202 @@
+/**
+ * Edit, copy, and paste the visibility settings of the selected block(s)
+ *
+ * Adds items to the block settings ("More options") menu which work for a single block
+ * and for multi-selected blocks alike.
+ *
+ * @since [version]
+ * @version [version]
+ */
+
+// WP Deps.
+import { __, _n, sprintf } from '@wordpress/i18n';
+import { store as blockEditorStore } from '@wordpress/block-editor';
+import { getBlockType } from '@wordpress/blocks';
+import { Button, Modal } from '@wordpress/components';
+import { useDispatch, useSelect } from '@wordpress/data';
+import { PluginBlockSettingsMenuItem } from '@wordpress/edit-post';
+import { Fragment, useState } from '@wordpress/element';
+import { store as noticesStore } from '@wordpress/notices';
+
+// Internal Deps.
+import check from './check';
+import VisibilityControls from './controls';
+
+/**
+ * Retrieve the visibility attributes from a block's attributes
+ *
+ * @since [version]
+ *
+ * @param {Object} attributes Block attributes.
+ * @return {Object} Object containing only the `llms_visibility*` attributes.
+ */
+export const getVisibilityAttributes = ( attributes ) =>
+	Object.keys( attributes )
+		.filter( ( key ) => 0 === key.indexOf( 'llms_visibility' ) )
+		.reduce( ( obj, key ) => {
+			obj[ key ] = attributes[ key ];
+			return obj;
+		}, {} );
+
+/**
+ * Filter a list of blocks to those whose visibility settings can be edited
+ *
+ * @since [version]
+ *
+ * @param {Object[]} blocks Array of block objects.
+ * @return {Object[]} Array of block objects.
+ */
+const getSupportedBlocks = ( blocks ) =>
+	blocks.filter( ( block ) => {
+		if ( ! block ) {
+			return false;
+		}
+
+		const blockType = getBlockType( block.name ),
+			{ llms_visibility } = block.attributes;
+
+		return (
+			blockType &&
+			check( blockType, block.name ) &&
+			llms_visibility &&
+			'off' !== llms_visibility
+		);
+	} );
+
+/**
+ * Block settings menu items and modal used to edit, copy, and paste visibility settings
+ *
+ * @since [version]
+ *
+ * @return {Fragment} Component HTML fragment.
+ */
+export default function BulkEdit() {
+	const [ isOpen, setIsOpen ] = useState( false ),
+		[ edits, setEdits ] = useState( {} ),
+		[ clipboard, setClipboard ] = useState( null ),
+		blocks = useSelect( ( select ) => {
+			const { getBlocksByClientId, getSelectedBlockClientIds } = select(
+				blockEditorStore
+			);
+			return getSupportedBlocks(
+				getBlocksByClientId( getSelectedBlockClientIds() )
+			);
+		} ),
+		{ updateBlockAttributes } = useDispatch( blockEditorStore ),
+		{ createSuccessNotice } = useDispatch( noticesStore );
+
+	// This slot doesn't exist until WordPress 5.4.
+	if ( 'undefined' === typeof PluginBlockSettingsMenuItem ) {
+		return null;
+	}
+
+	/**
+	 * Apply visibility attributes to all supported selected blocks
+	 *
+	 * @since [version]
+	 *
+	 * @param {Object} attributes Visibility attributes.
+	 * @return {void}
+	 */
+	const applyToBlocks = ( attributes ) => {
+		updateBlockAttributes(
+			blocks.map( ( { clientId } ) => clientId ),
+			attributes
+		);
+
+		createSuccessNotice(
+			sprintf(
+				// Translators: %d = Number of blocks.
+				_n(
+					'Visibility settings applied to %d block.',
+					'Visibility settings applied to %d blocks.',
+					blocks.length,
+					'lifterlms'
+				),
+				blocks.length
+			),
+			{ type: 'snackbar' }
+		);
+	};
+
+	/**
+	 * Open the edit modal using the first selected block's settings as a starting point
+	 *
+	 * @since [version]
+	 *
+	 * @return {void}
+	 */
+	const openModal = () => {
+		setEdits( getVisibilityAttributes( blocks[ 0 ].attributes ) );
+		setIsOpen( true );
+	};
+
+	if ( ! blocks.length ) {
+		return null;
+	}
+
+	return (
+		<Fragment>
+			<PluginBlockSettingsMenuItem
+				icon="visibility"
+				label={
+					blocks.length > 1
+						? __(
+								'Edit visibility of selected blocks',
+								'lifterlms'
+						  )
+						: __( 'Edit visibility', 'lifterlms' )
+				}
+				onClick={ openModal }
+			/>
+			<PluginBlockSettingsMenuItem
+				icon="admin-page"
+				label={ __( 'Copy visibility', 'lifterlms' ) }
+				onClick={ () =>
+					setClipboard(
+						getVisibilityAttributes( blocks[ 0 ].attributes )
+					)
+				}
+			/>
+			{ clipboard && (
+				<PluginBlockSettingsMenuItem
+					icon="clipboard"
+					label={ __( 'Paste visibility', 'lifterlms' ) }
+					onClick={ () => applyToBlocks( clipboard ) }
+				/>
+			) }
+			{ isOpen && (
+				<Modal
+					className="llms-visibility-bulk-edit"
+					title={ sprintf(
+						// Translators: %d = Number of blocks.
+						_n(
+							'Enrollment Visibility (%d block)',
+							'Enrollment Visibility (%d blocks)',
+							blocks.length,
+							'lifterlms'
+						),
+						blocks.length
+					) }
+					onRequestClose={ () => setIsOpen( false ) }
+				>
+					<VisibilityControls
+						attributes={ edits }
+						setAttributes={ ( changes ) =>
+							setEdits( { ...edits, ...changes } )
+						}
+					/>
+					<Button
+						isPrimary
+						onClick={ () => {
+							applyToBlocks( edits );
+							setIsOpen( false );
+						} }
+					>
+						{ __( 'Apply', 'lifterlms' ) }
+					</Button>
+				</Modal>
+			) }
+		</Fragment>
+	);
+}
@@ -0,0 +1,120 @@
+/**
+ * Block visibility settings controls
+ *
+ * @since [version]
+ * @version [version]
+ */
+
+// WP Deps.
+import { __ } from '@wordpress/i18n';
+import { Fragment } from '@wordpress/element';
+import { TextareaControl, ToggleControl } from '@wordpress/components';
+
+// Internal Deps.
+import RuleBuilder from './rule-builder';
+import RuleControls from './rule-controls';
+import ScheduleControls from './schedule';
+import {
+	createRule,
+	createRuleGroup,
+	getAttributesFromRule,
+	getRuleFromAttributes,
+	parseRules,
+} from './rules';
+import { hasVisibility } from './summary';
+
+/**
+ * Controls for all of a block's visibility settings
+ *
+ * Used in the "Enrollment Visibility" inspector panel and when editing the visibility of multiple blocks at once.
+ *
+ * @since [version]
+ *
+ * @param {Object}   props
+ * @param {Object}   props.attributes    Block visibility attributes.
+ * @param {Function} props.setAttributes Block attribute setter.
+ * @return {Fragment} Component HTML fragment.
+ */
+export default function VisibilityControls( { attributes, setAttributes } ) {
+	const rules = parseRules( attributes.llms_visibility_rules );
+
+	/**
+	 * On change callback for the composite rules toggle control
+	 *
+	 * When enabled, the block's existing visibility rule becomes the first rule of the rule set.
+	 *
+	 * @since [version]
+	 *
+	 * @param {boolean} enabled Whether or not composite rules are enabled.
+	 * @return {void}
+	 */
+	const onToggleRules = ( enabled ) => {
+		let value = '';
+
+		if ( enabled ) {
+			const rule = getRuleFromAttributes( attributes );
+			value = JSON.stringify(
+				createRuleGroup( [
+					'all' === rule.visibility ? createRule() : rule,
+				] )
+			);
+		}
+
+		setAttributes( { llms_visibility_rules: value } );
+	};
+
+	return (
+		<Fragment>
+			{ rules ? (
+				<RuleBuilder
+					group={ rules }
+					onChange={ ( group ) =>
+						setAttributes( {
+							llms_visibility_rules: JSON.stringify( group ),
+						} )
+					}
+				/>
+			) : (
+				<RuleControls
+					rule={ getRuleFromAttributes( attributes ) }
+					onChange={ ( changes ) =>
+						setAttributes( getAttributesFromRule( changes ) )
+					}
+				/>
+			) }
+
+			<ToggleControl
+				className="llms-visibility-rules-toggle"
+				label={ __( 'Combine multiple rules', 'lifterlms' ) }
+				help={ __(
+					'Build a set of rules joined by AND/OR.',
+					'lifterlms'
+				) }
+				checked={ !! rules }
+				onChange={ onToggleRules }
+			/>
+
+			<ScheduleControls
+				attributes={ attributes }
+				setAttributes={ setAttributes }
+			/>
+
+			{ hasVisibility( attributes ) && (
+				<TextareaControl
+					className="llms-visibility-fallback"
+					label={ __( 'Shown Instead', 'lifterlms' ) }
+					help={ __(
+						'Optional message displayed in place of this block to users who cannot see it, for example "Enroll to unlock this video". Basic HTML is allowed.',
+						'lifterlms'
+					) }
+					value={ attributes.llms_visibility_fallback }
+					onChange={ ( value ) =>
+						setAttributes( {
+							llms_visibility_fallback: value,
+						} )
+					}
+				/>
+			) }
+		</Fragment>
+	);
+}
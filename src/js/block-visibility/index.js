@@ -2,15 +2,17 @@
  * Visibility settings for all blocks
  *
  * @since 1.0.0
- * @version 2.0.0
+ * @version [version]
  */
 
 // WP Deps.
 import { addFilter } from '@wordpress/hooks';
+import { registerPlugin } from '@wordpress/plugins';
 
 // Internal Deps.
 import visibilityAttributes from './attributes';
 import visibilityControls from './inspect';
+import BulkEdit from './bulk-edit';
 
 addFilter(
 	'blocks.registerBlockType',
@@ -18,3 +20,8 @@ addFilter(
 	visibilityAttributes
 );
 addFilter( 'editor.BlockEdit', 'llms/visibility-controls', visibilityControls );
+
+registerPlugin( 'llms-visibility-bulk-edit', {
+	render: BulkEdit,
+	icon: '',
+} );
@@ -2,17 +2,26 @@
  * Preview area for visibility settings on the block list
  *
  * @since 1.1.0
- * @version 2.0.0
+ * @version [version]
  */
 
 // WP Deps.
 import { __, sprintf } from '@wordpress/i18n';
-import { Component, Fragment } from '@wordpress/element';
-import { Dashicon } from '@wordpress/components';
+import { Component } from '@wordpress/element';
+import { Button, Dashicon, Dropdown } from '@wordpress/components';
+import { withSelect } from '@wordpress/data';
+import { create } from '@wordpress/rich-text';
 
 // Internal Deps.
 import './editor.scss';
+import VisibilityControls from './controls';
 import { getSetting } from './settings';
+import { getScheduleMessage } from './schedule';
+import { getRuleFromAttributes, getTargetPosts, parseRules } from './rules';
+import isVisibleToPersona from './simulate';
+import { StaleIndicator } from './stale';
+import { getRuleGroupSummary, getRuleSummary } from './summary';
+import { visibilityPreviewStore } from '../data';
 
 /**
  * Preview component.
@@ -20,44 +29,153 @@ import { getSetting } from './settings';
  * Displays a lock icon on the block editor preview area for each block which indicates whether or not the block
  * is open to all or has visibility settings enabled.
  *
+ * When previewing the editor as a persona, blocks hidden from the persona are dimmed.
+ *
+ * Clicking the indicator opens a popover used to edit the block's visibility settings.
+ *
  * @since 1.1.0
+ * @since [version] Dim blocks hidden from the "preview as" persona.
+ *                  Warn when the block's visibility rules target unavailable posts.
+ *                  Display the full visibility rule and add the quick-edit popover.
  */
-export default class Preview extends Component {
+class Preview extends Component {
+	/**
+	 * Retrieve the message describing who the block is visible to
+	 *
+	 * @since [version]
+	 *
+	 * @param {?Object} rules Rule group object or `null` when the block doesn't use composite rules.
+	 * @return {string} Message text or an empty string when the block is visible to everyone.
+	 */
+	getRuleMessage( rules ) {
+		const { attributes } = this.props;
+
+		let summary = '';
+
+		if ( rules ) {
+			summary = rules.rules.length
+				? getRuleGroupSummary( rules )
+				: getSetting( 'all' );
+		} else if ( 'all' !== attributes.llms_visibility ) {
+			summary = getRuleSummary( getRuleFromAttributes( attributes ) );
+		}
+
+		return summary
+			? sprintf(
+					// Translators: %s = Visibility rule summary.
+					__( 'This block is only visible to %s', 'lifterlms' ),
+					summary
+			  )
+			: '';
+	}
+
 	/**
 	 * Render component
 	 *
 	 * @since 1.1.0
 	 * @since 1.6.0 Use camelCase `className` in favor of `class`.
 	 * @since 2.0.0 Improve the information displayed for a restricted block.
+	 * @since [version] Display the block's visibility schedule.
+	 *                  Display a message for blocks using composite visibility rules.
+	 *                  Dim blocks hidden from the "preview as" persona.
+	 *                  Display the text of the block's fallback content when hidden from the persona.
+	 *                  Display a warning when the block's visibility rules target unavailable posts.
+	 *                  Display the full visibility rule, including its "in" setting and selected posts.
+	 *                  Open a popover to edit the block's visibility settings when the indicator is clicked.
 	 *
-	 * @return {Fragment} Component HTML Fragment.
+	 * @return {Object} Component HTML.
 	 */
 	render() {
-		const { llms_visibility } = this.props.attributes,
-			{ children } = this.props;
+		const {
+				llms_visibility,
+				llms_visibility_start,
+				llms_visibility_end,
+				llms_visibility_rules,
+				llms_visibility_fallback,
+			} = this.props.attributes,
+			{ attributes, children, persona, setAttributes } = this.props,
+			scheduleMsg = getScheduleMessage(
+				llms_visibility_start,
+				llms_visibility_end
+			),
+			rules = parseRules( llms_visibility_rules );
 
 		// Return early for defaults.
-		if ( 'all' === llms_visibility ) {
+		if ( 'all' === llms_visibility && ! rules && ! scheduleMsg ) {
 			return children;
 		}
 
+		const isHidden = persona && ! isVisibleToPersona( attributes, persona ),
+			ruleMsg = this.getRuleMessage( rules );
+
 		return (
-			<div className="llms-block-visibility">
+			<div
+				className={
+					isHidden
+						? 'llms-block-visibility llms-block-visibility--hidden'
+						: 'llms-block-visibility'
+				}
+			>
 				{ children }
-				<div className="llms-block-visibility--indicator">
-					<Dashicon icon="visibility" />
-					<span className="llms-block-visibility--msg">
-						{ sprintf(
-							// Translators: %s = visibility setting label.
-							__(
-								'This block is only visible to %s',
-								'lifterlms'
-							),
-							getSetting( llms_visibility )
-						) }
-					</span>
-				</div>
+				<Dropdown
+					className="llms-block-visibility--indicator"
+					contentClassName="llms-block-visibility--popover"
+					position="bottom center"
+					renderToggle={ ( { isOpen, onToggle } ) => (
+						<Button
+							className="llms-block-visibility--toggle"
+							onClick={ onToggle }
+							aria-expanded={ isOpen }
+						>
+							<Dashicon
+								icon={ isHidden ? 'hidden' : 'visibility' }
+							/>
+							{ isHidden && (
+								<span className="llms-block-visibility--msg llms-block-visibility--persona">
+									{ __(
+										'Hidden for the selected preview persona',
+										'lifterlms'
+									) }
+								</span>
+							) }
+							{ isHidden && llms_visibility_fallback && (
+								<span className="llms-block-visibility--msg llms-block-visibility--fallback">
+									{ sprintf(
+										// Translators: %s = Fallback content.
+										__( 'Shown instead: %s', 'lifterlms' ),
+										create( {
+											html: llms_visibility_fallback,
+										} ).text
+									) }
+								</span>
+							) }
+							{ ruleMsg && (
+								<span className="llms-block-visibility--msg">
+									{ ruleMsg }
+								</span>
+							) }
+							{ scheduleMsg && (
+								<span className="llms-block-visibility--msg llms-block-visibility--schedule">
+									{ scheduleMsg }
+								</span>
+							) }
+							<StaleIndicator
+								posts={ getTargetPosts( attributes ) }
+							/>
+						</Button>
+					) }
+					renderContent={ () => (
+						<VisibilityControls
+							attributes={ attributes }
+							setAttributes={ setAttributes }
+						/>
+					) }
+				/>
 			</div>
 		);
 	}
 }
+
+export default withSelect( ( select ) => ( {
+	persona: select( visibilityPreviewStore ).getPersona(),
+} ) )( Preview );
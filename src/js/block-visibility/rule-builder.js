@@ -0,0 +1,169 @@
+/**
+ * Composite (AND/OR) block visibility rule builder
+ *
+ * @since [version]
+ * @version [version]
+ */
+
+// WP Deps.
+import { __ } from '@wordpress/i18n';
+import { Button, SelectControl } from '@wordpress/components';
+
+// Internal Deps.
+import RuleControls from './rule-controls';
+import { createRule, createRuleGroup, isRuleGroup, withRuleIds } from './rules';
+
+/**
+ * Rule group relation select control options.
+ *
+ * @since [version]
+ *
+ * @type {Object[]}
+ */
+const relationOptions = [
+	{
+		value: 'and',
+		label: __( 'all of the following rules (AND)', 'lifterlms' ),
+	},
+	{
+		value: 'or',
+		label: __( 'any of the following rules (OR)', 'lifterlms' ),
+	},
+];
+
+/**
+ * Rule builder for a group of visibility rules
+ *
+ * Groups may contain both rules and nested groups. Rules and groups are identified by their `id` so the state
+ * of their controls follows them when a rule is removed. Rules stored without an ID get one when the group changes.
+ *
+ * @since [version]
+ *
+ * @param {Object}   props
+ * @param {Object}   props.group    Rule group object, see `rules.js`.
+ * @param {Function} props.onChange Callback function called with the updated group object.
+ * @param {number}   props.depth    Nesting depth of the group.
+ * @return {Object} Component HTML.
+ */
+export default function RuleBuilder( { group, onChange, depth = 0 } ) {
+	const { relation, rules } = group;
+
+	/**
+	 * Replace the rule at a given index
+	 *
+	 * @since [version]
+	 *
+	 * @param {number} index Index of the rule in the group.
+	 * @param {Object} rule  Updated rule or group object.
+	 * @return {void}
+	 */
+	const updateRule = ( index, rule ) =>
+		onChange( {
+			...group,
+			rules: withRuleIds(
+				rules.map( ( item, i ) => ( i === index ? rule : item ) )
+			),
+		} );
+
+	/**
+	 * Remove the rule at a given index
+	 *
+	 * @since [version]
+	 *
+	 * @param {number} index Index of the rule in the group.
+	 * @return {void}
+	 */
+	const removeRule = ( index ) =>
+		onChange( {
+			...group,
+			rules: withRuleIds( rules.filter( ( item, i ) => i !== index ) ),
+		} );
+
+	/**
+	 * Add a rule to the end of the group
+	 *
+	 * @since [version]
+	 *
+	 * @param {Object} rule Rule or group object.
+	 * @return {void}
+	 */
+	const addRule = ( rule ) =>
+		onChange( {
+			...group,
+			rules: withRuleIds( [ ...rules, rule ] ),
+		} );
+
+	return (
+		<div
+			className={ `llms-visibility-rules llms-visibility-rules--depth-${ depth }` }
+		>
+			<SelectControl
+				className="llms-visibility-rules--relation-select"
+				label={
+					depth
+						? __( 'Group matches', 'lifterlms' )
+						: __( 'Display to users matching', 'lifterlms' )
+				}
+				value={ relation }
+				options={ relationOptions }
+				onChange={ ( value ) =>
+					onChange( { ...group, relation: value } )
+				}
+			/>
+
+			{ rules.map( ( rule, index ) => (
+				<div
+					className="llms-visibility-rules--item"
+					key={ rule.id || `index-${ index }` }
+				>
+					{ index > 0 && (
+						<p className="llms-visibility-rules--relation">
+							{ 'or' === relation
+								? __( 'OR', 'lifterlms' )
+								: __( 'AND', 'lifterlms' ) }
+						</p>
+					) }
+
+					{ isRuleGroup( rule ) ? (
+						<RuleBuilder
+							group={ rule }
+							depth={ depth + 1 }
+							onChange={ ( value ) => updateRule( index, value ) }
+						/>
+					) : (
+						<RuleControls
+							rule={ createRule( rule ) }
+							onChange={ ( changes ) =>
+								updateRule( index, { ...rule, ...changes } )
+							}
+						/>
+					) }
+
+					<Button
+						isLink
+						isDestructive
+						onClick={ () => removeRule( index ) }
+					>
+						{ isRuleGroup( rule )
+							? __( 'Remove group', 'lifterlms' )
+							: __( 'Remove rule', 'lifterlms' ) }
+					</Button>
+				</div>
+			) ) }
+
+			<div className="llms-visibility-rules--actions">
+				<Button isSecondary onClick={ () => addRule( createRule() ) }>
+					{ __( 'Add rule', 'lifterlms' ) }
+				</Button>
+				<Button
+					isSecondary
+					onClick={ () =>
+						addRule( createRuleGroup( [ createRule() ], 'or' ) )
+					}
+				>
+					{ __( 'Add group', 'lifterlms' ) }
+				</Button>
+			</div>
+		</div>
+	);
+}
@@ -0,0 +1,820 @@
+/**
+ * Inspector controls for a single block visibility rule
+ *
+ * @since [version]
+ * @version [version]
+ */
+
+// WP Deps.
+import { __ } from '@wordpress/i18n';
+import { Fragment, useEffect, useMemo, useState } from '@wordpress/element';
+import {
+	BaseControl,
+	CheckboxControl,
+	RangeControl,
+	SelectControl,
+	Spinner,
+	TextControl,
+} from '@wordpress/components';
+import { useInstanceId } from '@wordpress/compose';
+import { decodeEntities } from '@wordpress/html-entities';
+import { useSelect } from '@wordpress/data';
+import { applyFilters } from '@wordpress/hooks';
+
+// Internal Deps.
+import SearchPost from '../components/search-post';
+import { store as fieldsStore } from '../data/fields';
+import { fieldsObjectToArray } from '../data/fields/util';
+import {
+	hasOperatorValue,
+	isCourseProgressVisibility,
+	isEnrollmentStatusVisibility,
+	isQuizVisibility,
+	operatorOptions,
+	options as visibilityOptions,
+} from './settings';
+import { StaleNotice } from './stale';
+
+/**
+ * Retrieve options for the "visibility in" select control for quiz result visibility settings
+ *
+ * @since [version]
+ *
+ * @param {Object} currentPost Current post object.
+ * @return {Object[]} Options array.
+ */
+const getQuizInOptions = ( currentPost ) => {
+	const options = [];
+
+	if ( 'lesson' === currentPost.type ) {
+		options.push( {
+			value: 'this',
+			label: __( "this lesson's quiz", 'lifterlms' ),
+		} );
+	}
+
+	options.push(
+		{
+			value: 'list_all',
+			label: __( 'all of the selected quizzes', 'lifterlms' ),
+		},
+		{
+			value: 'list_any',
+			label: __( 'any of the selected quizzes', 'lifterlms' ),
+		}
+	);
+
+	return options;
+};
+
+/**
+ * Retrieve options for the "visibility in" select control for course progress visibility settings
+ *
+ * Lessons may be selected in addition to courses for the "completed" visibility.
+ *
+ * @since [version]
+ *
+ * @param {Object} currentPost Current post object.
+ * @param {string} visibility  Value of the "visibility" control.
+ * @return {Object[]} Options array.
+ */
+const getCourseInOptions = ( currentPost, visibility ) => {
+	const options = [];
+
+	if ( -1 !== [ 'course', 'lesson' ].indexOf( currentPost.type ) ) {
+		options.push( {
+			value: 'this',
+			label: __( 'this course', 'lifterlms' ),
+		} );
+	}
+
+	if ( 'completed' === visibility ) {
+		options.push(
+			{
+				value: 'list_all',
+				label: __(
+					'all of the selected courses or lessons',
+					'lifterlms'
+				),
+			},
+			{
+				value: 'list_any',
+				label: __(
+					'any of the selected courses or lessons',
+					'lifterlms'
+				),
+			}
+		);
+	} else {
+		options.push(
+			{
+				value: 'list_all',
+				label: __( 'all of the selected courses', 'lifterlms' ),
+			},
+			{
+				value: 'list_any',
+				label: __( 'any of the selected courses', 'lifterlms' ),
+			}
+		);
+	}
+
+	return options;
+};
+
+/**
+ * Retrieve a filtered object of options for the "visibility in" select control
+ *
+ * @since 1.0.0
+ * @since [version] Add `visibility` parameter and return specific options for "enrolled_days", "progress", "completed",
+ *                  "access_plan", enrollment status, and quiz result visibility.
+ *                  Moved from `inspect.js`.
+ *
+ * @param {string} visibility Value of the "visibility" control.
+ * @return {Object} Options object.
+ */
+export const getVisibilityInOptions = ( visibility ) => {
+	const currentPost = wp.data.select( 'core/editor' ).getCurrentPost();
+
+	let options = [];
+
+	if ( -1 !== [ 'course', 'lesson' ].indexOf( currentPost.type ) ) {
+		options.push( {
+			value: 'this',
+			label: __( 'in this course', 'lifterlms' ),
+		} );
+	}
+
+	options.push( {
+		value: 'any_course',
+		label: __( 'in any course', 'lifterlms' ),
+	} );
+
+	if ( -1 !== [ 'llms_membership' ].indexOf( currentPost.type ) ) {
+		options.push( {
+			value: 'this',
+			label: __( 'in this membership', 'lifterlms' ),
+		} );
+	}
+
+	options.push(
+		{
+			value: 'any_membership',
+			label: __( 'in any membership', 'lifterlms' ),
+		},
+		{
+			value: 'any',
+			label: __( 'in any course or membership', 'lifterlms' ),
+		},
+		{
+			value: 'list_all',
+			label: __(
+				'in all of the selected courses or memberships',
+				'lifterlms'
+			),
+		},
+		{
+			value: 'list_any',
+			label: __(
+				'in any of the selected courses or memberships',
+				'lifterlms'
+			),
+		}
+	);
+
+	if (
+		'enrolled_days' === visibility ||
+		isEnrollmentStatusVisibility( visibility )
+	) {
+		// Enrollment dates and statuses can only be checked against specific courses or memberships.
+		options = options.filter( ( { value } ) =>
+			[ 'this', 'list_all', 'list_any' ].includes( value )
+		);
+	} else if ( isCourseProgressVisibility( visibility ) ) {
+		options = getCourseInOptions( currentPost, visibility );
+	} else if ( isQuizVisibility( visibility ) ) {
+		options = getQuizInOptions( currentPost );
+	} else if ( 'access_plan' === visibility ) {
+		// Access plans are loaded from the current course or membership, or from the selected courses and memberships.
+		options = options.filter(
+			( { value } ) =>
+				'list_any' === value ||
+				( 'this' === value &&
+					-1 !==
+						[ 'course', 'llms_membership' ].indexOf(
+							currentPost.type
+						) )
+		);
+	}
+
+	/**
+	 * Filters the options available for the "visibility in" select control
+	 *
+	 * @since 1.0.0
+	 * @since [version] Added the `visibility` parameter.
+	 *
+	 * @param {Object[]} options     Options array.
+	 * @param {Object}   currentPost Current post object.
+	 * @param {string}   visibility  Value of the "visibility" control.
+	 */
+	return applyFilters(
+		'llms_blocks_block_visibility_in_options',
+		options,
+		currentPost,
+		visibility
+	);
+};
+
+/**
+ * Retrieve label text for the visibility "in" control.
+ *
+ * @since 1.0.0
+ * @since [version] Add labels for the "enrolled_days", "access_plan", "progress", "completed", enrollment status,
+ *                  and quiz result visibility.
+ *                  Moved from `inspect.js`.
+ *
+ * @param {string} visibility Value of the "visibility" control.
+ * @return {string} Translated label.
+ */
+export const getVisibilityInLabel = ( visibility ) => {
+	if (
+		-1 !==
+		[ 'enrolled', 'enrolled_days', 'access_plan' ].indexOf( visibility )
+	) {
+		return __( 'Enrolled In', 'lifterlms' );
+	} else if ( 'progress' === visibility ) {
+		return __( 'Progress In', 'lifterlms' );
+	} else if ( 'completed' === visibility ) {
+		return __( 'Completed', 'lifterlms' );
+	} else if ( isEnrollmentStatusVisibility( visibility ) ) {
+		return __( 'Enrollment In', 'lifterlms' );
+	} else if ( isQuizVisibility( visibility ) ) {
+		return __( 'Quiz', 'lifterlms' );
+	}
+	return __( 'Not Enrolled In', 'lifterlms' );
+};
+
+/**
+ * Inspector controls for the user information field visibility setting
+ *
+ * Fields are retrieved from the user information fields data store and identified by their data store (usermeta) key.
+ *
+ * @since [version]
+ *
+ * @param {Object}   props
+ * @param {string}   props.field    Data store key of the selected field.
+ * @param {string}   props.operator Comparison operator.
+ * @param {string}   props.value    Value compared against the user's stored value.
+ * @param {Function} props.onChange Callback function called with the modified rule properties.
+ * @return {Fragment} Component HTML fragment.
+ */
+const UserFieldControls = ( { field, operator, value, onChange } ) => {
+	const fields = useSelect( ( select ) =>
+		fieldsObjectToArray( select( fieldsStore ).getFields() )
+	);
+
+	/**
+	 * Filters a list of user information fields which cannot be used for block visibility
+	 *
+	 * @since [version]
+	 *
+	 * @param {string[]} exclude List of field IDs which should be excluded.
+	 */
+	const exclude = applyFilters( 'llms_block_visibility_user_fields_exclude', [
+		'password',
+	] );
+
+	const options = fields
+		.filter(
+			( { id, data_store_key } ) =>
+				data_store_key && ! exclude.includes( id )
+		)
+		.map( ( { label, name, data_store_key } ) => ( {
+			value: data_store_key,
+			label: label || name,
+		} ) );
+
+	// Preserve a selected field which is no longer available in the store.
+	if ( field && ! options.find( ( option ) => field === option.value ) ) {
+		options.unshift( { value: field, label: field } );
+	}
+
+	return (
+		<Fragment>
+			<SelectControl
+				className="llms-visibility-field"
+				label={ __( 'User Information Field', 'lifterlms' ) }
+				value={ field }
+				onChange={ ( newField ) => onChange( { field: newField } ) }
+				options={ [
+					{ value: '', label: __( '— Select —', 'lifterlms' ) },
+					...options,
+				] }
+			/>
+			<SelectControl
+				className="llms-visibility-operator"
+				label={ __( 'Comparison', 'lifterlms' ) }
+				value={ operator }
+				onChange={ ( newOperator ) =>
+					onChange( { operator: newOperator } )
+				}
+				options={ operatorOptions }
+			/>
+			{ hasOperatorValue( operator ) && (
+				<TextControl
+					className="llms-visibility-value"
+					label={ __( 'Value', 'lifterlms' ) }
+					help={ __(
+						'For fields storing multiple values, like checkboxes, each selected value is compared.',
+						'lifterlms'
+					) }
+					value={ value }
+					onChange={ ( newValue ) => onChange( { value: newValue } ) }
+				/>
+			) }
+		</Fragment>
+	);
+};
+
+/**
+ * Inspector controls used to select access plans for the access plan visibility setting
+ *
+ * Access plans are loaded via the LifterLMS REST API for the selected courses and memberships.
+ *
+ * @since [version]
+ *
+ * @param {Object}   props
+ * @param {number[]} props.productIds IDs of the courses and memberships to load access plans for.
+ * @param {Object[]} props.plans      Selected access plans.
+ * @param {Function} props.onChange   Callback function called with the updated array of selected access plans.
+ * @return {BaseControl} Component HTML.
+ */
+const AccessPlanControls = ( { productIds, plans, onChange } ) => {
+	const [ available, setAvailable ] = useState( null ),
+		productsKey = productIds.join(),
+		ids = useMemo(
+			() => ( productsKey ? productsKey.split( ',' ).map( Number ) : [] ),
+			[ productsKey ]
+		),
+		instanceId = useInstanceId( AccessPlanControls );
+
+	useEffect( () => {
+		let isMounted = true;
+
+		if ( ids.length ) {
+			setAvailable( null );
+			wp.apiFetch( {
+				path: wp.url.addQueryArgs( '/llms/v1/access-plans', {
+					post_id: ids,
+					per_page: 100,
+				} ),
+			} ).then(
+				( results ) => isMounted && setAvailable( results ),
+				() => isMounted && setAvailable( [] )
+			);
+		} else {
+			setAvailable( [] );
+		}
+
+		return () => {
+			isMounted = false;
+		};
+	}, [ ids ] );
+
+	/**
+	 * On change event callback for an access plan checkbox control
+	 *
+	 * Selected plans which don't belong to the current courses and memberships are removed.
+	 *
+	 * @since [version]
+	 *
+	 * @param {Object}  plan    Access plan object from the REST API.
+	 * @param {boolean} checked Whether or not the plan is checked.
+	 * @return {void}
+	 */
+	const onChangePlan = ( plan, checked ) => {
+		const availableIds = available.map( ( { id } ) => id ),
+			selected = plans.filter(
+				( { id } ) =>
+					id !== plan.id && -1 !== availableIds.indexOf( id )
+			);
+
+		if ( checked ) {
+			selected.push( {
+				id: plan.id,
+				title: decodeEntities( plan.title.rendered || plan.title ),
+			} );
+		}
+
+		onChange( selected );
+	};
+
+	return (
+		<BaseControl
+			id={ `llms-visibility-plans-${ instanceId }` }
+			className="llms-visibility-plans"
+			label={ __( 'Access Plans', 'lifterlms' ) }
+		>
+			{ null === available && <Spinner /> }
+			{ available && ! available.length && (
+				<p>
+					{ productIds.length
+						? __( 'No access plans found.', 'lifterlms' )
+						: __(
+								'Select a course or membership to choose its access plans.',
+								'lifterlms'
+						  ) }
+				</p>
+			) }
+			{ available &&
+				available.map( ( plan ) => (
+					<CheckboxControl
+						key={ plan.id }
+						label={ decodeEntities(
+							plan.title.rendered || plan.title
+						) }
+						checked={ plans.some( ( { id } ) => id === plan.id ) }
+						onChange={ ( checked ) =>
+							onChangePlan( plan, checked )
+						}
+					/>
+				) ) }
+		</BaseControl>
+	);
+};
+
+/**
+ * Inspector controls for a single visibility rule
+ *
+ * Changes are passed to the `onChange` callback as an object containing only the modified rule properties.
+ *
+ * @since [version]
+ *
+ * @param {Object}   props
+ * @param {Object}   props.rule     Visibility rule object, see `rules.js`.
+ * @param {Function} props.onChange Callback function called with the modified rule properties.
+ * @return {Fragment} Component HTML fragment.
+ */
+export default function RuleControls( { rule, onChange } ) {
+	const {
+			visibility,
+			in: visibilityIn,
+			days,
+			progress,
+			roles = [],
+			capability,
+			field,
+			operator,
+			value,
+			plans = [],
+		} = rule,
+		posts = [ ...rule.posts ],
+		planProductIds =
+			'this' === visibilityIn
+				? [ wp.data.select( 'core/editor' ).getCurrentPost().id ]
+				: posts.map( ( { id } ) => id ),
+		isCourseProgress = isCourseProgressVisibility( visibility ),
+		isQuizResult = isQuizVisibility( visibility ),
+		hasTarget =
+			-1 ===
+			[
+				'all',
+				'logged_in',
+				'logged_out',
+				'role',
+				'capability',
+				'user_field',
+			].indexOf( visibility ),
+		instanceId = useInstanceId( RuleControls );
+
+	/**
+	 * Save the current posts state.
+	 *
+	 * @since 1.0.0
+	 * @since 2.0.0 The post object stored in the block attribute was reduced to
+	 *               include only the minimum required properties.
+	 * @since [version] Moved from `inspect.js`.
+	 *
+	 * @return {void}
+	 */
+	const savePosts = () => {
+		// Reduce the post objects to only what we require to save.
+		const toSave = posts.map( ( post ) => {
+			const { id, title, type } = post,
+				stored = { id, title, type };
+
+			/**
+			 * Filters the reduced WP_Post object stored as a block attribute
+			 *
+			 * By default, the `id`, `title`, and `type` properties are stored, should
+			 * additional object properties be required they may be added here.
+			 *
+			 * @since 2.0.0
+			 *
+			 * @param {Object} stored Reduced WP_Post object.
+			 * @param {Object} pot    The original WP_Post object.
+			 */
+			return applyFilters(
+				'llms_block_visibility_stored_post_props',
+				stored,
+				post
+			);
+		} );
+
+		onChange( { posts: toSave } );
+	};
+
+	/**
+	 * Adds a post to the posts list & saves.
+	 *
+	 * @since 1.0.0
+	 * @since [version] Moved from `inspect.js`.
+	 *
+	 * @param {Object} add WP_Post.
+	 * @return {void}
+	 */
+	const addPost = ( add ) => {
+		if ( ! posts.map( ( { id } ) => id ).includes( add.id ) ) {
+			posts.push( add );
+		}
+		savePosts();
+	};
+
+	/**
+	 * Deletes a post from the posts list & saves.
+	 *
+	 * @since 1.0.0
+	 * @since [version] Moved from `inspect.js`.
+	 *
+	 * @param {Object} del WP_Post.
+	 * @return {void}
+	 */
+	const delPost = ( del ) => {
+		posts.splice( posts.map( ( { id } ) => id ).indexOf( del.id ), 1 );
+		savePosts();
+	};
+
+	/**
+	 * Removes a list of posts from the posts list & saves.
+	 *
+	 * @since [version]
+	 *
+	 * @param {Object[]} remove Array of reduced post objects.
+	 * @return {void}
+	 */
+	const removePosts = ( remove ) => {
+		remove.forEach( ( { id } ) =>
+			posts.splice( posts.map( ( post ) => post.id ).indexOf( id ), 1 )
+		);
+		savePosts();
+	};
+
+	/**
+	 * Updates the stored titles of posts in the posts list & saves.
+	 *
+	 * @since [version]
+	 *
+	 * @param {Object} titles Object of post ID => post title.
+	 * @return {void}
+	 */
+	const refreshTitles = ( titles ) => {
+		posts.forEach( ( post, i ) => {
+			if ( titles[ post.id ] ) {
+				posts[ i ] = { ...post, title: titles[ post.id ] };
+			}
+		} );
+		savePosts();
+	};
+
+	/**
+	 * On change event callback for seaching specific posts.
+	 *
+	 * @since 1.0.0
+	 * @since [version] Moved from `inspect.js`.
+	 *
+	 * @param {Object} post  WP_Post object.
+	 * @param {Object} event JS event obj.
+	 * @return {void}
+	 */
+	const onChangePosts = ( post, event ) => {
+		if ( 'select-option' === event.action ) {
+			addPost( event.option );
+		} else if ( 'remove-value' === event.action ) {
+			delPost( event.removedValue );
+		}
+	};
+
+	/**
+	 * On Change event callback for visibility select control
+	 *
+	 * Additionally updates the valued of "visibility in" to be the default value.
+	 * Resolves an issue that causes the `in` value to not be stored because no change event is triggerd on the control.
+	 *
+	 * @since 1.1.0
+	 * @since [version] Use the "visibility in" options for the new visibility value.
+	 *                  Moved from `inspect.js`.
+	 *
+	 * @param {string} val Setting value.
+	 * @return {void}
+	 */
+	const onChangeVisibility = ( val ) => {
+		onChange( {
+			visibility: val,
+			in: getVisibilityInOptions( val )[ 0 ].value,
+		} );
+	};
+
+	/**
+	 * On change event callback for a role checkbox control
+	 *
+	 * @since [version]
+	 *
+	 * @param {string}  role    Role slug.
+	 * @param {boolean} checked Whether or not the role is checked.
+	 * @return {void}
+	 */
+	const onChangeRole = ( role, checked ) => {
+		onChange( {
+			roles: checked
+				? [ ...roles, role ]
+				: roles.filter( ( item ) => item !== role ),
+		} );
+	};
+
+	/**
+	 * Render a post search control for a post type
+	 *
+	 * @since [version]
+	 *
+	 * @param {string} postType    Post type.
+	 * @param {string} label       Control label.
+	 * @param {string} placeholder Search input placeholder.
+	 * @return {SearchPost} Component.
+	 */
+	const renderSearch = ( postType, label, placeholder ) => (
+		<SearchPost
+			isMulti
+			postType={ postType }
+			label={ label }
+			placeholder={ placeholder }
+			onChange={ onChangePosts }
+			selected={ posts.filter( ( post ) => postType === post.type ) }
+		/>
+	);
+
+	return (
+		<Fragment>
+			<SelectControl
+				className="llms-visibility-select"
+				label={ __( 'Display to', 'lifterlms' ) }
+				value={ visibility }
+				onChange={ onChangeVisibility }
+				options={ applyFilters(
+					'llms_block_visibility_settings_options',
+					visibilityOptions
+				) }
+			/>
+
+			{ 'role' === visibility && (
+				<BaseControl
+					id={ `llms-visibility-roles-${ instanceId }` }
+					className="llms-visibility-roles"
+					label={ __( 'Roles', 'lifterlms' ) }
+				>
+					{ Object.keys( window.llms.roles || {} ).map( ( role ) => (
+						<CheckboxControl
+							key={ role }
+							label={ window.llms.roles[ role ] }
+							checked={ -1 !== roles.indexOf( role ) }
+							onChange={ ( checked ) =>
+								onChangeRole( role, checked )
+							}
+						/>
+					) ) }
+				</BaseControl>
+			) }
+
+			{ 'capability' === visibility && (
+				<TextControl
+					className="llms-visibility-capability"
+					label={ __( 'Capability', 'lifterlms' ) }
+					help={ __(
+						'The block is displayed to users who have this capability, for example "edit_posts".',
+						'lifterlms'
+					) }
+					value={ capability }
+					onChange={ ( val ) =>
+						onChange( { capability: val.trim() } )
+					}
+				/>
+			) }
+
+			{ 'user_field' === visibility && (
+				<UserFieldControls
+					field={ field }
+					operator={ operator }
+					value={ value }
+					onChange={ onChange }
+				/>
+			) }
+
+			{ hasTarget && (
+				<Fragment>
+					{ 'enrolled_days' === visibility && (
+						<TextControl
+							className="llms-visibility-days"
+							label={ __( 'Days After Enrollment', 'lifterlms' ) }
+							help={ __(
+								'The block is displayed once the student has been enrolled for this number of days.',
+								'lifterlms'
+							) }
+							type="number"
+							min="0"
+							step="1"
+							value={ days }
+							onChange={ ( val ) =>
+								onChange( {
+									days: Math.max(
+										0,
+										parseInt( val, 10 ) || 0
+									),
+								} )
+							}
+						/>
+					) }
+					{ 'progress' === visibility && (
+						<RangeControl
+							className="llms-visibility-progress"
+							label={ __( 'Minimum Progress (%)', 'lifterlms' ) }
+							help={ __(
+								'The block is displayed to enrolled students who have completed at least this percentage of the course.',
+								'lifterlms'
+							) }
+							min={ 0 }
+							max={ 100 }
+							value={ progress }
+							onChange={ ( val ) =>
+								onChange( {
+									progress: parseInt( val, 10 ) || 0,
+								} )
+							}
+						/>
+					) }
+					<SelectControl
+						className="llms-visibility-select--in"
+						label={ getVisibilityInLabel( visibility ) }
+						value={ visibilityIn }
+						onChange={ ( val ) => onChange( { in: val } ) }
+						options={ getVisibilityInOptions( visibility ) }
+					/>
+
+					{ ( 'list_all' === visibilityIn ||
+						'list_any' === visibilityIn ) && (
+						<div>
+							<StaleNotice
+								posts={ posts }
+								onRemove={ removePosts }
+								onRefresh={ refreshTitles }
+							/>
+							{ ! isQuizResult &&
+								renderSearch(
+									'course',
+									__( 'Courses', 'lifterlms' ),
+									__( 'Search by course title…', 'lifterlms' )
+								) }
+							{ ! isCourseProgress &&
+								! isQuizResult &&
+								renderSearch(
+									'llms_membership',
+									__( 'Memberships', 'lifterlms' ),
+									__(
+										'Search by membership title…',
+										'lifterlms'
+									)
+								) }
+							{ 'completed' === visibility &&
+								renderSearch(
+									'lesson',
+									__( 'Lessons', 'lifterlms' ),
+									__( 'Search by lesson title…', 'lifterlms' )
+								) }
+							{ isQuizResult &&
+								renderSearch(
+									'llms_quiz',
+									__( 'Quizzes', 'lifterlms' ),
+									__( 'Search by quiz title…', 'lifterlms' )
+								) }
+						</div>
+					) }
+
+					{ 'access_plan' === visibility && (
+						<AccessPlanControls
+							productIds={ planProductIds }
+							plans={ plans }
+							onChange={ ( val ) => onChange( { plans: val } ) }
+						/>
+					) }
+				</Fragment>
+			) }
+		</Fragment>
+	);
+}
@@ -0,0 +1,273 @@
+/**
+ * Helpers for working with block visibility rules
+ *
+ * A visibility rule is an object describing a single visibility condition:
+ *
+ *     {
+ *         id: 'k3x9q2m1',
+ *         visibility: 'enrolled',
+ *         in: 'list_any',
+ *         posts: [ { id: 123, title: 'Course A', type: 'course' } ],
+ *         days: 0,
+ *         progress: 0,
+ *         roles: [],
+ *         capability: '',
+ *         field: '',
+ *         operator: 'is',
+ *         value: '',
+ *         plans: [ { id: 456, title: 'Pro' } ],
+ *     }
+ *
+ * Blocks using a single rule store it in the individual `llms_visibility*` attributes. Composite rule sets
+ * are stored as a JSON string in the `llms_visibility_rules` attribute, as a group object:
+ *
+ *     {
+ *         id: 'p7w4t0za',
+ *         relation: 'and',
+ *         rules: [ rule, { id: 'f2n8c5yd', relation: 'or', rules: [ rule, rule ] } ],
+ *     }
+ *
+ * The `id` of rules and groups is only used by the block editor to identify them while they're edited.
+ *
+ * @since [version]
+ * @version [version]
+ */
+
+// WP Deps.
+import { __, sprintf } from '@wordpress/i18n';
+import { decodeEntities } from '@wordpress/html-entities';
+
+/**
+ * Map of rule properties to their related block attribute name.
+ *
+ * @since [version]
+ *
+ * @type {Object}
+ */
+const ATTRIBUTE_MAP = {
+	visibility: 'llms_visibility',
+	in: 'llms_visibility_in',
+	posts: 'llms_visibility_posts',
+	days: 'llms_visibility_days',
+	progress: 'llms_visibility_progress',
+	roles: 'llms_visibility_roles',
+	capability: 'llms_visibility_capability',
+	field: 'llms_visibility_field',
+	operator: 'llms_visibility_operator',
+	value: 'llms_visibility_value',
+	plans: 'llms_visibility_plans',
+};
+
+/**
+ * Rule properties stored as JSON strings in block attributes.
+ *
+ * @since [version]
+ *
+ * @type {string[]}
+ */
+const JSON_PROPERTIES = [ 'posts', 'roles', 'plans' ];
+
+/**
+ * Generate an ID for a visibility rule or group
+ *
+ * IDs are stored with the rules so they must be unique across editing sessions.
+ *
+ * @since [version]
+ *
+ * @return {string} Random ID.
+ */
+export const createRuleId = () => Math.random().toString( 36 ).slice( 2, 10 );
+
+/**
+ * Add an ID to the rules and groups of a list which don't have one
+ *
+ * @since [version]
+ *
+ * @param {Object[]} rules Rule and group objects.
+ * @return {Object[]} Rule and group objects with an ID.
+ */
+export const withRuleIds = ( rules ) =>
+	rules.map( ( rule ) =>
+		rule.id ? rule : { ...rule, id: createRuleId() }
+	);
+
+/**
+ * Create a new visibility rule
+ *
+ * @since [version]
+ *
+ * @param {Object} rule Rule properties to override the defaults with.
+ * @return {Object} Visibility rule object.
+ */
+export const createRule = ( rule = {} ) => ( {
+	id: createRuleId(),
+	visibility: 'logged_in',
+	in: '',
+	posts: [],
+	days: 0,
+	progress: 0,
+	roles: [],
+	capability: '',
+	field: '',
+	operator: 'is',
+	value: '',
+	plans: [],
+	...rule,
+} );
+
+/**
+ * Create a new group of visibility rules
+ *
+ * @since [version]
+ *
+ * @param {Object[]} rules    Rules (or groups) in the group.
+ * @param {string}   relation Relation used to join the rules, either "and" or "or".
+ * @return {Object} Rule group object.
+ */
+export const createRuleGroup = ( rules = [], relation = 'and' ) => ( {
+	id: createRuleId(),
+	relation,
+	rules,
+} );
+
+/**
+ * Determine if an item in a rule group is a nested group
+ *
+ * @since [version]
+ *
+ * @param {Object} item Rule or rule group object.
+ * @return {boolean} Returns `true` for rule groups.
+ */
+export const isRuleGroup = ( item ) => Array.isArray( item.rules );
+
+/**
+ * Parse the composite rule set stored in the `llms_visibility_rules` attribute
+ *
+ * @since [version]
+ *
+ * @param {string} rules JSON string.
+ * @return {?Object} Rule group object or `null` when the block doesn't use composite rules.
+ */
+export const parseRules = ( rules ) => {
+	if ( ! rules ) {
+		return null;
+	}
+
+	try {
+		const parsed = JSON.parse( rules );
+		return parsed && isRuleGroup( parsed ) ? parsed : null;
+	} catch ( e ) {
+		return null;
+	}
+};
+
+/**
+ * Retrieve a single visibility rule from a block's attributes
+ *
+ * @since [version]
+ *
+ * @param {Object} attributes Block attributes.
+ * @return {Object} Visibility rule object.
+ */
+export const getRuleFromAttributes = ( attributes ) => {
+	const {
+		llms_visibility_posts,
+		llms_visibility_roles,
+		llms_visibility_plans,
+	} = attributes;
+
+	return createRule( {
+		visibility: attributes.llms_visibility,
+		in: attributes.llms_visibility_in,
+		posts: JSON.parse( llms_visibility_posts || '[]' ),
+		days: attributes.llms_visibility_days,
+		progress: attributes.llms_visibility_progress,
+		roles: JSON.parse( llms_visibility_roles || '[]' ),
+		capability: attributes.llms_visibility_capability,
+		field: attributes.llms_visibility_field,
+		operator: attributes.llms_visibility_operator,
+		value: attributes.llms_visibility_value,
+		plans: JSON.parse( llms_visibility_plans || '[]' ),
+	} );
+};
+
+/**
+ * Retrieve the posts targeted by a block's visibility rule(s)
+ *
+ * Posts are only targeted by rules which use a list of selected posts. Posts stored for other rules are ignored.
+ *
+ * @since [version]
+ *
+ * @param {Object} attributes Block attributes.
+ * @return {Object[]} Array of reduced post objects.
+ */
+export const getTargetPosts = ( attributes ) => {
+	const rules = parseRules( attributes.llms_visibility_rules );
+
+	/**
+	 * Retrieve the posts targeted by a rule or group
+	 *
+	 * @param {Object} item Rule or rule group object.
+	 * @return {Object[]} Array of reduced post objects.
+	 */
+	const getPosts = ( item ) => {
+		if ( isRuleGroup( item ) ) {
+			return item.rules.reduce(
+				( posts, rule ) => [ ...posts, ...getPosts( rule ) ],
+				[]
+			);
+		}
+
+		if ( -1 === [ 'list_all', 'list_any' ].indexOf( item.in ) ) {
+			return [];
+		}
+
+		return item.posts || [];
+	};
+
+	return getPosts( rules || getRuleFromAttributes( attributes ) );
+};
+
+/**
+ * Convert (a subset of) rule properties into block attributes
+ *
+ * Only the properties present in the supplied object are returned.
+ *
+ * @since [version]
+ *
+ * @param {Object} rule Visibility rule properties.
+ * @return {Object} Block attributes object.
+ */
+export const getAttributesFromRule = ( rule ) =>
+	Object.keys( rule ).reduce( ( attributes, key ) => {
+		if ( ATTRIBUTE_MAP[ key ] ) {
+			attributes[ ATTRIBUTE_MAP[ key ] ] =
+				-1 !== JSON_PROPERTIES.indexOf( key )
+					? JSON.stringify( rule[ key ] )
+					: rule[ key ];
+		}
+		return attributes;
+	}, {} );
+
+/**
+ * Retrieve the title of a post stored in a visibility rule
+ *
+ * Posts stored from search results have a title object with a `rendered` property.
+ *
+ * @since [version]
+ *
+ * @param {Object}        post       Reduced post object.
+ * @param {number}        post.id    Post ID.
+ * @param {string|Object} post.title Stored post title, or a title object with a `rendered` property.
+ * @return {string} Post title.
+ */
+export const getPostTitle = ( { id, title } ) => {
+	title = title && title.rendered ? title.rendered : title;
+	return title
+		? decodeEntities( title )
+		: sprintf(
+				// Translators: %d = Post ID.
+				__( 'ID# %d', 'lifterlms' ),
+				id
+		  );
+};
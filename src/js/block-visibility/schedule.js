@@ -0,0 +1,208 @@
+/**
+ * Scheduled (date window) block visibility
+ *
+ * @since [version]
+ * @version [version]
+ */
+
+// WP Deps.
+import { __, sprintf } from '@wordpress/i18n';
+import {
+	Button,
+	DateTimePicker,
+	Dropdown,
+	PanelRow,
+} from '@wordpress/components';
+import { Fragment } from '@wordpress/element';
+import { dateI18n, getSettings as getDateSettings } from '@wordpress/date';
+
+/**
+ * Retrieve the site's date and time formats.
+ *
+ * `getSettings()` isn't available in WordPress versions older than 6.1, the
+ * WordPress default formats are used in that case.
+ *
+ * @since [version]
+ *
+ * @return {Object} Object with `date` and `time` format strings.
+ */
+const getDateFormats = () =>
+	getDateSettings
+		? getDateSettings().formats
+		: { date: 'F j, Y', time: 'g:i a' };
+
+/**
+ * Format a stored schedule date for display.
+ *
+ * @since [version]
+ *
+ * @param {string} date Date string, as stored in the block attribute.
+ * @return {string} Date formatted according to the site's date and time format settings.
+ */
+export const formatScheduleDate = ( date ) => {
+	const formats = getDateFormats();
+	return dateI18n( `${ formats.date } ${ formats.time }`, date );
+};
+
+/**
+ * Retrieve a message describing a block's visibility schedule.
+ *
+ * @since [version]
+ *
+ * @param {string} start Schedule start date.
+ * @param {string} end   Schedule end date.
+ * @return {string} Translated message or an empty string when no schedule is set.
+ */
+export const getScheduleMessage = ( start, end ) => {
+	if ( start && end ) {
+		return sprintf(
+			// Translators: %1$s = Schedule start date; %2$s = Schedule end date.
+			__( 'Visible from %1$s until %2$s', 'lifterlms' ),
+			formatScheduleDate( start ),
+			formatScheduleDate( end )
+		);
+	} else if ( start ) {
+		return sprintf(
+			// Translators: %s = Schedule start date.
+			__( 'Visible from %s', 'lifterlms' ),
+			formatScheduleDate( start )
+		);
+	} else if ( end ) {
+		return sprintf(
+			// Translators: %s = Schedule end date.
+			__( 'Visible until %s', 'lifterlms' ),
+			formatScheduleDate( end )
+		);
+	}
+
+	return '';
+};
+
+/**
+ * Determine if the site's time format uses a 12 hour clock.
+ *
+ * @since [version]
+ *
+ * @return {boolean} Returns `true` for 12 hour time formats.
+ */
+export const is12HourTime = () => {
+	const formats = getDateFormats();
+
+	// To know if the time format is a 12 hour time, look for "a". Also make sure this "a" isn't escaped by a "/".
+	return /a(?!\\)/i.test(
+		formats.time
+			.toLowerCase()
+			.replace( /\\\\/g, '' )
+			.split( '' )
+			.reverse()
+			.join( '' )
+	);
+};
+
+/**
+ * Control used to select a single schedule date.
+ *
+ * @since [version]
+ *
+ * @param {Object}   props
+ * @param {string}   props.className  CSS class name applied to the control row.
+ * @param {string}   props.label      Control label.
+ * @param {string}   props.emptyLabel Text displayed when no date is selected.
+ * @param {string}   props.value      Current date value.
+ * @param {Function} props.onChange   Callback function called with the new date string.
+ * @return {PanelRow} Component HTML fragment.
+ */
+export function ScheduleDateControl( {
+	className,
+	label,
+	emptyLabel,
+	value,
+	onChange,
+} ) {
+	return (
+		<PanelRow className={ `llms-visibility-schedule ${ className }` }>
+			<span>{ label }</span>
+			<Dropdown
+				position="bottom left"
+				contentClassName="llms-visibility-schedule--dialog"
+				renderToggle={ ( { isOpen, onToggle } ) => (
+					<Button
+						isLink
+						onClick={ onToggle }
+						aria-expanded={ isOpen }
+					>
+						{ value ? formatScheduleDate( value ) : emptyLabel }
+					</Button>
+				) }
+				renderContent={ () => (
+					<Fragment>
+						<DateTimePicker
+							currentDate={ value || undefined }
+							onChange={ onChange }
+							is12Hour={ is12HourTime() }
+						/>
+						{ value && (
+							<Button
+								isLink
+								isDestructive
+								onClick={ () => onChange( '' ) }
+							>
+								{ __( 'Clear', 'lifterlms' ) }
+							</Button>
+						) }
+					</Fragment>
+				) }
+			/>
+		</PanelRow>
+	);
+}
+
+/**
+ * Schedule controls added to the "Enrollment Visibility" inspector panel.
+ *
+ * @since [version]
+ *
+ * @param {Object}   props
+ * @param {Object}   props.attributes    Block attributes.
+ * @param {Function} props.setAttributes Block attribute setter.
+ * @return {Fragment} Component HTML fragment.
+ */
+export default function ScheduleControls( { attributes, setAttributes } ) {
+	const { llms_visibility_start, llms_visibility_end } = attributes,
+		isInvalid =
+			llms_visibility_start &&
+			llms_visibility_end &&
+			new Date( llms_visibility_end ) <=
+				new Date( llms_visibility_start );
+
+	return (
+		<Fragment>
+			<ScheduleDateControl
+				className="llms-visibility-schedule--start"
+				label={ __( 'Visible from', 'lifterlms' ) }
+				emptyLabel={ __( 'Immediately', 'lifterlms' ) }
+				value={ llms_visibility_start }
+				onChange={ ( value ) =>
+					setAttributes( { llms_visibility_start: value || '' } )
+				}
+			/>
+			<ScheduleDateControl
+				className="llms-visibility-schedule--end"
+				label={ __( 'Visible until', 'lifterlms' ) }
+				emptyLabel={ __( 'Forever', 'lifterlms' ) }
+				value={ llms_visibility_end }
+				onChange={ ( value ) =>
+					setAttributes( { llms_visibility_end: value || '' } )
+				}
+			/>
+			{ isInvalid && (
+				<p className="llms-visibility-schedule--invalid">
+					{ __(
+						'The end date must be after the start date. This block will never be visible.',
+						'lifterlms'
+					) }
+				</p>
+			) }
+		</Fragment>
+	);
+}
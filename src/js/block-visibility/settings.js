@@ -2,7 +2,7 @@
  * Settings used by the block visibility component
  *
  * @since 2.0.0
- * @version 2.0.0
+ * @version [version]
  */
 
 // WP deps.
@@ -11,14 +11,56 @@ import { __ } from '@wordpress/i18n';
 /**
  * Settings value -> label map.
  *
+ * @since 2.0.0
+ * @since [version] Add "enrolled_days", "progress", "completed", quiz result, "role", "capability", "user_field",
+ *                  "access_plan", and enrollment status settings.
+ *
  * @type {Object}
  */
 const settings = {
 	all: __( 'everyone', 'lifterlms' ),
 	enrolled: __( 'enrolled users', 'lifterlms' ),
+	enrolled_days: __( 'users enrolled for a number of days', 'lifterlms' ),
+	access_plan: __(
+		'users enrolled through specific access plans',
+		'lifterlms'
+	),
 	not_enrolled: __( 'non-enrolled users or visitors', 'lifterlms' ),
+	enrollment_pending: __( 'users with a pending enrollment', 'lifterlms' ),
+	enrollment_expired: __( 'users whose enrollment expired', 'lifterlms' ),
+	enrollment_cancelled: __(
+		'users whose enrollment was cancelled',
+		'lifterlms'
+	),
 	logged_in: __( 'logged in users', 'lifterlms' ),
 	logged_out: __( 'logged out users', 'lifterlms' ),
+	role: __( 'users with a specific role', 'lifterlms' ),
+	capability: __( 'users with a specific capability', 'lifterlms' ),
+	user_field: __( 'users with a user information field value', 'lifterlms' ),
+	progress: __( 'users with a minimum course progress', 'lifterlms' ),
+	completed: __( 'users who completed courses or lessons', 'lifterlms' ),
+	quiz_passed: __( 'users who passed a quiz', 'lifterlms' ),
+	quiz_failed: __( 'users who failed a quiz', 'lifterlms' ),
+	quiz_not_attempted: __(
+		'users who have not attempted a quiz',
+		'lifterlms'
+	),
+};
+
+/**
+ * User information field comparison operator value -> label map.
+ *
+ * @since [version]
+ *
+ * @type {Object}
+ */
+const operators = {
+	is: __( 'is', 'lifterlms' ),
+	is_not: __( 'is not', 'lifterlms' ),
+	contains: __( 'contains', 'lifterlms' ),
+	not_contains: __( 'does not contain', 'lifterlms' ),
+	empty: __( 'is empty', 'lifterlms' ),
+	not_empty: __( 'is not empty', 'lifterlms' ),
 };
 
 /**
@@ -31,6 +73,80 @@ const settings = {
  */
 export const getSetting = ( setting ) => settings[ setting ] || setting;
 
+/**
+ * Determine if a setting value is a quiz result visibility setting
+ *
+ * @since [version]
+ *
+ * @param {string} setting Setting value.
+ * @return {boolean} Returns `true` for quiz result settings.
+ */
+export const isQuizVisibility = ( setting ) =>
+	-1 !==
+	[ 'quiz_passed', 'quiz_failed', 'quiz_not_attempted' ].indexOf( setting );
+
+/**
+ * Determine if a setting value is a course progress or completion visibility setting
+ *
+ * The "completed" setting is also used for the "completed" enrollment status.
+ *
+ * @since [version]
+ *
+ * @param {string} setting Setting value.
+ * @return {boolean} Returns `true` for course progress and completion settings.
+ */
+export const isCourseProgressVisibility = ( setting ) =>
+	-1 !== [ 'progress', 'completed' ].indexOf( setting );
+
+/**
+ * Determine if a setting value is an enrollment status visibility setting
+ *
+ * @since [version]
+ *
+ * @param {string} setting Setting value.
+ * @return {boolean} Returns `true` for enrollment status settings.
+ */
+export const isEnrollmentStatusVisibility = ( setting ) =>
+	-1 !==
+	[
+		'enrollment_pending',
+		'enrollment_expired',
+		'enrollment_cancelled',
+	].indexOf( setting );
+
+/**
+ * Retrieve the label for a user information field comparison operator
+ *
+ * @since [version]
+ *
+ * @param {string} operator Operator value.
+ * @return {string} Operator label.
+ */
+export const getOperator = ( operator ) => operators[ operator ] || operator;
+
+/**
+ * Determine if a user information field comparison operator compares against a value
+ *
+ * @since [version]
+ *
+ * @param {string} operator Operator value.
+ * @return {boolean} Returns `false` for the "empty" and "not_empty" operators.
+ */
+export const hasOperatorValue = ( operator ) =>
+	-1 === [ 'empty', 'not_empty' ].indexOf( operator );
+
+/**
+ * Array of user information field comparison operator options as used by a select control
+ *
+ * @since [version]
+ *
+ * @type {Object[]}
+ */
+export const operatorOptions = Object.keys( operators ).map( ( key ) => ( {
+	label: operators[ key ],
+	value: key,
+} ) );
+
 /**
  * Array of settings options as used by a select control
  *
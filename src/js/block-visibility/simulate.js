@@ -0,0 +1,258 @@
+/**
+ * Client-side simulation of block visibility for a "preview as" persona
+ *
+ * Mirrors the server-side logic found in `LLMS_Blocks_Visibility` for a small set of personas. The
+ * "enrolled" persona is a student who was just enrolled into a single course, so they have no progress,
+ * completed lessons, or quiz attempts, and their enrollment is active. The access plan used by the "enrolled"
+ * persona is unknown. Logged in personas have the "student" role and only the "read" capability and have no
+ * stored user information field values.
+ *
+ * @since [version]
+ * @version [version]
+ */
+
+// WP Deps.
+import { select } from '@wordpress/data';
+import { getSettings as getDateSettings } from '@wordpress/date';
+
+// Internal Deps.
+import { getRuleFromAttributes, isRuleGroup, parseRules } from './rules';
+
+/**
+ * Retrieve the ID of the course of the post being edited
+ *
+ * Lessons resolve to their parent course, like the "this" course handling of `LLMS_Blocks_Visibility`.
+ *
+ * @since [version]
+ *
+ * @return {number} WP_Post ID of the course or `0` when the post isn't a course or a lesson.
+ */
+const getCurrentCourseId = () => {
+	const currentPost = select( 'core/editor' ).getCurrentPost();
+
+	if ( 'course' === currentPost.type ) {
+		return currentPost.id;
+	} else if ( 'lesson' === currentPost.type ) {
+		return currentPost.llms_parent_course || 0;
+	}
+
+	return 0;
+};
+
+/**
+ * Convert a date stored in the site's time zone into a timestamp
+ *
+ * Schedule dates are stored without a time zone and are interpreted in the site's time zone on
+ * the server, using the site's time zone offset from the `@wordpress/date` settings. `getSettings()`
+ * isn't available in WordPress versions older than 6.1, the browser's time zone is used in that case.
+ *
+ * @since [version]
+ *
+ * @param {string} date Date string, in the "YYYY-MM-DDTHH:mm:ss" format.
+ * @return {number} Timestamp, in milliseconds.
+ */
+const getSiteTimestamp = ( date ) => {
+	const timezone = getDateSettings ? getDateSettings().timezone : null,
+		match = /^(\d{4})-(\d{2})-(\d{2})[T ](\d{2}):(\d{2})(?::(\d{2}))?/.exec(
+			date
+		);
+
+	if ( ! timezone || ! match ) {
+		return new Date( date ).getTime();
+	}
+
+	const [ , year, month, day, hours, minutes, seconds ] = match.map(
+		( part ) => parseInt( part, 10 ) || 0
+	);
+
+	return (
+		Date.UTC( year, month - 1, day, hours, minutes, seconds ) -
+		( parseFloat( timezone.offset ) || 0 ) * 60 * 60 * 1000
+	);
+};
+
+/**
+ * Determine if the persona is enrolled in the posts targeted by a rule
+ *
+ * @since [version]
+ *
+ * @param {Object} rule    Visibility rule object.
+ * @param {Object} persona Persona object.
+ * @return {boolean} Returns `true` if the persona is enrolled.
+ */
+const isEnrolledIn = ( rule, persona ) => {
+	if ( 'enrolled' !== persona.type || ! persona.course ) {
+		return false;
+	}
+
+	const { id: courseId } = persona.course,
+		currentCourseId = getCurrentCourseId();
+
+	/**
+	 * Determine if the persona is enrolled in a post
+	 *
+	 * @param {Object} post Reduced post object.
+	 * @return {boolean} Returns `true` if the persona is enrolled.
+	 */
+	const isEnrolledInPost = ( post ) =>
+		'course' === post.type &&
+		( post.id === courseId ||
+			( 'this' === courseId && post.id === currentCourseId ) );
+
+	switch ( rule.in ) {
+		case 'any':
+		case 'any_course':
+			return true;
+		case 'this':
+			return (
+				!! currentCourseId &&
+				( 'this' === courseId || currentCourseId === courseId )
+			);
+		case 'list_all':
+			return (
+				rule.posts.length > 0 && rule.posts.every( isEnrolledInPost )
+			);
+		case 'list_any':
+			return rule.posts.some( isEnrolledInPost );
+	}
+
+	return false;
+};
+
+/**
+ * Determine if a single visibility rule allows the persona to view a block
+ *
+ * @since [version]
+ *
+ * @param {Object} rule    Visibility rule object.
+ * @param {Object} persona Persona object.
+ * @return {boolean} Returns `true` if the block is visible.
+ */
+const isRuleVisible = ( rule, persona ) => {
+	const loggedIn = 'logged_out' !== persona.type;
+
+	switch ( rule.visibility ) {
+		case 'logged_in':
+			return loggedIn;
+		case 'logged_out':
+			return ! loggedIn;
+		case 'role':
+			return (
+				! rule.roles ||
+				! rule.roles.length ||
+				( loggedIn && -1 !== rule.roles.indexOf( 'student' ) )
+			);
+		case 'capability':
+			return (
+				! rule.capability || ( loggedIn && 'read' === rule.capability )
+			);
+		case 'user_field':
+			return (
+				! rule.field ||
+				( loggedIn &&
+					-1 !==
+						[ 'empty', 'is_not', 'not_contains' ].indexOf(
+							rule.operator
+						) )
+			);
+		case 'access_plan':
+			return ! rule.plans || ! rule.plans.length;
+		case 'enrolled':
+			return ! rule.in || isEnrolledIn( rule, persona );
+		case 'enrolled_days':
+			return (
+				! rule.in || ( ! rule.days && isEnrolledIn( rule, persona ) )
+			);
+		case 'progress':
+			return (
+				! rule.in ||
+				( ! rule.progress && isEnrolledIn( rule, persona ) )
+			);
+		case 'completed':
+		case 'enrollment_pending':
+		case 'enrollment_expired':
+		case 'enrollment_cancelled':
+		case 'quiz_passed':
+		case 'quiz_failed':
+			return ! rule.in;
+		case 'quiz_not_attempted':
+			return ! rule.in || loggedIn;
+		case 'not_enrolled':
+			return ! rule.in || ! isEnrolledIn( rule, persona );
+	}
+
+	return true;
+};
+
+/**
+ * Determine if a group of visibility rules allows the persona to view a block
+ *
+ * @since [version]
+ *
+ * @param {Object} group   Rule group object.
+ * @param {Object} persona Persona object.
+ * @return {boolean} Returns `true` if the block is visible.
+ */
+const isGroupVisible = ( group, persona ) => {
+	if ( ! group.rules.length ) {
+		return true;
+	}
+
+	const check = ( item ) =>
+		isRuleGroup( item )
+			? isGroupVisible( item, persona )
+			: isRuleVisible( { posts: [], ...item }, persona );
+
+	return 'or' === group.relation
+		? group.rules.some( check )
+		: group.rules.every( check );
+};
+
+/**
+ * Determine if a block's scheduled visibility window includes the current time
+ *
+ * @since [version]
+ *
+ * @param {Object} attributes Block attributes.
+ * @return {boolean} Returns `true` if the block is within its schedule.
+ */
+const isWithinSchedule = ( attributes ) => {
+	const { llms_visibility_start, llms_visibility_end } = attributes,
+		now = Date.now();
+
+	if (
+		llms_visibility_start &&
+		now < getSiteTimestamp( llms_visibility_start )
+	) {
+		return false;
+	}
+
+	return ! (
+		llms_visibility_end && now >= getSiteTimestamp( llms_visibility_end )
+	);
+};
+
+/**
+ * Determine if a block would be visible to the persona
+ *
+ * @since [version]
+ *
+ * @param {Object} attributes Block attributes.
+ * @param {Object} persona    Persona object, as returned by the `getPersona()` selector.
+ * @return {boolean} Returns `true` if the block is visible.
+ */
+export default function isVisibleToPersona( attributes, persona ) {
+	if ( ! persona.type ) {
+		return true;
+	}
+
+	if ( ! isWithinSchedule( attributes ) ) {
+		return false;
+	}
+
+	const rules = parseRules( attributes.llms_visibility_rules );
+
+	return rules
+		? isGroupVisible( rules, persona )
+		: isRuleVisible( getRuleFromAttributes( attributes ), persona );
+}
@@ -0,0 +1,293 @@
+/**
+ * Detect stale and invalid posts stored as block visibility targets
+ *
+ * Posts selected for a visibility rule are stored as reduced post objects with their title frozen at the time they
+ * were selected. A stored post is stale when it has since been deleted, trashed, unpublished, or renamed.
+ *
+ * @since [version]
+ * @version [version]
+ */
+
+// WP Deps.
+import { __, _n, sprintf } from '@wordpress/i18n';
+import { Dashicon, Notice } from '@wordpress/components';
+import { useEffect, useMemo, useState } from '@wordpress/element';
+import { decodeEntities } from '@wordpress/html-entities';
+
+// Internal Deps.
+import { getPostTitle } from './rules';
+
+/**
+ * Cache of post status requests, keyed by `{type}:{id}`.
+ *
+ * @since [version]
+ *
+ * @type {Object}
+ */
+const cache = {};
+
+/**
+ * Retrieve the current status and title of a stored post via the REST API
+ *
+ * Requests are cached for the duration of the page load unless `refresh` is `true`.
+ *
+ * The promise resolves to `null` when the post's status cannot be determined, for example when the current user
+ * isn't allowed to read the post. Posts which no longer exist resolve with a `deleted` status.
+ *
+ * @since [version]
+ *
+ * @param {Object}  post      Reduced post object.
+ * @param {number}  post.id   Post ID.
+ * @param {string}  post.type Post type.
+ * @param {boolean} refresh   Whether or not to bypass the cache.
+ * @return {Promise} Promise resolving to an object with `status` and `title` properties.
+ */
+export const fetchPost = ( { id, type }, refresh = false ) => {
+	const key = `${ type }:${ id }`;
+
+	if ( refresh || ! cache[ key ] ) {
+		cache[ key ] = wp
+			.apiFetch( {
+				path: wp.url.addQueryArgs( `/wp/v2/${ type }/${ id }`, {
+					context: 'view',
+					_fields: 'id,status,title',
+				} ),
+			} )
+			.then(
+				( { status, title } ) => ( {
+					status,
+					title: title.rendered,
+				} ),
+				( { code } ) =>
+					'rest_post_invalid_id' === code
+						? { status: 'deleted', title: '' }
+						: null
+			);
+	}
+
+	return cache[ key ];
+};
+
+/**
+ * Determine why a stored post is stale
+ *
+ * @since [version]
+ *
+ * @param {Object}  post    Reduced post object.
+ * @param {?Object} current Current post status and title, as resolved by `fetchPost()`.
+ * @return {string} Reason the post is stale: "deleted", "trash", "unpublished", or "renamed".
+ *                  Returns an empty string when the post isn't stale.
+ */
+export const getStaleReason = ( post, current ) => {
+	if ( ! current ) {
+		return '';
+	} else if ( -1 !== [ 'deleted', 'trash' ].indexOf( current.status ) ) {
+		return current.status;
+	} else if ( 'publish' !== current.status ) {
+		return 'unpublished';
+	} else if ( decodeEntities( current.title ) !== getPostTitle( post ) ) {
+		return 'renamed';
+	}
+
+	return '';
+};
+
+/**
+ * Retrieve a human-readable description of the reason a stored post is stale
+ *
+ * @since [version]
+ *
+ * @param {string} reason Stale reason, as returned by `getStaleReason()`.
+ * @param {string} title  Current post title.
+ * @return {string} Translated description.
+ */
+const getStaleReasonLabel = ( reason, title ) => {
+	switch ( reason ) {
+		case 'deleted':
+			return __( 'deleted', 'lifterlms' );
+		case 'trash':
+			return __( 'in the trash', 'lifterlms' );
+		case 'unpublished':
+			return __( 'not published', 'lifterlms' );
+	}
+
+	return sprintf(
+		// Translators: %s = Current post title.
+		__( 'renamed to "%s"', 'lifterlms' ),
+		decodeEntities( title )
+	);
+};
+
+/**
+ * Determine if a stale post is unavailable, as opposed to only renamed
+ *
+ * @since [version]
+ *
+ * @param {Object} stale        Stale post object, as returned by `useStalePosts()`.
+ * @param {string} stale.reason Reason the post is stale, as returned by `getStaleReason()`.
+ * @return {boolean} Returns `true` for deleted, trashed, and unpublished posts.
+ */
+export const isUnavailable = ( { reason } ) => 'renamed' !== reason;
+
+/**
+ * Hook used to retrieve the stale posts in a list of stored posts
+ *
+ * The posts are reduced to their ID, type, and title, and memoized by value so a new
+ * array of the same posts doesn't trigger new requests.
+ *
+ * @since [version]
+ *
+ * @param {Object[]} posts Array of reduced post objects.
+ * @return {Object[]} Array of objects with the reduced `post` (ID, type, and title), the `reason` it's stale, and its current `title`.
+ */
+export const useStalePosts = ( posts ) => {
+	const [ stale, setStale ] = useState( [] ),
+		postsKey = JSON.stringify(
+			posts.map( ( post ) => ( {
+				id: post.id,
+				type: post.type,
+				title: getPostTitle( post ),
+			} ) )
+		),
+		targets = useMemo( () => JSON.parse( postsKey ), [ postsKey ] );
+
+	useEffect( () => {
+		let isMounted = true;
+
+		Promise.all( targets.map( ( post ) => fetchPost( post ) ) ).then(
+			( results ) => {
+				if ( ! isMounted ) {
+					return;
+				}
+
+				setStale(
+					targets
+						.map( ( post, i ) => ( {
+							post,
+							reason: getStaleReason( post, results[ i ] ),
+							title: results[ i ] ? results[ i ].title : '',
+						} ) )
+						.filter( ( { reason } ) => reason )
+				);
+			}
+		);
+
+		return () => {
+			isMounted = false;
+		};
+	}, [ targets ] );
+
+	return stale;
+};
+
+/**
+ * Notice displayed in the inspector when a rule targets stale posts
+ *
+ * @since [version]
+ *
+ * @param {Object}   props
+ * @param {Object[]} props.posts     Array of reduced post objects stored for the rule.
+ * @param {Function} props.onRemove  Callback function called with an array of unavailable post objects to remove.
+ * @param {Function} props.onRefresh Callback function called with an object of post ID => current post title.
+ * @return {?Notice} Component HTML.
+ */
+export function StaleNotice( { posts, onRemove, onRefresh } ) {
+	const stale = useStalePosts( posts );
+
+	if ( ! stale.length ) {
+		return null;
+	}
+
+	const unavailable = stale.filter( isUnavailable ),
+		renamed = stale.filter( ( item ) => ! isUnavailable( item ) ),
+		actions = [];
+
+	if ( unavailable.length ) {
+		actions.push( {
+			label: __( 'Remove unavailable items', 'lifterlms' ),
+			onClick: () => onRemove( unavailable.map( ( { post } ) => post ) ),
+		} );
+	}
+
+	if ( renamed.length ) {
+		actions.push( {
+			label: __( 'Refresh titles', 'lifterlms' ),
+			onClick: () =>
+				Promise.all(
+					renamed.map( ( { post } ) => fetchPost( post, true ) )
+				).then( ( results ) =>
+					onRefresh(
+						renamed.reduce( ( titles, { post }, i ) => {
+							if ( results[ i ] ) {
+								titles[ post.id ] = decodeEntities(
+									results[ i ].title
+								);
+							}
+							return titles;
+						}, {} )
+					)
+				),
+		} );
+	}
+
+	return (
+		<Notice
+			className="llms-visibility-stale"
+			status={ unavailable.length ? 'error' : 'warning' }
+			isDismissible={ false }
+			actions={ actions }
+		>
+			<p>
+				{ __(
+					'Some of the selected items have changed since they were selected:',
+					'lifterlms'
+				) }
+			</p>
+			<ul>
+				{ stale.map( ( { post, reason, title } ) => (
+					<li key={ `${ post.type }:${ post.id }` }>
+						{ sprintf(
+							// Translators: %1$s = Stored post title; %2$s = Description of the change.
+							__( '%1$s (%2$s)', 'lifterlms' ),
+							getPostTitle( post ),
+							getStaleReasonLabel( reason, title )
+						) }
+					</li>
+				) ) }
+			</ul>
+		</Notice>
+	);
+}
+
+/**
+ * Warning displayed in the block's visibility preview badge when its rules target stale posts
+ *
+ * @since [version]
+ *
+ * @param {Object}   props
+ * @param {Object[]} props.posts Array of reduced post objects targeted by the block's visibility rules.
+ * @return {?Object} Component HTML.
+ */
+export function StaleIndicator( { posts } ) {
+	const unavailable = useStalePosts( posts ).filter( isUnavailable );
+
+	if ( ! unavailable.length ) {
+		return null;
+	}
+
+	return (
+		<span className="llms-block-visibility--msg llms-block-visibility--stale">
+			<Dashicon icon="warning" />
+			{ sprintf(
+				// Translators: %d = Number of unavailable posts.
+				_n(
+					'%d selected course, membership, lesson, or quiz is no longer available',
+					'%d selected courses, memberships, lessons, or quizzes are no longer available',
+					unavailable.length,
+					'lifterlms'
+				),
+				unavailable.length
+			) }
+		</span>
+	);
+}
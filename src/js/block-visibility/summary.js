@@ -0,0 +1,221 @@
+/**
+ * Human-readable summaries of block visibility settings
+ *
+ * @since [version]
+ * @version [version]
+ */
+
+// WP Deps.
+import { __, sprintf } from '@wordpress/i18n';
+
+// Internal Deps.
+import { getVisibilityInOptions } from './rule-controls';
+import {
+	getPostTitle,
+	getRuleFromAttributes,
+	isRuleGroup,
+	parseRules,
+} from './rules';
+import { getScheduleMessage } from './schedule';
+import { getOperator, getSetting, hasOperatorValue } from './settings';
+
+/**
+ * Determine if a block has non-default visibility settings
+ *
+ * @since [version]
+ *
+ * @param {Object} attributes Block attributes.
+ * @return {boolean} Returns `true` when the block's visibility is restricted.
+ */
+export const hasVisibility = ( attributes ) => {
+	const { llms_visibility } = attributes;
+
+	if ( ! llms_visibility || 'off' === llms_visibility ) {
+		return false;
+	}
+
+	return (
+		'all' !== llms_visibility ||
+		!! parseRules( attributes.llms_visibility_rules ) ||
+		!! attributes.llms_visibility_start ||
+		!! attributes.llms_visibility_end
+	);
+};
+
+/**
+ * Retrieve a summary of a single visibility rule
+ *
+ * @since [version]
+ *
+ * @param {Object} rule Visibility rule object.
+ * @return {string} Rule summary.
+ */
+export const getRuleSummary = ( rule ) => {
+	const {
+		visibility,
+		in: visibilityIn,
+		posts = [],
+		days,
+		progress,
+		roles = [],
+		capability,
+		field,
+		operator,
+		value,
+		plans = [],
+	} = rule;
+
+	let summary = getSetting( visibility );
+
+	if ( 'enrolled_days' === visibility ) {
+		summary = sprintf(
+			// Translators: %d = Number of days.
+			__( 'users enrolled for at least %d days', 'lifterlms' ),
+			days || 0
+		);
+	} else if ( 'progress' === visibility ) {
+		summary = sprintf(
+			// Translators: %1$d = Progress percentage.
+			__( 'users with at least %1$d%% course progress', 'lifterlms' ),
+			progress || 0
+		);
+	}
+
+	if ( 'role' === visibility && roles.length ) {
+		const names = window.llms.roles || {};
+		return sprintf(
+			// Translators: %1$s = Visibility setting label; %2$s = Comma separated list of role names.
+			__( '%1$s: %2$s', 'lifterlms' ),
+			summary,
+			roles.map( ( role ) => names[ role ] || role ).join( ', ' )
+		);
+	} else if ( 'capability' === visibility && capability ) {
+		return sprintf(
+			// Translators: %1$s = Visibility setting label; %2$s = Capability name.
+			__( '%1$s: %2$s', 'lifterlms' ),
+			summary,
+			capability
+		);
+	} else if ( 'access_plan' === visibility ) {
+		return sprintf(
+			// Translators: %1$s = Visibility setting label; %2$s = Comma separated list of access plan titles.
+			__( '%1$s: %2$s', 'lifterlms' ),
+			summary,
+			plans.length
+				? plans.map( getPostTitle ).join( ', ' )
+				: __( 'none selected', 'lifterlms' )
+		);
+	} else if ( 'user_field' === visibility && field ) {
+		return hasOperatorValue( operator )
+			? sprintf(
+					// Translators: %1$s = Visibility setting label; %2$s = Field key; %3$s = Comparison operator label; %4$s = Comparison value.
+					__( '%1$s: %2$s %3$s "%4$s"', 'lifterlms' ),
+					summary,
+					field,
+					getOperator( operator ),
+					value
+			  )
+			: sprintf(
+					// Translators: %1$s = Visibility setting label; %2$s = Field key; %3$s = Comparison operator label.
+					__( '%1$s: %2$s %3$s', 'lifterlms' ),
+					summary,
+					field,
+					getOperator( operator )
+			  );
+	}
+
+	if (
+		! visibilityIn ||
+		-1 !==
+			[
+				'all',
+				'logged_in',
+				'logged_out',
+				'role',
+				'capability',
+				'user_field',
+			].indexOf( visibility )
+	) {
+		return summary;
+	}
+
+	const option = getVisibilityInOptions( visibility ).find(
+		( opt ) => opt.value === visibilityIn
+	);
+
+	summary = sprintf(
+		// Translators: %1$s = Visibility setting label; %2$s = Visibility "in" setting label.
+		__( '%1$s (%2$s)', 'lifterlms' ),
+		summary,
+		option ? option.label : visibilityIn
+	);
+
+	if ( -1 !== [ 'list_all', 'list_any' ].indexOf( visibilityIn ) ) {
+		summary = sprintf(
+			// Translators: %1$s = Visibility rule summary; %2$s = Comma separated list of post titles.
+			__( '%1$s: %2$s', 'lifterlms' ),
+			summary,
+			posts.length
+				? posts.map( getPostTitle ).join( ', ' )
+				: __( 'none selected', 'lifterlms' )
+		);
+	}
+
+	return summary;
+};
+
+/**
+ * Retrieve a summary of a group of visibility rules
+ *
+ * Nested groups are wrapped in parentheses.
+ *
+ * @since [version]
+ *
+ * @param {Object} group Rule group object.
+ * @return {string} Rule group summary.
+ */
+export const getRuleGroupSummary = ( group ) => {
+	const separator =
+		'or' === group.relation
+			? __( ' OR ', 'lifterlms' )
+			: __( ' AND ', 'lifterlms' );
+
+	return group.rules
+		.map( ( item ) =>
+			isRuleGroup( item )
+				? `(${ getRuleGroupSummary( item ) })`
+				: getRuleSummary( item )
+		)
+		.join( separator );
+};
+
+/**
+ * Retrieve a summary of a block's visibility settings
+ *
+ * @since [version]
+ *
+ * @param {Object} attributes Block attributes.
+ * @return {string[]} Array of summary lines: the visibility rule(s) and the block's schedule, when set.
+ */
+export const getVisibilitySummary = ( attributes ) => {
+	const summary = [],
+		rules = parseRules( attributes.llms_visibility_rules ),
+		schedule = getScheduleMessage(
+			attributes.llms_visibility_start,
+			attributes.llms_visibility_end
+		);
+
+	if ( rules ) {
+		if ( rules.rules.length ) {
+			summary.push( getRuleGroupSummary( rules ) );
+		}
+	} else if ( 'all' !== attributes.llms_visibility ) {
+		summary.push( getRuleSummary( getRuleFromAttributes( attributes ) ) );
+	}
+
+	if ( schedule ) {
+		summary.push( schedule );
+	}
+
+	return summary;
+};
@@ -12,6 +12,15 @@ module.exports = {
 					'html_attrs',
 					'min_strength',
 					'meter_description',
+					'conditional_logic',
+					'default_today',
+					'date_format',
+					'allowed_types',
+					'max_size',
+					'value_source',
+					'value_key',
+					'page_id',
+					'consent_version',
 				],
 			},
 		],
@@ -2,7 +2,7 @@
  * Generic Field component
  *
  * @since 1.6.0
- * @version 1.6.0
+ * @version [version]
  */
 
 // WP deps.
@@ -10,6 +10,7 @@ import { RichText } from '@wordpress/block-editor';
 import { __ } from '@wordpress/i18n';
 import { Component, Fragment } from '@wordpress/element';
 import { Slot } from '@wordpress/components';
+import { date } from '@wordpress/date';
 
 // Internal deps.
 import './editor.scss';
@@ -20,20 +21,27 @@ import InputGroupOptions from './input-group-options';
  *
  * @since 1.6.0
  * @since 1.7.1 Add block editor rendering for password type fields.
+ * @since [version] Add block editor rendering for date, file, hidden, and consent fields.
  */
 export default class Field extends Component {
 	/**
 	 * Determine the type of field.
 	 *
 	 * @since 1.7.1
+	 * @since [version] Return `consent` for consent fields.
 	 *
 	 * @return {string} Field type identifier.
 	 */
 	getFieldType() {
 		const {
 			attributes: { field },
+			block,
 		} = this.props;
 
+		if ( 'llms/form-field-consent' === block.name ) {
+			return 'consent';
+		}
+
 		if (
 			-1 !== [ 'email', 'text', 'number', 'url', 'tel' ].indexOf( field )
 		) {
@@ -48,6 +56,7 @@ export default class Field extends Component {
 	 *
 	 * @since 1.6.0
 	 * @since 1.7.1 Add rendering for password type fields.
+	 * @since [version] Add rendering for date, file, hidden, and consent fields and allow links in consent field labels.
 	 *
 	 * @return {Object} HTML Fragment.
 	 */
@@ -92,7 +101,10 @@ export default class Field extends Component {
 
 		return (
 			<Fragment>
-				<div className="llms-field">
+				<div className={ `llms-field llms-field--${ fieldType }` }>
+					{ 'consent' === fieldType && (
+						<input disabled="disabled" type="checkbox" />
+					) }
 					{ 'html' !== fieldType && (
 						<RichText
 							tagName="label"
@@ -103,7 +115,11 @@ export default class Field extends Component {
 									label: val,
 								} );
 							} }
-							allowedFormats={ [ 'bold', 'italic' ] }
+							allowedFormats={
+								'consent' === fieldType
+									? [ 'bold', 'italic', 'link' ]
+									: [ 'bold', 'italic' ]
+							}
 							aria-label={
 								label
 									? __( 'Field label' )
@@ -128,6 +144,35 @@ export default class Field extends Component {
 							) }
 						/>
 					) }
+					{ 'date' === fieldType && (
+						<input
+							readOnly
+							type="date"
+							value={
+								attributes.default_today ? date( 'Y-m-d' ) : ''
+							}
+							min={ attributes.html_attrs.min || undefined }
+							max={ attributes.html_attrs.max || undefined }
+						/>
+					) }
+					{ 'file' === fieldType && (
+						<input
+							disabled="disabled"
+							type="file"
+							multiple={ !! attributes.multiple }
+						/>
+					) }
+					{ 'hidden' === fieldType && (
+						<input
+							disabled="disabled"
+							type="text"
+							value={ attributes.value }
+							placeholder={ __(
+								'Value set when the form is displayed',
+								'lifterlms'
+							) }
+						/>
+					) }
 					{ 'password' === fieldType && (
 						<input
 							disabled="disabed"
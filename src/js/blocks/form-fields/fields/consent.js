@@ -0,0 +1,189 @@
+/**
+ * BLOCK: llms/form-field-consent
+ *
+ * @since [version]
+ * @version [version]
+ */
+
+// WP Deps.
+import { TextControl } from '@wordpress/components';
+import { useSelect } from '@wordpress/data';
+import { Fragment } from '@wordpress/element';
+import { __, sprintf } from '@wordpress/i18n';
+
+// Internal Deps.
+import {
+	default as getDefaultSettings,
+	getSettingsFromBase,
+	getDefaultPostTypes,
+} from '../settings';
+import SearchPost from '../../../components/search-post';
+
+/**
+ * Block Name
+ *
+ * @type {string}
+ */
+export const name = 'llms/form-field-consent';
+
+/**
+ * Array of supported post types.
+ *
+ * @type {Array}
+ */
+export const postTypes = getDefaultPostTypes();
+
+/**
+ * Is this a default or composed field?
+ *
+ * @type {string}
+ */
+export const composed = true;
+
+/**
+ * Link a consent label to a page
+ *
+ * The first link in the label is updated to point to the page. When the label doesn't contain
+ * a link, a link to the page is appended to it.
+ *
+ * @since [version]
+ *
+ * @param {string} label Field label HTML.
+ * @param {Object} page  Page object returned by the REST API.
+ * @return {string} Updated label HTML.
+ */
+const linkLabelToPage = ( label, page ) => {
+	if ( /<a\s[^>]*href="[^"]*"/i.test( label ) ) {
+		return label.replace(
+			/(<a\s[^>]*href=")[^"]*(")/i,
+			( match, start, end ) => `${ start }${ page.link }${ end }`
+		);
+	}
+
+	return sprintf(
+		'%1$s <a href="%2$s" target="_blank" rel="noopener">%3$s</a>',
+		label,
+		page.link,
+		page.title.rendered
+	).trim();
+};
+
+/**
+ * Control used to select the page linked by the consent field
+ *
+ * @since [version]
+ *
+ * @param {Object}   props
+ * @param {Object}   props.attributes    Block attributes.
+ * @param {Function} props.setAttributes Reference to the block's setAttributes() function.
+ * @return {Object} Component HTML.
+ */
+function ConsentPageControl( { attributes, setAttributes } ) {
+	const { label, page_id } = attributes,
+		page = useSelect(
+			( select ) =>
+				page_id
+					? select( 'core' ).getEntityRecord(
+							'postType',
+							'page',
+							page_id
+					  )
+					: null,
+			[ page_id ]
+		);
+
+	return (
+		<SearchPost
+			postType="page"
+			searchPath="/wp/v2/pages"
+			label={ __( 'Linked Page', 'lifterlms' ) }
+			placeholder={ __( 'Search by page title…', 'lifterlms' ) }
+			onChange={ ( selected ) =>
+				setAttributes( {
+					page_id: selected ? selected.id : 0,
+					label: selected
+						? linkLabelToPage( label, selected )
+						: label,
+				} )
+			}
+			selected={ page ? [ page ] : [] }
+		/>
+	);
+}
+
+/**
+ * Fill the controls slot with additional controls specific to this field.
+ *
+ * @since [version]
+ *
+ * @param {Object}   attributes    Block attributes.
+ * @param {Function} setAttributes Reference to the block's setAttributes() function.
+ * @return {Fragment} Component HTML fragment.
+ */
+const fillInspectorControls = ( attributes, setAttributes ) => (
+	<Fragment>
+		<ConsentPageControl
+			attributes={ attributes }
+			setAttributes={ setAttributes }
+		/>
+
+		<TextControl
+			label={ __( 'Consent Version', 'lifterlms' ) }
+			help={ __(
+				'Stored with the date of acceptance. Update the version when the linked page changes to record which version each user accepted.',
+				'lifterlms'
+			) }
+			value={ attributes.consent_version }
+			onChange={ ( val ) => setAttributes( { consent_version: val } ) }
+		/>
+	</Fragment>
+);
+
+/**
+ * Block settings
+ *
+ * @since [version]
+ *
+ * @type {Object}
+ */
+export const settings = getSettingsFromBase( getDefaultSettings(), {
+	title: __( 'Consent', 'lifterlms' ),
+	description: __(
+		'A required checkbox used to accept terms, policies, or agreements. The date of acceptance and the accepted version are stored for the user.',
+		'lifterlms'
+	),
+	icon: {
+		src: 'yes-alt',
+	},
+	category: 'llms-custom-fields',
+	supports: {
+		inserter: true,
+		llms_field_inspector: {
+			customFill: 'fieldConsent',
+		},
+	},
+	attributes: {
+		field: {
+			__default: 'checkbox',
+		},
+		label: {
+			__default: __( 'I have read and agree to the', 'lifterlms' ),
+		},
+		required: {
+			__default: true,
+		},
+		value: {
+			type: 'string',
+			__default: 'yes',
+		},
+		page_id: {
+			type: 'integer',
+			__default: 0,
+		},
+		consent_version: {
+			type: 'string',
+			__default: '1',
+		},
+	},
+	fillInspectorControls,
+} );
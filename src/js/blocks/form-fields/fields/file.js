@@ -0,0 +1,139 @@
+/**
+ * BLOCK: llms/form-field-file
+ *
+ * @since [version]
+ * @version [version]
+ */
+
+// WP Deps.
+import { TextControl, ToggleControl } from '@wordpress/components';
+import { Fragment } from '@wordpress/element';
+import { __, sprintf } from '@wordpress/i18n';
+
+// Internal Deps.
+import {
+	default as getDefaultSettings,
+	getSettingsFromBase,
+	getDefaultPostTypes,
+} from '../settings';
+
+/**
+ * Block Name
+ *
+ * @type {string}
+ */
+export const name = 'llms/form-field-file';
+
+/**
+ * Array of supported post types.
+ *
+ * @type {Array}
+ */
+export const postTypes = getDefaultPostTypes();
+
+/**
+ * Is this a default or composed field?
+ *
+ * @type {string}
+ */
+export const composed = true;
+
+/**
+ * Fill the controls slot with additional controls specific to this field.
+ *
+ * @since [version]
+ *
+ * @param {Object}   attributes    Block attributes.
+ * @param {Function} setAttributes Reference to the block's setAttributes() function.
+ * @return {Fragment} Component HTML fragment.
+ */
+const fillInspectorControls = ( attributes, setAttributes ) => {
+	const { allowed_types, max_size, multiple } = attributes;
+
+	return (
+		<Fragment>
+			<TextControl
+				label={ __( 'Allowed File Types', 'lifterlms' ) }
+				help={ __(
+					'Comma separated list of allowed MIME types or file extensions, for example "application/pdf, image/*, .docx". Leave blank to allow all file types allowed by the site.',
+					'lifterlms'
+				) }
+				value={ allowed_types }
+				onChange={ ( val ) => setAttributes( { allowed_types: val } ) }
+			/>
+
+			<TextControl
+				label={ __( 'Maximum File Size (MB)', 'lifterlms' ) }
+				help={ sprintf(
+					// Translators: %d = Maximum upload size allowed by the server, in MB.
+					__(
+						'Leave blank to use the maximum upload size allowed by the server (%d MB).',
+						'lifterlms'
+					),
+					window.llms.max_upload_size || 0
+				) }
+				value={ max_size || '' }
+				type="number"
+				min="1"
+				step="1"
+				onChange={ ( val ) =>
+					setAttributes( { max_size: parseInt( val, 10 ) || 0 } )
+				}
+			/>
+
+			<ToggleControl
+				label={ __( 'Allow Multiple Files', 'lifterlms' ) }
+				checked={ !! multiple }
+				help={
+					multiple
+						? __( 'Multiple files can be uploaded.', 'lifterlms' )
+						: __( 'A single file can be uploaded.', 'lifterlms' )
+				}
+				onChange={ () => setAttributes( { multiple: ! multiple } ) }
+			/>
+		</Fragment>
+	);
+};
+
+/**
+ * Block settings
+ *
+ * @since [version]
+ *
+ * @type {Object}
+ */
+export const settings = getSettingsFromBase( getDefaultSettings(), {
+	title: __( 'File Upload', 'lifterlms' ),
+	description: __(
+		'A field used to upload files which are stored privately and can only be accessed by the user and site administrators.',
+		'lifterlms'
+	),
+	icon: {
+		src: 'upload',
+	},
+	category: 'llms-custom-fields',
+	supports: {
+		inserter: true,
+		llms_field_inspector: {
+			customFill: 'fieldFile',
+		},
+	},
+	attributes: {
+		field: {
+			__default: 'file',
+		},
+		allowed_types: {
+			type: 'string',
+			__default: '',
+		},
+		max_size: {
+			type: 'integer',
+			__default: 0,
+		},
+		multiple: {
+			type: 'boolean',
+			__default: false,
+		},
+	},
+	fillInspectorControls,
+} );
@@ -0,0 +1,187 @@
+/**
+ * BLOCK: llms/form-field-hidden
+ *
+ * @since [version]
+ * @version [version]
+ */
+
+// WP Deps.
+import { SelectControl, TextControl } from '@wordpress/components';
+import { Fragment } from '@wordpress/element';
+import { __, sprintf } from '@wordpress/i18n';
+
+// Internal Deps.
+import {
+	default as getDefaultSettings,
+	getSettingsFromBase,
+	getDefaultPostTypes,
+} from '../settings';
+
+/**
+ * Block Name
+ *
+ * @type {string}
+ */
+export const name = 'llms/form-field-hidden';
+
+/**
+ * Array of supported post types.
+ *
+ * @type {Array}
+ */
+export const postTypes = getDefaultPostTypes();
+
+/**
+ * Is this a default or composed field?
+ *
+ * @type {string}
+ */
+export const composed = true;
+
+/**
+ * Sources the field's value can be retrieved from
+ *
+ * The `keyLabel` of sources requiring a key is used as the label of the key setting.
+ *
+ * @since [version]
+ *
+ * @type {Object[]}
+ */
+const valueSources = [
+	{
+		value: 'literal',
+		label: __( 'Static value', 'lifterlms' ),
+	},
+	{
+		value: 'query',
+		label: __( 'URL query parameter', 'lifterlms' ),
+		keyLabel: __( 'Parameter Name', 'lifterlms' ),
+	},
+	{
+		value: 'cookie',
+		label: __( 'Cookie', 'lifterlms' ),
+		keyLabel: __( 'Cookie Name', 'lifterlms' ),
+	},
+	{
+		value: 'usermeta',
+		label: __( "Current user's meta", 'lifterlms' ),
+		keyLabel: __( 'Usermeta Key', 'lifterlms' ),
+	},
+	{
+		value: 'referer',
+		label: __( 'Referring page URL', 'lifterlms' ),
+	},
+];
+
+/**
+ * Retrieve a value source by its value
+ *
+ * @since [version]
+ *
+ * @param {string} source Value source identifier.
+ * @return {Object} Value source object, defaults to the static value source.
+ */
+const getValueSource = ( source ) =>
+	valueSources.find( ( { value } ) => source === value ) || valueSources[ 0 ];
+
+/**
+ * Fill the controls slot with additional controls specific to this field.
+ *
+ * @since [version]
+ *
+ * @param {Object}   attributes    Block attributes.
+ * @param {Function} setAttributes Reference to the block's setAttributes() function.
+ * @return {Fragment} Component HTML fragment.
+ */
+const fillInspectorControls = ( attributes, setAttributes ) => {
+	const { value_source, value_key, value } = attributes,
+		source = getValueSource( value_source );
+
+	return (
+		<Fragment>
+			<SelectControl
+				label={ __( 'Value Source', 'lifterlms' ) }
+				value={ source.value }
+				options={ valueSources.map( ( { value: val, label } ) => ( {
+					value: val,
+					label,
+				} ) ) }
+				onChange={ ( val ) => setAttributes( { value_source: val } ) }
+			/>
+
+			{ source.keyLabel && (
+				<TextControl
+					label={ source.keyLabel }
+					value={ value_key }
+					onChange={ ( val ) => setAttributes( { value_key: val } ) }
+				/>
+			) }
+
+			<TextControl
+				label={
+					'literal' === source.value
+						? __( 'Value', 'lifterlms' )
+						: __( 'Default Value', 'lifterlms' )
+				}
+				help={
+					'literal' === source.value
+						? ''
+						: sprintf(
+								// Translators: %s = Value source label.
+								__(
+									'Used when the value can\'t be retrieved from the "%s" source.',
+									'lifterlms'
+								),
+								source.label
+						  )
+				}
+				value={ value }
+				onChange={ ( val ) => setAttributes( { value: val } ) }
+			/>
+		</Fragment>
+	);
+};
+
+/**
+ * Block settings
+ *
+ * @since [version]
+ *
+ * @type {Object}
+ */
+export const settings = getSettingsFromBase( getDefaultSettings(), {
+	title: __( 'Hidden', 'lifterlms' ),
+	description: __(
+		'A hidden field whose value is set when the form is displayed. Use it to capture data like campaign attribution and affiliate IDs.',
+		'lifterlms'
+	),
+	icon: {
+		src: 'hidden',
+	},
+	category: 'llms-custom-fields',
+	supports: {
+		inserter: true,
+		llms_field_inspector: {
+			required: false,
+			customFill: 'fieldHidden',
+		},
+	},
+	attributes: {
+		field: {
+			__default: 'hidden',
+		},
+		value: {
+			type: 'string',
+			__default: '',
+		},
+		value_source: {
+			type: 'string',
+			__default: 'literal',
+		},
+		value_key: {
+			type: 'string',
+			__default: '',
+		},
+	},
+	fillInspectorControls,
+} );
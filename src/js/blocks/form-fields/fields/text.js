@@ -2,11 +2,16 @@
  * BLOCK: llms/form-field-text
  *
  * @since 1.6.0
- * @version 2.0.0
+ * @version [version]
  */
 
 // WP Deps.
-import { TextControl } from '@wordpress/components';
+import {
+	SelectControl,
+	TextControl,
+	ToggleControl,
+} from '@wordpress/components';
+import { dateI18n } from '@wordpress/date';
 import { Fragment } from '@wordpress/element';
 import { __ } from '@wordpress/i18n';
 
@@ -107,8 +112,34 @@ const variations = [
 		),
 		icon: 'admin-links',
 	},
+	{
+		name: 'date',
+		title: __( 'Date', 'lifterlms' ),
+		description: __(
+			'An input field which only accepts a date selected from a date picker.',
+			'lifterlms'
+		),
+		icon: 'calendar-alt',
+		attributes: {
+			html_attrs: {
+				min: '',
+				max: '',
+			},
+			default_today: false,
+			date_format: '',
+		},
+	},
 ];
 
+/**
+ * Formats which can be used to display the dates stored by the date variation
+ *
+ * An empty format uses the site's date format.
+ *
+ * @type {string[]}
+ */
+const dateFormats = [ '', 'F j, Y', 'Y-m-d', 'm/d/Y', 'd/m/Y' ];
+
 /**
  * Add information to each variation
  *
@@ -145,18 +176,105 @@ variations.forEach( ( variation ) => {
 		blockAttributes.field === variationAttributes.field;
 } );
 
+/**
+ * Fill the controls slot with additional controls specific to the date variation.
+ *
+ * Dates are displayed by the browser's date picker in the visitor's locale and are always
+ * submitted in the "YYYY-MM-DD" format. The display format is used when the stored date is
+ * output outside of the form, for example by the [llms-user] shortcode.
+ *
+ * @since [version]
+ *
+ * @param {Object}   attributes    Block attributes.
+ * @param {Function} setAttributes Reference to the block's setAttributes() function.
+ * @return {Fragment} Component HTML Fragment.
+ */
+const fillDateInspectorControls = ( attributes, setAttributes ) => {
+	const { html_attrs, default_today, date_format } = attributes,
+		{ min, max } = html_attrs;
+
+	return (
+		<Fragment>
+			<TextControl
+				label={ __( 'Earliest Date', 'lifterlms' ) }
+				help={ __(
+					'Specify the earliest allowed date. Leave blank for no minimum.',
+					'lifterlms'
+				) }
+				value={ min }
+				type="date"
+				max={ max || undefined }
+				onChange={ ( val ) =>
+					setAttributes( { html_attrs: { ...html_attrs, min: val } } )
+				}
+			/>
+
+			<TextControl
+				label={ __( 'Latest Date', 'lifterlms' ) }
+				help={ __(
+					'Specify the latest allowed date. Leave blank for no maximum.',
+					'lifterlms'
+				) }
+				value={ max }
+				type="date"
+				min={ min || undefined }
+				onChange={ ( val ) =>
+					setAttributes( { html_attrs: { ...html_attrs, max: val } } )
+				}
+			/>
+
+			<ToggleControl
+				label={ __( 'Default to Today', 'lifterlms' ) }
+				help={ __(
+					"Prefill the field with the current date when it doesn't have a value.",
+					'lifterlms'
+				) }
+				checked={ !! default_today }
+				onChange={ () =>
+					setAttributes( { default_today: ! default_today } )
+				}
+			/>
+
+			<SelectControl
+				label={ __( 'Display Format', 'lifterlms' ) }
+				help={ __(
+					'Format used to display the stored date outside of the form.',
+					'lifterlms'
+				) }
+				value={ date_format || '' }
+				options={ dateFormats.map( ( format ) => ( {
+					value: format,
+					label: format
+						? dateI18n( format, new Date() )
+						: __( 'Site Default', 'lifterlms' ),
+				} ) ) }
+				onChange={ ( val ) => setAttributes( { date_format: val } ) }
+			/>
+		</Fragment>
+	);
+};
+
 /**
  * Fill the controls slot with additional controls specific to this field.
  *
  * @since 2.0.0
+ * @since [version] Add controls to the date variation.
  *
  * @param {Object} attributes Block attributes.
  * @param {Function} setAttributes Reference to the block's setAttributes() function.
  * @return {Fragment} Component HTML Fragment.
  */
 const fillInspectorControls = ( attributes, setAttributes ) => {
-	// We only add extra controls to the number variation.
-	if ( attributes.isConfirmationField || 'number' !== attributes.field ) {
+	if ( attributes.isConfirmationField ) {
+		return;
+	}
+
+	if ( 'date' === attributes.field ) {
+		return fillDateInspectorControls( attributes, setAttributes );
+	}
+
+	// We only add extra controls to the number and date variations.
+	if ( 'number' !== attributes.field ) {
 		return;
 	}
 
@@ -199,6 +317,7 @@ const fillInspectorControls = ( attributes, setAttributes ) => {
  * Block settings
  *
  * @since 2.0.0
+ * @since [version] Add the `default_today` and `date_format` attributes used by the date variation.
  *
  * @type {Object}
  */
@@ -208,6 +327,14 @@ export const settings = getSettingsFromBase( baseSettings, {
 	icon: {
 		src: defaultIcon,
 	},
+	attributes: {
+		default_today: {
+			type: 'boolean',
+		},
+		date_format: {
+			type: 'string',
+		},
+	},
 	usesContext: [ 'llms/fieldGroup/fieldLayout' ],
 	supports: {
 		inserter: false,
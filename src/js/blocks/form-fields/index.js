@@ -2,7 +2,7 @@
  * Export all fields in the fields library.
  *
  * @since 1.6.0
- * @version 2.0.0
+ * @version [version]
  */
 
 // Hooks.
@@ -42,9 +42,16 @@ import * as userAddressPostalCode from './fields/user-address-postal-code';
 
 import * as userPhone from './fields/user-phone';
 
+import * as consent from './fields/consent';
+import * as file from './fields/file';
+import * as hidden from './fields/hidden';
+
 export {
 	confirmGroup,
 	checkboxes,
+	consent,
+	file,
+	hidden,
 	radio,
 	select,
 	text,
@@ -0,0 +1,279 @@
+/**
+ * Inspector settings component for managing a field's conditional logic
+ *
+ * Conditional logic is stored in the `conditional_logic` attribute as an object:
+ *
+ *     {
+ *         action: 'show',
+ *         relation: 'all',
+ *         rules: [ { field: 'llms_billing_country', operator: 'is', value: 'US' } ],
+ *     }
+ *
+ * Rules reference other fields in the form by their `name` attribute.
+ *
+ * @since [version]
+ * @version [version]
+ */
+
+// WP Deps.
+import { Button, SelectControl, TextControl } from '@wordpress/components';
+import { Fragment } from '@wordpress/element';
+import { __, sprintf } from '@wordpress/i18n';
+
+// Internal Deps.
+import getBlocksFlat from '../../util/get-blocks-flat';
+import {
+	hasOperatorValue,
+	operatorOptions,
+} from '../../block-visibility/settings';
+
+/**
+ * Retrieve the fields in the form which can be used in a conditional logic rule
+ *
+ * @since [version]
+ *
+ * @param {string} clientId Client ID of the field block being edited.
+ * @return {Object[]} Array of field block attributes objects.
+ */
+const getConditionFields = ( clientId ) =>
+	getBlocksFlat()
+		.filter(
+			( block ) =>
+				clientId !== block.clientId &&
+				block.attributes.name &&
+				! block.attributes.isConfirmationField
+		)
+		.map( ( { attributes } ) => attributes );
+
+/**
+ * Control used to edit the value of a single rule
+ *
+ * Fields with options (selects, radios, and checkboxes) display a list of their option keys.
+ *
+ * @since [version]
+ *
+ * @param {Object}   props
+ * @param {?Object}  props.field    Attributes of the field referenced by the rule.
+ * @param {string}   props.value    Current rule value.
+ * @param {Function} props.onChange Callback function called with the new value.
+ * @return {Object} Component HTML.
+ */
+function RuleValueControl( { field, value, onChange } ) {
+	if ( field && field.options && field.options.length ) {
+		return (
+			<SelectControl
+				label={ __( 'Value', 'lifterlms' ) }
+				value={ value }
+				options={ [
+					{ value: '', label: __( '— Select —', 'lifterlms' ) },
+					...field.options.map( ( { key, text } ) => ( {
+						value: key,
+						label: text,
+					} ) ),
+				] }
+				onChange={ onChange }
+			/>
+		);
+	}
+
+	return (
+		<TextControl
+			label={ __( 'Value', 'lifterlms' ) }
+			value={ value }
+			onChange={ onChange }
+		/>
+	);
+}
+
+/**
+ * Conditional logic inspector controls
+ *
+ * @since [version]
+ *
+ * @param {Object}   props
+ * @param {Object}   props.attributes    Block attributes.
+ * @param {Function} props.setAttributes Block attribute setter.
+ * @param {string}   props.clientId      Block client ID.
+ * @return {Fragment} Component HTML fragment.
+ */
+export default function InspectorConditionalLogic( {
+	attributes,
+	setAttributes,
+	clientId,
+} ) {
+	const { action = 'show', relation = 'all', rules = [] } =
+			attributes.conditional_logic || {},
+		fields = getConditionFields( clientId );
+
+	/**
+	 * Update the conditional logic attribute
+	 *
+	 * The attribute is removed when there are no rules.
+	 *
+	 * @since [version]
+	 *
+	 * @param {Object} logic Conditional logic properties to update.
+	 * @return {void}
+	 */
+	const update = ( logic ) => {
+		const updated = { action, relation, rules, ...logic };
+		setAttributes( {
+			conditional_logic: updated.rules.length ? updated : undefined,
+		} );
+	};
+
+	/**
+	 * Update a single rule
+	 *
+	 * @since [version]
+	 *
+	 * @param {number} index Index of the rule.
+	 * @param {Object} rule  Rule properties to update.
+	 * @return {void}
+	 */
+	const updateRule = ( index, rule ) =>
+		update( {
+			rules: rules.map( ( item, i ) =>
+				i === index ? { ...item, ...rule } : item
+			),
+		} );
+
+	if ( ! fields.length ) {
+		return (
+			<p>
+				{ __(
+					'Add more fields to the form to create conditional logic rules.',
+					'lifterlms'
+				) }
+			</p>
+		);
+	}
+
+	return (
+		<Fragment>
+			{ rules.length > 0 && (
+				<SelectControl
+					label={ __( 'Action', 'lifterlms' ) }
+					value={ action }
+					options={ [
+						{
+							value: 'show',
+							label: __( 'Show this field', 'lifterlms' ),
+						},
+						{
+							value: 'hide',
+							label: __( 'Hide this field', 'lifterlms' ),
+						},
+					] }
+					onChange={ ( val ) => update( { action: val } ) }
+				/>
+			) }
+			{ rules.length > 1 && (
+				<SelectControl
+					label={ __( 'When', 'lifterlms' ) }
+					value={ relation }
+					options={ [
+						{
+							value: 'all',
+							label: __(
+								'All of the conditions match',
+								'lifterlms'
+							),
+						},
+						{
+							value: 'any',
+							label: __(
+								'Any of the conditions match',
+								'lifterlms'
+							),
+						},
+					] }
+					onChange={ ( val ) => update( { relation: val } ) }
+				/>
+			) }
+			{ rules.map( ( rule, index ) => (
+				<div className="llms-field-condition" key={ index }>
+					<SelectControl
+						label={ sprintf(
+							// Translators: %d = Condition number.
+							__( 'Condition %d', 'lifterlms' ),
+							index + 1
+						) }
+						value={ rule.field }
+						options={ [
+							{
+								value: '',
+								label: __( '— Select a field —', 'lifterlms' ),
+							},
+							...fields.map( ( { name, label } ) => ( {
+								value: name,
+								label: label
+									? sprintf(
+											// Translators: %1$s = Field label; %2$s = Field name.
+											__( '%1$s (%2$s)', 'lifterlms' ),
+											label,
+											name
+									  )
+									: name,
+							} ) ),
+						] }
+						onChange={ ( val ) =>
+							updateRule( index, { field: val, value: '' } )
+						}
+					/>
+					<SelectControl
+						label={ __( 'Operator', 'lifterlms' ) }
+						value={ rule.operator }
+						options={ operatorOptions }
+						onChange={ ( val ) =>
+							updateRule( index, { operator: val } )
+						}
+					/>
+					{ hasOperatorValue( rule.operator ) && (
+						<RuleValueControl
+							field={ fields.find(
+								( { name } ) => name === rule.field
+							) }
+							value={ rule.value }
+							onChange={ ( val ) =>
+								updateRule( index, { value: val } )
+							}
+						/>
+					) }
+					<Button
+						isLink
+						isDestructive
+						onClick={ () =>
+							update( {
+								rules: rules.filter(
+									( item, i ) => i !== index
+								),
+							} )
+						}
+					>
+						{ __( 'Remove condition', 'lifterlms' ) }
+					</Button>
+				</div>
+			) ) }
+			<Button
+				isSecondary
+				onClick={ () =>
+					update( {
+						rules: [
+							...rules,
+							{ field: '', operator: 'is', value: '' },
+						],
+					} )
+				}
+			>
+				{ __( 'Add condition', 'lifterlms' ) }
+			</Button>
+			<p className="llms-field-condition--help">
+				{ __(
+					'Required fields are only validated while they are displayed.',
+					'lifterlms'
+				) }
+			</p>
+		</Fragment>
+	);
+}
@@ -2,7 +2,7 @@
  * Inspector settings for the Course Information Block.
  *
  * @since 1.6.0
- * @version 2.0.0
+ * @version [version]
  */
 
 // WP Deps.
@@ -29,6 +29,7 @@ import {
 import { store as editorStore } from '@wordpress/editor';
 
 // Internal Deps.
+import InspectorConditionalLogic from './inspect-conditional-logic';
 import InspectorFieldOptions from './inspect-field-options';
 import getBlocksFlat from '../../util/get-blocks-flat';
 import { store as fieldsStore } from '../../data/fields';
@@ -453,6 +454,7 @@ export default class Inspector extends Component {
 	 *
 	 * @since 1.6.0
 	 * @since 1.12.0 Add inspector controls for data store mapping.
+	 * @since [version] Add inspector controls for conditional logic.
 	 *
 	 * @return {Fragment} Component HTML fragment.
 	 */
@@ -659,6 +661,19 @@ export default class Inspector extends Component {
 								/>
 							</PanelBody>
 						) }
+
+					{ ! isConfirmationField && (
+						<PanelBody
+							title={ __( 'Conditional Logic', 'lifterlms' ) }
+							initialOpen={ !! attributes.conditional_logic }
+						>
+							<InspectorConditionalLogic
+								attributes={ attributes }
+								setAttributes={ setAttributes }
+								clientId={ clientId }
+							/>
+						</PanelBody>
+					) }
 				</InspectorControls>
 
 				<InspectorAdvancedControls>
@@ -5,6 +5,7 @@
  * @since 1.7.0 Unknown.
  * @since 1.8.0 Updated lodash imports.
  * @since 1.12.0 Add support for data stores & default examples object.
+ * @since [version] Add the `conditional_logic` field attribute.
  */
 
 // WP Deps.
@@ -158,6 +159,10 @@ const settingsField = {
 			type: 'boolean',
 			__default: false,
 		},
+
+		conditional_logic: {
+			type: 'object',
+		},
 	},
 	supports: {
 		llms_field_inspector: {
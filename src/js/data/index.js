@@ -2,7 +2,8 @@
  * Load redux stores
  *
  * @since 2.0.0
- * @version 2.0.0
+ * @version [version]
  */
 
 export { store } from './fields/';
+export { store as visibilityPreviewStore } from './visibility-preview/';
@@ -0,0 +1,39 @@
+/**
+ * Redux data store actions
+ *
+ * @since [version]
+ * @version [version]
+ */
+
+/**
+ * Set the persona used to preview block visibility
+ *
+ * @since [version]
+ *
+ * @param {string}  persona Persona type: "logged_out", "logged_in", or "enrolled". An empty string disables the preview.
+ * @param {?Object} course  Course the persona is enrolled in, as a reduced post object with `id`, `title`, and `type` properties.
+ *                          Use the id `this` for the course being edited.
+ * @return {Object} Action object.
+ */
+export function setPersona( persona, course = null ) {
+	return {
+		type: 'SET_PERSONA',
+		persona,
+		course,
+	};
+}
+
+/**
+ * Stop previewing block visibility as a persona
+ *
+ * @since [version]
+ *
+ * @return {Object} Action object.
+ */
+export function resetPersona() {
+	return {
+		type: 'SET_PERSONA',
+		persona: '',
+		course: null,
+	};
+}
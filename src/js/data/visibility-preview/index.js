@@ -0,0 +1,36 @@
+/**
+ * Redux store responsible for the client-side state of the block visibility "preview as" persona
+ *
+ * @since [version]
+ * @version [version]
+ */
+
+/**
+ * WP dependencies
+ */
+import { createReduxStore, register } from '@wordpress/data';
+
+/**
+ * Internal dependencies
+ */
+import { STORE_NAME } from './name';
+import reducer from './reducer';
+import * as actions from './actions';
+import * as selectors from './selectors';
+
+const storeConfig = {
+	reducer,
+	actions: { ...actions },
+	selectors: { ...selectors },
+};
+
+/**
+ * Redux store definition
+ *
+ * @see https://github.com/WordPress/gutenberg/blob/HEAD/packages/data/README.md#createReduxStore
+ *
+ * @type {Object}
+ */
+export const store = createReduxStore( STORE_NAME, storeConfig );
+
+register( store );
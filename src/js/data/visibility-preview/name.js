@@ -0,0 +1,6 @@
+/**
+ * Data store reducer key
+ *
+ * @type {string}
+ */
+export const STORE_NAME = 'llms/visibility-preview';
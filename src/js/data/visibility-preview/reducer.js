@@ -0,0 +1,46 @@
+/**
+ * Redux data store reducer
+ *
+ * @since [version]
+ * @version [version]
+ */
+
+// WP deps.
+import { combineReducers } from '@wordpress/data';
+
+/**
+ * Default persona state.
+ *
+ * @since [version]
+ *
+ * @type {Object}
+ */
+const DEFAULT_PERSONA = {
+	type: '',
+	course: null,
+};
+
+/**
+ * Persona reducer
+ *
+ * @since [version]
+ *
+ * @param {Object} state  Current state.
+ * @param {Object} action Action object.
+ * @return {Object} Updated state.
+ */
+export function persona( state = DEFAULT_PERSONA, action ) {
+	switch ( action.type ) {
+		case 'SET_PERSONA':
+			return {
+				type: action.persona,
+				course: 'enrolled' === action.persona ? action.course : null,
+			};
+	}
+
+	return state;
+}
+
+export default combineReducers( {
+	persona,
+} );
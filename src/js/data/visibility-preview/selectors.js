@@ -0,0 +1,32 @@
+/**
+ * Redux data store selectors
+ *
+ * @since [version]
+ * @version [version]
+ */
+
+/**
+ * Retrieve the persona used to preview block visibility
+ *
+ * @since [version]
+ *
+ * @param {Object} state         State tree.
+ * @param {Object} state.persona Persona object.
+ * @return {Object} Persona object with `type` and `course` properties.
+ */
+export function getPersona( { persona } ) {
+	return persona;
+}
+
+/**
+ * Determine if block visibility is being previewed as a persona
+ *
+ * @since [version]
+ *
+ * @param {Object} state         State tree.
+ * @param {Object} state.persona Persona object.
+ * @return {boolean} Returns `true` when a persona is selected.
+ */
+export function isPreviewing( { persona } ) {
+	return !! persona.type;
+}
@@ -0,0 +1,154 @@
+/**
+ * Front-end form field conditional logic
+ *
+ * Shows and hides form fields based on the conditional logic rules stored in their block attributes.
+ *
+ * Fields with conditional logic are output with a `data-llms-field-conditions` attribute containing the
+ * JSON encoded rules. Inputs of hidden fields are disabled so they aren't submitted or validated by the browser.
+ *
+ * @since [version]
+ * @version [version]
+ */
+
+/**
+ * Retrieve the current values of a field within a form
+ *
+ * @since [version]
+ *
+ * @param {HTMLFormElement} form Form element.
+ * @param {string}          name Field name.
+ * @return {string[]} Array of values. Unchecked checkboxes and radios are excluded.
+ */
+const getFieldValues = ( form, name ) =>
+	Array.from(
+		form.querySelectorAll( `[name="${ name }"],[name="${ name }[]"]` )
+	)
+		.filter(
+			( input ) =>
+				! input.disabled &&
+				( -1 === [ 'checkbox', 'radio' ].indexOf( input.type ) ||
+					input.checked )
+		)
+		.reduce(
+			( values, input ) =>
+				input.multiple
+					? [
+							...values,
+							...Array.from( input.selectedOptions ).map(
+								( { value } ) => value
+							),
+					  ]
+					: [ ...values, input.value ],
+			[]
+		);
+
+/**
+ * Determine if a single rule matches the current form values
+ *
+ * Mirrors `LLMS_Blocks_Form_Field_Conditions::is_rule_matched()`.
+ *
+ * @since [version]
+ *
+ * @param {HTMLFormElement} form          Form element.
+ * @param {Object}          rule          Conditional logic rule.
+ * @param {string}          rule.field    Name of the field the rule checks.
+ * @param {string}          rule.operator Comparison operator, defaults to "is".
+ * @param {string}          rule.value    Value compared to the field's values.
+ * @return {boolean} Returns `true` when the rule matches.
+ */
+const isRuleMatched = ( form, { field, operator = 'is', value = '' } ) => {
+	const values = getFieldValues( form, field ),
+		isEmpty = ! values.some( ( val ) => val.length ),
+		found =
+			'' !== value &&
+			values.some( ( val ) => -1 !== val.indexOf( value ) );
+
+	switch ( operator ) {
+		case 'empty':
+			return isEmpty;
+		case 'not_empty':
+			return ! isEmpty;
+		case 'contains':
+			return found;
+		case 'not_contains':
+			return ! found;
+		case 'is_not':
+			return -1 === values.indexOf( value );
+	}
+
+	return -1 !== values.indexOf( value );
+};
+
+/**
+ * Determine if a field should be displayed
+ *
+ * @since [version]
+ *
+ * @param {HTMLFormElement} form  Form element.
+ * @param {Object}          logic Conditional logic object.
+ * @return {boolean} Returns `true` when the field should be displayed.
+ */
+const isFieldDisplayed = ( form, logic ) => {
+	const { action = 'show', relation = 'all' } = logic,
+		rules = ( logic.rules || [] ).filter( ( { field } ) => field );
+
+	if ( ! rules.length ) {
+		return true;
+	}
+
+	const check = ( rule ) => isRuleMatched( form, rule ),
+		matched =
+			'any' === relation ? rules.some( check ) : rules.every( check );
+
+	return 'hide' === action ? ! matched : matched;
+};
+
+/**
+ * Show or hide all the conditional fields in a form
+ *
+ * Fields are evaluated in document order so a field which depends on a hidden field uses an empty value.
+ * Only inputs disabled by the conditional logic are enabled again when a field is displayed.
+ *
+ * @since [version]
+ *
+ * @param {HTMLFormElement} form Form element.
+ * @return {void}
+ */
+const updateForm = ( form ) => {
+	form.querySelectorAll( '[data-llms-field-conditions]' ).forEach(
+		( wrapper ) => {
+			let logic = {};
+			try {
+				logic = JSON.parse( wrapper.dataset.llmsFieldConditions );
+			} catch ( e ) {}
+
+			const displayed = isFieldDisplayed( form, logic );
+
+			wrapper.style.display = displayed ? '' : 'none';
+			wrapper
+				.querySelectorAll( 'input, select, textarea' )
+				.forEach( ( input ) => {
+					if ( ! displayed && ! input.disabled ) {
+						input.disabled = true;
+						input.dataset.llmsConditionDisabled = 'yes';
+					} else if (
+						displayed &&
+						input.dataset.llmsConditionDisabled
+					) {
+						input.disabled = false;
+						delete input.dataset.llmsConditionDisabled;
+					}
+				} );
+		}
+	);
+};
+
+document.querySelectorAll( 'form' ).forEach( ( form ) => {
+	if ( ! form.querySelector( '[data-llms-field-conditions]' ) ) {
+		return;
+	}
+
+	form.addEventListener( 'change', () => updateForm( form ) );
+	form.addEventListener( 'input', () => updateForm( form ) );
+	updateForm( form );
+} );
@@ -0,0 +1,42 @@
+/**
+ * Front-end file upload form fields
+ *
+ * Forms containing file inputs must be submitted as `multipart/form-data` so the files are uploaded.
+ * The `enctype` attribute is added on the server to forms output by shortcodes, it's also set here
+ * for forms output in other ways.
+ *
+ * File inputs with a maximum size are output with a `data-llms-max-size` attribute containing the size
+ * in bytes and a `data-llms-max-size-error` attribute containing the error message displayed when a
+ * selected file is too large. The size is validated again on the server when the form is submitted.
+ *
+ * @since [version]
+ * @version [version]
+ */
+
+/**
+ * Validate the size of the files selected in a file input
+ *
+ * @since [version]
+ *
+ * @param {HTMLInputElement} input File input element.
+ * @return {void}
+ */
+const validateSize = ( input ) => {
+	const max = parseInt( input.dataset.llmsMaxSize, 10 ),
+		tooLarge =
+			max > 0 &&
+			Array.from( input.files || [] ).some( ( { size } ) => size > max );
+
+	input.setCustomValidity(
+		tooLarge ? input.dataset.llmsMaxSizeError || '' : ''
+	);
+};
+
+document.querySelectorAll( 'form input[type="file"]' ).forEach( ( input ) => {
+	input.form.enctype = 'multipart/form-data';
+
+	if ( input.dataset.llmsMaxSize ) {
+		input.addEventListener( 'change', () => validateSize( input ) );
+		validateSize( input );
+	}
+} );
@@ -1,45 +1,181 @@
 /**
- * Post Visibility setting component for courses & memberships
+ * Post Visibility setting component for courses, memberships & lessons
  *
  * @since    1.3.0
- * @version  1.3.0
+ * @version  [version]
  */
 
 // WP Deps.
-import { Button, Dropdown } from '@wordpress/components';
+import {
+	Button,
+	DateTimePicker,
+	Dashicon,
+	Dropdown,
+	SelectControl,
+} from '@wordpress/components';
 import { compose, ifCondition, withInstanceId } from '@wordpress/compose';
 import { withDispatch, withSelect } from '@wordpress/data';
-import { Component } from '@wordpress/element';
+import { Component, Fragment } from '@wordpress/element';
 import { PluginPostStatusInfo } from '@wordpress/edit-post';
-import { __ } from '@wordpress/i18n';
+import { __, sprintf } from '@wordpress/i18n';
 
 // Internal Deps.
-import { visibilityOptions } from './options';
+import {
+	getVisibilityLocations,
+	getVisibilityOptions,
+	visibilityOptions,
+} from './options';
 import { default as PostVisibilityLabel } from './label';
+import { formatScheduleDate, is12HourTime } from '../block-visibility/schedule';
 
+/**
+ * Retrieve the label of a visibility option
+ *
+ * @since [version]
+ *
+ * @param {string} visibility Visibility option value.
+ * @return {string} Visibility option label.
+ */
+const getVisibilityLabel = ( visibility ) => {
+	const option = visibilityOptions.find(
+		( { value } ) => value === visibility
+	);
+	return option ? option.label : visibility;
+};
+
+/**
+ * Post Visibility setting component
+ *
+ * @since 1.3.0
+ * @since [version] Add controls used to schedule a catalog visibility change, lesson search visibility, and a summary of where the post is displayed.
+ */
 class PostVisibility extends Component {
+	/**
+	 * Render a read-only summary of where the post is displayed
+	 *
+	 * @since [version]
+	 *
+	 * @return {Object} Component HTML.
+	 */
+	renderLocations() {
+		const { postType, visibility } = this.props;
+
+		return (
+			<fieldset
+				key="visibility-locations"
+				className="editor-post-visibility__dialog-fieldset llms-post-visibility-locations"
+			>
+				<legend className="editor-post-visibility__dialog-legend">
+					{ __( 'Displayed In', 'lifterlms' ) }
+				</legend>
+				<ul>
+					{ getVisibilityLocations( postType, visibility ).map(
+						( { label, visible } ) => (
+							<li key={ label }>
+								<Dashicon icon={ visible ? 'yes' : 'no-alt' } />
+								{ sprintf(
+									// Translators: %1$s = Location name; %2$s = Displayed status.
+									__( '%1$s: %2$s', 'lifterlms' ),
+									label,
+									visible
+										? __( 'Displayed', 'lifterlms' )
+										: __( 'Not displayed', 'lifterlms' )
+								) }
+							</li>
+						)
+					) }
+				</ul>
+			</fieldset>
+		);
+	}
+
+	/**
+	 * Render the controls used to schedule a catalog visibility change
+	 *
+	 * @since [version]
+	 *
+	 * @return {Object} Component HTML.
+	 */
+	renderSchedule() {
+		const { onUpdateSchedule, schedule } = this.props;
+
+		return (
+			<fieldset
+				key="visibility-schedule"
+				className="editor-post-visibility__dialog-fieldset llms-post-visibility-schedule"
+			>
+				<legend className="editor-post-visibility__dialog-legend">
+					{ __( 'Scheduled Change', 'lifterlms' ) }
+				</legend>
+				<SelectControl
+					label={ __( 'Change catalog visibility to', 'lifterlms' ) }
+					value={ schedule.visibility || '' }
+					options={ [
+						{
+							value: '',
+							label: __( '— No scheduled change —', 'lifterlms' ),
+						},
+						...visibilityOptions.map( ( { value, label } ) => ( {
+							value,
+							label,
+						} ) ),
+					] }
+					onChange={ ( value ) =>
+						onUpdateSchedule( { ...schedule, visibility: value } )
+					}
+				/>
+				{ schedule.visibility && (
+					<Fragment>
+						<p className="editor-post-visibility__dialog-info">
+							{ schedule.date
+								? sprintf(
+										// Translators: %s = Scheduled date.
+										__( 'On %s', 'lifterlms' ),
+										formatScheduleDate( schedule.date )
+								  )
+								: __(
+										'Select the date of the change.',
+										'lifterlms'
+								  ) }
+						</p>
+						<DateTimePicker
+							currentDate={ schedule.date || undefined }
+							onChange={ ( date ) =>
+								onUpdateSchedule( { ...schedule, date } )
+							}
+							is12Hour={ is12HourTime() }
+						/>
+					</Fragment>
+				) }
+			</fieldset>
+		);
+	}
+
+	/**
+	 * Render the component
+	 *
+	 * @since 1.3.0
+	 * @since [version] Add scheduled catalog visibility change controls and summary, lesson visibility options, and the displayed locations summary.
+	 *
+	 * @return {PluginPostStatusInfo} Component HTML.
+	 */
 	render() {
-		const { onUpdateVisibility, instanceId, visibility } = this.props;
+		const {
+			onUpdateVisibility,
+			instanceId,
+			postType,
+			visibility,
+			schedule,
+		} = this.props;
 
-		const handlers = {
-			catalog_search: {
-				checked: visibility === 'catalog_search',
-			},
-			catalog: {
-				checked: visibility === 'catalog',
-			},
-			search: {
-				checked: visibility === 'search',
-			},
-			hidden: {
-				checked: visibility === 'hidden',
-			},
-		};
+		const isLesson = 'lesson' === postType;
 
 		return (
 			<PluginPostStatusInfo className="llms-post-visibility">
 				<span>
-					{ __( 'Catalog & Search Visibility', 'lifterlms' ) }
+					{ isLesson
+						? __( 'Search Visibility', 'lifterlms' )
+						: __( 'Catalog & Search Visibility', 'lifterlms' ) }
 				</span>
 				<div>
 					<Dropdown
@@ -54,15 +190,20 @@ class PostVisibility extends Component {
 								<PostVisibilityLabel />
 							</Button>
 						) }
-						renderContent={ () => (
+						renderContent={ () => [
 							<fieldset
 								key="visibility-selector"
 								className="editor-post-visibility__dialog-fieldset"
 							>
 								<legend className="editor-post-visibility__dialog-legend">
-									{ __( 'Catalog Visibility', 'lifterlms' ) }
+									{ isLesson
+										? __( 'Search Visibility', 'lifterlms' )
+										: __(
+												'Catalog Visibility',
+												'lifterlms'
+										  ) }
 								</legend>
-								{ visibilityOptions.map(
+								{ getVisibilityOptions( postType ).map(
 									( { value, label, info } ) => (
 										<div
 											key={ value }
@@ -75,9 +216,7 @@ class PostVisibility extends Component {
 												onChange={ () =>
 													onUpdateVisibility( value )
 												}
-												checked={
-													handlers[ value ].checked
-												}
+												checked={ visibility === value }
 												id={ `editor-post-${ value }-${ instanceId }` }
 												aria-describedby={ `editor-post-${ value }-${ instanceId }-description` }
 												className="editor-post-visibility__dialog-radio"
@@ -99,9 +238,21 @@ class PostVisibility extends Component {
 										</div>
 									)
 								) }
-							</fieldset>
-						) }
+							</fieldset>,
+							this.renderLocations(),
+							! isLesson && this.renderSchedule(),
+						] }
 					/>
+					{ schedule.visibility && schedule.date && (
+						<p className="llms-post-visibility-scheduled">
+							{ sprintf(
+								// Translators: %1$s = Visibility option label; %2$s = Scheduled date.
+								__( 'Changes to "%1$s" on %2$s', 'lifterlms' ),
+								getVisibilityLabel( schedule.visibility ),
+								formatScheduleDate( schedule.date )
+							) }
+						</p>
+					) }
 				</div>
 			</PluginPostStatusInfo>
 		);
@@ -117,6 +268,7 @@ export default compose( [
 		return {
 			postType: getCurrentPostType(),
 			visibility: getEditedPostAttribute( 'visibility' ),
+			schedule: getEditedPostAttribute( 'visibility_schedule' ) || {},
 		};
 	} ),
 	withDispatch( ( dispatch ) => {
@@ -126,11 +278,14 @@ export default compose( [
 			onUpdateVisibility( visibility ) {
 				editPost( { visibility } );
 			},
+			onUpdateSchedule( schedule ) {
+				editPost( { visibility_schedule: schedule } ); // eslint-disable-line camelcase
+			},
 		};
 	} ),
 	ifCondition(
 		( { postType } ) =>
-			-1 !== [ 'course', 'llms_membership' ].indexOf( postType )
+			-1 !== [ 'course', 'llms_membership', 'lesson' ].indexOf( postType )
 	),
 	withInstanceId,
 ] )( PostVisibility );
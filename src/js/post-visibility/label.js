@@ -2,21 +2,23 @@
  * Displays a "label" for the post visibility.
  *
  * @since    1.3.0
- * @version  1.3.0
+ * @version  [version]
  */
 
 // WP Deps.
 import { withSelect } from '@wordpress/data';
 
 // Internal Deps.
-import { visibilityOptions } from './options';
+import { getVisibilityOptions } from './options';
 
-function PostVisibilityLabel( { visibility } ) {
-	return visibilityOptions.find( ( { value } ) => {
+function PostVisibilityLabel( { postType, visibility } ) {
+	const option = getVisibilityOptions( postType ).find( ( { value } ) => {
 		return value === visibility;
-	} ).label;
+	} );
+	return option ? option.label : visibility;
 }
 
 export default withSelect( ( select ) => ( {
+	postType: select( 'core/editor' ).getCurrentPostType(),
 	visibility: select( 'core/editor' ).getEditedPostAttribute( 'visibility' ),
 } ) )( PostVisibilityLabel );
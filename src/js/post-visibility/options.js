@@ -1,8 +1,8 @@
 /**
- * Define LifterLMS Course and Membership Visibility Options
+ * Define LifterLMS Course, Membership, and Lesson Visibility Options
  *
  * @since   1.3.0
- * @version 1.3.0
+ * @version [version]
  */
 
 // WP Deps.
@@ -37,3 +37,74 @@ export const visibilityOptions = applyFilters(
 		},
 	]
 );
+
+/**
+ * Visibility options available for lessons
+ *
+ * Lessons aren't displayed in the catalog so only their visibility in search results can be controlled.
+ *
+ * @since [version]
+ *
+ * @type {Object[]}
+ */
+export const lessonVisibilityOptions = applyFilters(
+	'llms_blocks_lesson_visibility_options',
+	[
+		{
+			value: 'catalog_search',
+			label: __( 'Visible', 'lifterlms' ),
+			info: __( 'Visible in search results.', 'lifterlms' ),
+		},
+		{
+			value: 'hidden',
+			label: __( 'Hidden', 'lifterlms' ),
+			info: __( 'Hidden from search results.', 'lifterlms' ),
+		},
+	]
+);
+
+/**
+ * Retrieve the visibility options available for a post type
+ *
+ * @since [version]
+ *
+ * @param {string} postType Post type name.
+ * @return {Object[]} Array of visibility option objects.
+ */
+export const getVisibilityOptions = ( postType ) =>
+	'lesson' === postType ? lessonVisibilityOptions : visibilityOptions;
+
+/**
+ * Retrieve the locations where a post is displayed for a visibility value
+ *
+ * @since [version]
+ *
+ * @param {string} postType   Post type name.
+ * @param {string} visibility Visibility option value.
+ * @return {Object[]} Array of objects with the location `label` and whether or not the post is `visible` there.
+ */
+export const getVisibilityLocations = ( postType, visibility ) => {
+	const locations = [],
+		inCatalog =
+			-1 !== [ 'catalog_search', 'catalog' ].indexOf( visibility ),
+		inSearch = -1 !== [ 'catalog_search', 'search' ].indexOf( visibility );
+
+	if ( 'course' === postType ) {
+		locations.push( {
+			label: __( 'Course catalog', 'lifterlms' ),
+			visible: inCatalog,
+		} );
+	} else if ( 'llms_membership' === postType ) {
+		locations.push( {
+			label: __( 'Membership catalog', 'lifterlms' ),
+			visible: inCatalog,
+		} );
+	}
+
+	locations.push( {
+		label: __( 'Search results', 'lifterlms' ),
+		visible: inSearch,
+	} );
+
+	return locations;
+};
@@ -0,0 +1,298 @@
+/**
+ * "Access & Enrollment" panel located in the "PluginDocumentSettingPanel" slot.
+ *
+ * Edits the enrollment period, time period, capacity, and prerequisite settings of courses and
+ * memberships otherwise found in the course and membership metaboxes.
+ *
+ * Displays only on `course` and `llms_membership` post types.
+ *
+ * @since [version]
+ * @version [version]
+ */
+
+// WP Deps.
+import {
+	PanelRow,
+	SelectControl,
+	TextControl,
+	ToggleControl,
+} from '@wordpress/components';
+import { useDispatch, useSelect } from '@wordpress/data';
+import { PluginDocumentSettingPanel } from '@wordpress/edit-post';
+import { store as editorStore } from '@wordpress/editor';
+import { Fragment } from '@wordpress/element';
+import { __ } from '@wordpress/i18n';
+
+// Internal Deps.
+import SearchPost from '../../components/search-post';
+import { ScheduleDateControl } from '../../block-visibility/schedule';
+
+/**
+ * Convert a date stored by the course and membership metaboxes into a date string usable by the date picker
+ *
+ * The metaboxes store dates as "m/d/Y h:i A" (or "m/d/Y" without a time). Dates which don't
+ * match this format are returned unchanged.
+ *
+ * @since [version]
+ *
+ * @param {string} date Stored date string.
+ * @return {string} Date string in the "YYYY-MM-DDTHH:mm:ss" format.
+ */
+const parseMetaDate = ( date ) => {
+	const match = /^(\d{2})\/(\d{2})\/(\d{4})(?: (\d{1,2}):(\d{2}) (AM|PM))?$/i.exec(
+		date || ''
+	);
+
+	if ( ! match ) {
+		return date || '';
+	}
+
+	const [ , month, day, year, hours, minutes, meridiem ] = match;
+
+	let hour = hours ? parseInt( hours, 10 ) % 12 : 0;
+	if ( meridiem && 'PM' === meridiem.toUpperCase() ) {
+		hour += 12;
+	}
+	hour = hour < 10 ? `0${ hour }` : hour;
+
+	return `${ year }-${ month }-${ day }T${ hour }:${ minutes || '00' }:00`;
+};
+
+/**
+ * Retrieve the labels of the panel's controls which depend on the post type
+ *
+ * @since [version]
+ *
+ * @param {string} postType Post type, `course` or `llms_membership`.
+ * @return {Object} Object of translated labels.
+ */
+const getLabels = ( postType ) =>
+	'course' === postType
+		? {
+				enrollmentHelp: __(
+					'Limit the dates when students can enroll in the course.',
+					'lifterlms'
+				),
+				timePeriod: __( 'Enable Course Time Period', 'lifterlms' ),
+				timePeriodHelp: __(
+					'Limit the dates when enrolled students can access the course content.',
+					'lifterlms'
+				),
+				starts: __( 'Course starts', 'lifterlms' ),
+				ends: __( 'Course ends', 'lifterlms' ),
+				capacity: __( 'Enable Course Capacity', 'lifterlms' ),
+				capacityHelp: __(
+					'Limit the number of students who can enroll in the course.',
+					'lifterlms'
+				),
+				prerequisiteHelp: __(
+					'Require students to complete a course or track before accessing this course.',
+					'lifterlms'
+				),
+		  }
+		: {
+				enrollmentHelp: __(
+					'Limit the dates when students can enroll in the membership.',
+					'lifterlms'
+				),
+				timePeriod: __( 'Enable Membership Time Period', 'lifterlms' ),
+				timePeriodHelp: __(
+					'Limit the dates when enrolled students can access the membership content.',
+					'lifterlms'
+				),
+				starts: __( 'Membership starts', 'lifterlms' ),
+				ends: __( 'Membership ends', 'lifterlms' ),
+				capacity: __( 'Enable Membership Capacity', 'lifterlms' ),
+				capacityHelp: __(
+					'Limit the number of students who can enroll in the membership.',
+					'lifterlms'
+				),
+				prerequisiteHelp: __(
+					'Require students to complete a course or track before accessing this membership.',
+					'lifterlms'
+				),
+		  };
+
+/**
+ * Toggle control for a "yes" / "no" meta setting which displays related controls when enabled
+ *
+ * @since [version]
+ *
+ * @param {Object}   props
+ * @param {string}   props.label    Toggle label.
+ * @param {string}   props.help     Toggle help text.
+ * @param {string}   props.value    Current meta value.
+ * @param {Function} props.onChange Callback function called with the new meta value.
+ * @param {Object}   props.children Controls displayed when the setting is enabled.
+ * @return {Fragment} Component HTML fragment.
+ */
+function MetaToggle( { label, help, value, onChange, children } ) {
+	const enabled = 'yes' === value;
+
+	return (
+		<Fragment>
+			<ToggleControl
+				label={ label }
+				help={ help }
+				checked={ enabled }
+				onChange={ ( val ) => onChange( val ? 'yes' : 'no' ) }
+			/>
+			{ enabled && children }
+		</Fragment>
+	);
+}
+
+/**
+ * Render the "Access & Enrollment" panel
+ *
+ * @since [version]
+ *
+ * @return {?PluginDocumentSettingPanel} Component or null when not supported.
+ */
+export default function AccessEnrollment() {
+	const { postType, meta, prerequisite } = useSelect( ( select ) => {
+			const { getCurrentPostType, getEditedPostAttribute } = select(
+					editorStore
+				),
+				postMeta = getEditedPostAttribute( 'meta' ) || {};
+
+			return {
+				postType: getCurrentPostType(),
+				meta: postMeta,
+				prerequisite: postMeta._llms_prerequisite
+					? select( 'core' ).getEntityRecord(
+							'postType',
+							'course',
+							postMeta._llms_prerequisite
+					  )
+					: null,
+			};
+		} ),
+		{ editPost } = useDispatch( editorStore );
+
+	// This slot doesn't exist until WordPress 5.3.
+	if ( 'undefined' === typeof PluginDocumentSettingPanel ) {
+		return null;
+	} else if ( -1 === [ 'course', 'llms_membership' ].indexOf( postType ) ) {
+		return null;
+	}
+
+	const labels = getLabels( postType ),
+		tracks = window.llms.tracks || {},
+		setMeta = ( key, value ) => editPost( { meta: { [ key ]: value } } );
+
+	return (
+		<PluginDocumentSettingPanel
+			className="llms-access-enrollment"
+			name="llms-access-enrollment"
+			title={ __( 'Access & Enrollment', 'lifterlms' ) }
+		>
+			<MetaToggle
+				label={ __( 'Enable Enrollment Period', 'lifterlms' ) }
+				help={ labels.enrollmentHelp }
+				value={ meta._llms_enrollment_period }
+				onChange={ ( val ) =>
+					setMeta( '_llms_enrollment_period', val )
+				}
+			>
+				<ScheduleDateControl
+					className="llms-access-enrollment--enrollment-opens"
+					label={ __( 'Enrollment opens', 'lifterlms' ) }
+					emptyLabel={ __( 'Immediately', 'lifterlms' ) }
+					value={ parseMetaDate( meta._llms_enrollment_opens_date ) }
+					onChange={ ( val ) =>
+						setMeta( '_llms_enrollment_opens_date', val || '' )
+					}
+				/>
+				<ScheduleDateControl
+					className="llms-access-enrollment--enrollment-closes"
+					label={ __( 'Enrollment closes', 'lifterlms' ) }
+					emptyLabel={ __( 'Never', 'lifterlms' ) }
+					value={ parseMetaDate( meta._llms_enrollment_closes_date ) }
+					onChange={ ( val ) =>
+						setMeta( '_llms_enrollment_closes_date', val || '' )
+					}
+				/>
+			</MetaToggle>
+			<MetaToggle
+				label={ labels.timePeriod }
+				help={ labels.timePeriodHelp }
+				value={ meta._llms_time_period }
+				onChange={ ( val ) => setMeta( '_llms_time_period', val ) }
+			>
+				<ScheduleDateControl
+					className="llms-access-enrollment--course-starts"
+					label={ labels.starts }
+					emptyLabel={ __( 'Immediately', 'lifterlms' ) }
+					value={ parseMetaDate( meta._llms_start_date ) }
+					onChange={ ( val ) =>
+						setMeta( '_llms_start_date', val || '' )
+					}
+				/>
+				<ScheduleDateControl
+					className="llms-access-enrollment--course-ends"
+					label={ labels.ends }
+					emptyLabel={ __( 'Never', 'lifterlms' ) }
+					value={ parseMetaDate( meta._llms_end_date ) }
+					onChange={ ( val ) =>
+						setMeta( '_llms_end_date', val || '' )
+					}
+				/>
+			</MetaToggle>
+			<MetaToggle
+				label={ labels.capacity }
+				help={ labels.capacityHelp }
+				value={ meta._llms_enable_capacity }
+				onChange={ ( val ) => setMeta( '_llms_enable_capacity', val ) }
+			>
+				<TextControl
+					label={ __( 'Capacity', 'lifterlms' ) }
+					type="number"
+					min={ 0 }
+					value={ meta._llms_capacity || '' }
+					onChange={ ( val ) =>
+						setMeta( '_llms_capacity', parseInt( val, 10 ) || 0 )
+					}
+				/>
+			</MetaToggle>
+			<MetaToggle
+				label={ __( 'Enable Prerequisite', 'lifterlms' ) }
+				help={ labels.prerequisiteHelp }
+				value={ meta._llms_has_prerequisite }
+				onChange={ ( val ) => setMeta( '_llms_has_prerequisite', val ) }
+			>
+				<SearchPost
+					postType="course"
+					label={ __( 'Course Prerequisite', 'lifterlms' ) }
+					placeholder={ __( 'Search by course title…', 'lifterlms' ) }
+					onChange={ ( course ) =>
+						setMeta( '_llms_prerequisite', course ? course.id : 0 )
+					}
+					selected={ prerequisite ? [ prerequisite ] : [] }
+				/>
+				<PanelRow>
+					<SelectControl
+						label={ __( 'Course Track Prerequisite', 'lifterlms' ) }
+						value={ meta._llms_prerequisite_track || 0 }
+						options={ [
+							{
+								value: 0,
+								label: __( '— None —', 'lifterlms' ),
+							},
+							...Object.keys( tracks ).map( ( id ) => ( {
+								value: parseInt( id, 10 ),
+								label: tracks[ id ],
+							} ) ),
+						] }
+						onChange={ ( val ) =>
+							setMeta(
+								'_llms_prerequisite_track',
+								parseInt( val, 10 ) || 0
+							)
+						}
+					/>
+				</PanelRow>
+			</MetaToggle>
+		</PluginDocumentSettingPanel>
+	);
+}
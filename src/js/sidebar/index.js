@@ -2,7 +2,7 @@
  * Editor Sidebar Plugins
  *
  * @since 1.0.0
- * @version 1.6.0
+ * @version [version]
  */
 
 // WP Deps.
@@ -12,8 +12,11 @@ import { Fragment } from '@wordpress/element';
 import { registerPlugin } from '@wordpress/plugins';
 
 // Internal Deps.
+import AccessEnrollment from './access-enrollment';
 import Instructors from './instructors';
 import FormDocumentSettings from './form-document-settings';
+import VisibilityOverview from './visibility-overview';
+import VisibilityPreview from './visibility-preview';
 import LifterLMSIcon from '../icons/lifterlms-icon';
 
 /**
@@ -60,3 +63,33 @@ registerPlugin( 'llms-forms-doc-settings', {
 	render: FormDocumentSettings,
 	icon: '',
 } );
+
+/**
+ * Register the block visibility "preview as" document settings sidebar plugin.
+ *
+ * @since [version]
+ */
+registerPlugin( 'llms-visibility-preview', {
+	render: VisibilityPreview,
+	icon: '',
+} );
+
+/**
+ * Register the block visibility overview document settings sidebar plugin.
+ *
+ * @since [version]
+ */
+registerPlugin( 'llms-visibility-overview', {
+	render: VisibilityOverview,
+	icon: '',
+} );
+
+/**
+ * Register the course and membership "Access & Enrollment" document settings sidebar plugin.
+ *
+ * @since [version]
+ */
+registerPlugin( 'llms-access-enrollment', {
+	render: AccessEnrollment,
+	icon: '',
+} );
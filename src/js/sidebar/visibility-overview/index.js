@@ -0,0 +1,127 @@
+/**
+ * "Block Visibility" overview panel located in the "PluginDocumentSettingPanel" slot.
+ *
+ * Lists every block in the current post with non-default visibility settings.
+ *
+ * @since [version]
+ * @version [version]
+ */
+
+// WP Deps.
+import { getBlockType } from '@wordpress/blocks';
+import { store as blockEditorStore } from '@wordpress/block-editor';
+import { Button } from '@wordpress/components';
+import { useDispatch, useSelect } from '@wordpress/data';
+import { PluginDocumentSettingPanel } from '@wordpress/edit-post';
+import { __ } from '@wordpress/i18n';
+
+// Internal Deps.
+import check from '../../block-visibility/check';
+import {
+	getVisibilitySummary,
+	hasVisibility,
+} from '../../block-visibility/summary';
+import './editor.scss';
+
+/**
+ * Retrieve a flat list of blocks with non-default visibility settings
+ *
+ * Unlike leaf-only block lists, parent blocks (groups, columns, etc...) are included as well
+ * as their inner blocks since visibility settings can be applied to both.
+ *
+ * @since [version]
+ *
+ * @param {Object[]} blocks Array of block objects.
+ * @return {Object[]} Array of block objects.
+ */
+export const getRestrictedBlocks = ( blocks ) =>
+	blocks.reduce( ( list, block ) => {
+		const blockType = getBlockType( block.name );
+
+		if (
+			blockType &&
+			check( blockType, block.name ) &&
+			hasVisibility( block.attributes )
+		) {
+			list.push( block );
+		}
+
+		return list.concat( getRestrictedBlocks( block.innerBlocks || [] ) );
+	}, [] );
+
+/**
+ * Render the "Block Visibility" overview panel
+ *
+ * @since [version]
+ *
+ * @return {?PluginDocumentSettingPanel} Component or null when not supported.
+ */
+export default function VisibilityOverview() {
+	const blocks = useSelect( ( select ) =>
+			getRestrictedBlocks( select( blockEditorStore ).getBlocks() )
+		),
+		{ selectBlock } = useDispatch( blockEditorStore );
+
+	// This slot doesn't exist until WordPress 5.3.
+	if ( 'undefined' === typeof PluginDocumentSettingPanel ) {
+		return null;
+	}
+
+	/**
+	 * Select a block and scroll it into view
+	 *
+	 * @since [version]
+	 *
+	 * @param {string} clientId Block client ID.
+	 * @return {void}
+	 */
+	const goToBlock = ( clientId ) => {
+		selectBlock( clientId );
+
+		const el = document.querySelector( `[data-block="${ clientId }"]` );
+		if ( el ) {
+			el.scrollIntoView( { behavior: 'smooth', block: 'center' } );
+		}
+	};
+
+	return (
+		<PluginDocumentSettingPanel
+			className="llms-visibility-overview"
+			name="llms-visibility-overview"
+			title={ __( 'Block Visibility', 'lifterlms' ) }
+		>
+			{ ! blocks.length && (
+				<p>
+					{ __(
+						'There are no blocks with visibility settings in this document.',
+						'lifterlms'
+					) }
+				</p>
+			) }
+			{ blocks.length > 0 && (
+				<ul className="llms-visibility-overview--list">
+					{ blocks.map( ( { clientId, name, attributes } ) => (
+						<li key={ clientId }>
+							<Button
+								isLink
+								onClick={ () => goToBlock( clientId ) }
+							>
+								{ getBlockType( name ).title }
+							</Button>
+							{ getVisibilitySummary( attributes ).map(
+								( line, i ) => (
+									<span
+										key={ i }
+										className="llms-visibility-overview--summary"
+									>
+										{ line }
+									</span>
+								)
+							) }
+						</li>
+					) ) }
+				</ul>
+			) }
+		</PluginDocumentSettingPanel>
+	);
+}
@@ -0,0 +1,126 @@
+/**
+ * "Preview Visibility As" panel located in the "PluginDocumentSettingPanel" slot.
+ *
+ * Allows simulating how block visibility settings affect the content of the current post for
+ * a visitor, a logged in user, or a student enrolled in a course.
+ *
+ * @since [version]
+ * @version [version]
+ */
+
+// WP Deps.
+import { SelectControl } from '@wordpress/components';
+import { useDispatch, useSelect } from '@wordpress/data';
+import { PluginDocumentSettingPanel } from '@wordpress/edit-post';
+import { store as editorStore } from '@wordpress/editor';
+import { __ } from '@wordpress/i18n';
+
+// Internal Deps.
+import SearchPost from '../../components/search-post';
+import { visibilityPreviewStore } from '../../data';
+
+/**
+ * Persona select control options.
+ *
+ * @since [version]
+ *
+ * @type {Object[]}
+ */
+const personaOptions = [
+	{
+		value: '',
+		label: __( 'Editor (show all blocks)', 'lifterlms' ),
+	},
+	{
+		value: 'logged_out',
+		label: __( 'Logged out visitor', 'lifterlms' ),
+	},
+	{
+		value: 'logged_in',
+		label: __( 'Logged in user, not enrolled', 'lifterlms' ),
+	},
+	{
+		value: 'enrolled',
+		label: __( 'Student enrolled in a course', 'lifterlms' ),
+	},
+];
+
+/**
+ * Render the "Preview Visibility As" panel
+ *
+ * @since [version]
+ *
+ * @return {?PluginDocumentSettingPanel} Component or null when not supported.
+ */
+export default function VisibilityPreview() {
+	const { persona, currentPost } = useSelect( ( select ) => ( {
+			persona: select( visibilityPreviewStore ).getPersona(),
+			currentPost: select( editorStore ).getCurrentPost(),
+		} ) ),
+		{ setPersona } = useDispatch( visibilityPreviewStore );
+
+	// This slot doesn't exist until WordPress 5.3.
+	if ( 'undefined' === typeof PluginDocumentSettingPanel ) {
+		return null;
+	}
+
+	const isCourseContext =
+			-1 !== [ 'course', 'lesson' ].indexOf( currentPost.type ),
+		isThisCourse =
+			'enrolled' === persona.type &&
+			persona.course &&
+			'this' === persona.course.id,
+		options = [ ...personaOptions ];
+
+	if ( isCourseContext ) {
+		options.push( {
+			value: 'enrolled_this',
+			label: __( 'Student enrolled in this course', 'lifterlms' ),
+		} );
+	}
+
+	/**
+	 * On change callback for the persona select control
+	 *
+	 * @since [version]
+	 *
+	 * @param {string} value Selected option value.
+	 * @return {void}
+	 */
+	const onChangePersona = ( value ) => {
+		if ( 'enrolled_this' === value ) {
+			setPersona( 'enrolled', { id: 'this', type: 'course' } );
+		} else {
+			setPersona( value, isThisCourse ? null : persona.course );
+		}
+	};
+
+	return (
+		<PluginDocumentSettingPanel
+			className="llms-visibility-preview"
+			name="llms-visibility-preview"
+			title={ __( 'Preview Visibility As', 'lifterlms' ) }
+		>
+			<SelectControl
+				className="llms-visibility-preview--persona"
+				label={ __( 'Viewer', 'lifterlms' ) }
+				help={ __(
+					'Dims blocks which are hidden from the selected viewer by their visibility settings.',
+					'lifterlms'
+				) }
+				value={ isThisCourse ? 'enrolled_this' : persona.type }
+				options={ options }
+				onChange={ onChangePersona }
+			/>
+			{ 'enrolled' === persona.type && ! isThisCourse && (
+				<SearchPost
+					postType="course"
+					label={ __( 'Enrolled In', 'lifterlms' ) }
+					placeholder={ __( 'Search by course title…', 'lifterlms' ) }
+					onChange={ ( course ) => setPersona( 'enrolled', course ) }
+					selected={ persona.course ? [ persona.course ] : [] }
+				/>
+			) }
+		</PluginDocumentSettingPanel>
+	);
+}
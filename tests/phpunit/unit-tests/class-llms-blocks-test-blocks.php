@@ -7,7 +7,9 @@
  * @since 1.5.1
  * @since 1.6.0 Update `test_add_block_category` test to accommodate form fields cat.
  * @since 1.10.0 Update `test_get_dynamic_block_names` to test against core blocks available in 5.1.
- * @version 2.2.1
+ * @since [version] Add test for dynamic blocks which opted in to block visibility.
+ *              Add test for the list of tracks when they can't be retrieved.
+ * @version [version]
  */
 class LLMS_Blocks_Test_Blocks extends LLMS_Blocks_Unit_Test_Case {
 
@@ -101,6 +103,29 @@ class LLMS_Blocks_Test_Blocks extends LLMS_Blocks_Unit_Test_Case {
 
 	}
 
+	/**
+	 * Test admin_print_scripts() prints an empty list of tracks when they can't be retrieved.
+	 *
+	 * @since [version]
+	 *
+	 * @return void
+	 */
+	public function test_admin_print_scripts_tracks_error() {
+
+		$obj = new LLMS_Blocks();
+
+		set_current_screen( 'course' );
+		get_current_screen()->is_block_editor( true );
+
+		$handler = function() {
+			return new WP_Error( 'invalid_taxonomy', 'Invalid taxonomy.' );
+		};
+		add_filter( 'get_terms', $handler );
+		$this->assertOutputContains( '<script>window.llms.tracks = [];</script>', array( $obj, 'admin_print_scripts' ) );
+		remove_filter( 'get_terms', $handler );
+
+	}
+
 	/**
 	 * Test the get_dynamic_block_names() method.
 	 *
@@ -122,6 +147,29 @@ class LLMS_Blocks_Test_Blocks extends LLMS_Blocks_Unit_Test_Case {
 
 	}
 
+	/**
+	 * Test the get_dynamic_block_names() method excludes dynamic blocks which opted in to block visibility.
+	 *
+	 * @since [version]
+	 *
+	 * @return void
+	 */
+	public function test_get_dynamic_block_names_visibility_opt_in() {
+
+		register_block_type( 'llms-test/opt-in', array(
+			'render_callback' => '__return_empty_string',
+			'supports'        => array( 'llms_visibility' => true ),
+		) );
+
+		$res = LLMS_Unit_Test_Util::call_method( new LLMS_Blocks(), 'get_dynamic_block_names' );
+
+		$this->assertTrue( in_array( 'core/archives', $res, true ) );
+		$this->assertFalse( in_array( 'llms-test/opt-in', $res, true ) );
+
+		unregister_block_type( 'llms-test/opt-in' );
+
+	}
+
 	/**
 	 * Test load_textdomain()
 	 *
@@ -0,0 +1,200 @@
+<?php
+/**
+ * Test LLMS_Blocks_Form_Field_Conditions
+ *
+ * @package LifterLMS_Blocks/Tests
+ *
+ * @group form_field_conditions
+ *
+ * @since [version]
+ * @version [version]
+ */
+class LLMS_Blocks_Test_Form_Field_Conditions extends LLMS_Blocks_Unit_Test_Case {
+
+	/**
+	 * Setup the test case.
+	 *
+	 * @since [version]
+	 *
+	 * @return void
+	 */
+	public function set_up() {
+		parent::set_up();
+		$this->instance = new LLMS_Blocks_Form_Field_Conditions();
+	}
+
+	/**
+	 * Tear down the test case.
+	 *
+	 * @since [version]
+	 *
+	 * @return void
+	 */
+	public function tear_down() {
+		$_POST = array();
+		parent::tear_down();
+	}
+
+	/**
+	 * Retrieve field settings with conditional logic.
+	 *
+	 * @since [version]
+	 *
+	 * @param array $logic Conditional logic.
+	 * @return array
+	 */
+	private function get_field( $logic ) {
+		return array(
+			'name'              => 'company',
+			'required'          => true,
+			'conditional_logic' => $logic,
+		);
+	}
+
+	/**
+	 * Test get_conditional_logic().
+	 *
+	 * @since [version]
+	 *
+	 * @return void
+	 */
+	public function test_get_conditional_logic() {
+
+		$this->assertFalse( LLMS_Blocks_Form_Field_Conditions::get_conditional_logic( array() ) );
+		$this->assertFalse( LLMS_Blocks_Form_Field_Conditions::get_conditional_logic( $this->get_field( array( 'rules' => array( array( 'field' => '' ) ) ) ) ) );
+
+		$this->assertEquals(
+			array(
+				'action'   => 'show',
+				'relation' => 'all',
+				'rules'    => array(
+					array(
+						'field'    => 'account_type',
+						'operator' => 'is',
+						'value'    => '',
+					),
+				),
+			),
+			LLMS_Blocks_Form_Field_Conditions::get_conditional_logic( $this->get_field( array( 'rules' => array( array( 'field' => 'account_type' ) ) ) ) )
+		);
+
+	}
+
+	/**
+	 * Test is_field_displayed().
+	 *
+	 * @since [version]
+	 *
+	 * @return void
+	 */
+	public function test_is_field_displayed() {
+
+		$logic = array(
+			'action'   => 'show',
+			'relation' => 'all',
+			'rules'    => array(
+				array(
+					'field'    => 'llms_billing_country',
+					'operator' => 'is',
+					'value'    => 'US',
+				),
+				array(
+					'field'    => 'interests',
+					'operator' => 'contains',
+					'value'    => 'option_1',
+				),
+			),
+		);
+
+		$values = array(
+			'llms_billing_country' => 'US',
+			'interests'            => array( 'option_1', 'option_3' ),
+		);
+
+		$this->assertTrue( LLMS_Blocks_Form_Field_Conditions::is_field_displayed( $logic, $values ) );
+
+		$values['interests'] = array( 'option_2' );
+		$this->assertFalse( LLMS_Blocks_Form_Field_Conditions::is_field_displayed( $logic, $values ) );
+
+		$logic['relation'] = 'any';
+		$this->assertTrue( LLMS_Blocks_Form_Field_Conditions::is_field_displayed( $logic, $values ) );
+
+		$logic['action'] = 'hide';
+		$this->assertFalse( LLMS_Blocks_Form_Field_Conditions::is_field_displayed( $logic, $values ) );
+
+		$logic['rules'] = array(
+			array(
+				'field'    => 'company',
+				'operator' => 'empty',
+				'value'    => '',
+			),
+		);
+		$this->assertFalse( LLMS_Blocks_Form_Field_Conditions::is_field_displayed( $logic, $values ) );
+
+	}
+
+	/**
+	 * Test maybe_skip_required().
+	 *
+	 * @since [version]
+	 *
+	 * @return void
+	 */
+	public function test_maybe_skip_required() {
+
+		$fields = array(
+			$this->get_field(
+				array(
+					'rules' => array(
+						array(
+							'field' => 'account_type',
+							'value' => 'business',
+						),
+					),
+				)
+			),
+		);
+
+		// Not a submission.
+		$this->assertTrue( $this->instance->maybe_skip_required( $fields )[0]['required'] );
+
+		// Field displayed.
+		$_POST = array( 'account_type' => 'business' );
+		$this->assertTrue( $this->instance->maybe_skip_required( $fields )[0]['required'] );
+
+		// Field hidden.
+		$_POST = array( 'account_type' => 'personal' );
+		$this->assertFalse( $this->instance->maybe_skip_required( $fields )[0]['required'] );
+
+	}
+
+	/**
+	 * Test render_block().
+	 *
+	 * @since [version]
+	 *
+	 * @return void
+	 */
+	public function test_render_block() {
+
+		$html  = '<div class="llms-form-field"><input name="company" type="text"></div>';
+		$block = array(
+			'blockName' => 'llms/form-field-text',
+			'attrs'     => array(),
+		);
+
+		// No conditional logic.
+		$this->assertEquals( $html, $this->instance->render_block( $html, $block ) );
+
+		// Not a field block.
+		$block['attrs'] = $this->get_field( array( 'rules' => array( array( 'field' => 'account_type' ) ) ) );
+		$this->assertEquals( $html, $this->instance->render_block( $html, array_merge( $block, array( 'blockName' => 'core/paragraph' ) ) ) );
+
+		$res = $this->instance->render_block( $html, $block );
+		$this->assertStringStartsWith( '<div data-llms-field-conditions="', $res );
+		$this->assertStringContainsString( esc_attr( wp_json_encode( LLMS_Blocks_Form_Field_Conditions::get_conditional_logic( $block['attrs'] ) ) ), $res );
+		$this->assertTrue( wp_script_is( 'llms-blocks-field-conditions', 'enqueued' ) );
+
+	}
+
+}
@@ -0,0 +1,116 @@
+<?php
+/**
+ * Test LLMS_Blocks_Form_Field_Consent
+ *
+ * @package LifterLMS_Blocks/Tests
+ *
+ * @group form_field_consent
+ *
+ * @since [version]
+ * @version [version]
+ */
+class LLMS_Blocks_Test_Form_Field_Consent extends LLMS_Blocks_Unit_Test_Case {
+
+	/**
+	 * Setup the test case.
+	 *
+	 * @since [version]
+	 *
+	 * @return void
+	 */
+	public function set_up() {
+		parent::set_up();
+		$this->instance = new LLMS_Blocks_Form_Field_Consent();
+	}
+
+	/**
+	 * Tear down the test case.
+	 *
+	 * @since [version]
+	 *
+	 * @return void
+	 */
+	public function tear_down() {
+		$_POST = array();
+		parent::tear_down();
+	}
+
+	/**
+	 * Test get_meta_keys().
+	 *
+	 * @since [version]
+	 *
+	 * @return void
+	 */
+	public function test_get_meta_keys() {
+
+		$this->assertEquals(
+			array(
+				'timestamp' => 'llms_terms_timestamp',
+				'version'   => 'llms_terms_version',
+			),
+			LLMS_Blocks_Form_Field_Consent::get_meta_keys( 'llms_terms' )
+		);
+
+	}
+
+	/**
+	 * Test prepare_fields() and save().
+	 *
+	 * @since [version]
+	 *
+	 * @return void
+	 */
+	public function test_save() {
+
+		$user_id = $this->factory->user->create();
+		$fields  = array(
+			array(
+				'type'           => 'checkbox',
+				'name'           => 'newsletter',
+				'data_store_key' => 'newsletter',
+			),
+			array(
+				'type'            => 'checkbox',
+				'name'            => 'terms',
+				'data_store_key'  => 'llms_terms',
+				'consent_version' => '1',
+			),
+		);
+
+		// Not a form submission.
+		$this->assertEquals( $fields, $this->instance->prepare_fields( $fields ) );
+		$this->instance->save( $user_id );
+		$this->assertEquals( '', get_user_meta( $user_id, 'llms_terms_timestamp', true ) );
+
+		// Consent not given.
+		$_POST = array( 'newsletter' => 'yes' );
+		$this->assertEquals( $fields, $this->instance->prepare_fields( $fields ) );
+		$this->instance->save( $user_id );
+		$this->assertEquals( '', get_user_meta( $user_id, 'llms_terms_timestamp', true ) );
+		$this->assertEquals( '', get_user_meta( $user_id, 'newsletter_timestamp', true ) );
+
+		// Consent given.
+		$_POST['terms'] = 'yes';
+		$this->instance->prepare_fields( $fields );
+		$this->instance->save( $user_id );
+		$this->assertEquals( '1', get_user_meta( $user_id, 'llms_terms_version', true ) );
+		$this->assertNotEmpty( get_user_meta( $user_id, 'llms_terms_timestamp', true ) );
+		$this->assertEquals( '', get_user_meta( $user_id, 'newsletter_timestamp', true ) );
+
+		// Same version already accepted.
+		update_user_meta( $user_id, 'llms_terms_timestamp', '2020-01-01 00:00:00' );
+		$this->instance->prepare_fields( $fields );
+		$this->instance->save( $user_id );
+		$this->assertEquals( '2020-01-01 00:00:00', get_user_meta( $user_id, 'llms_terms_timestamp', true ) );
+
+		// New version accepted.
+		$fields[1]['consent_version'] = '2';
+		$this->instance->prepare_fields( $fields );
+		$this->instance->save( $user_id );
+		$this->assertEquals( '2', get_user_meta( $user_id, 'llms_terms_version', true ) );
+		$this->assertNotEquals( '2020-01-01 00:00:00', get_user_meta( $user_id, 'llms_terms_timestamp', true ) );
+
+	}
+
+}
@@ -0,0 +1,209 @@
+<?php
+/**
+ * Test LLMS_Blocks_Form_Field_Date
+ *
+ * @package LifterLMS_Blocks/Tests
+ *
+ * @group form_field_date
+ *
+ * @since [version]
+ * @version [version]
+ */
+class LLMS_Blocks_Test_Form_Field_Date extends LLMS_Blocks_Unit_Test_Case {
+
+	/**
+	 * Setup the test case.
+	 *
+	 * @since [version]
+	 *
+	 * @return void
+	 */
+	public function set_up() {
+		parent::set_up();
+		$this->instance = new LLMS_Blocks_Form_Field_Date();
+	}
+
+	/**
+	 * Tear down the test case.
+	 *
+	 * @since [version]
+	 *
+	 * @return void
+	 */
+	public function tear_down() {
+		$_POST = array();
+		parent::tear_down();
+	}
+
+	/**
+	 * Test is_valid_date().
+	 *
+	 * @since [version]
+	 *
+	 * @return void
+	 */
+	public function test_is_valid_date() {
+
+		$this->assertTrue( LLMS_Blocks_Form_Field_Date::is_valid_date( '2000-01-31' ) );
+		$this->assertTrue( LLMS_Blocks_Form_Field_Date::is_valid_date( '2024-02-29' ) );
+
+		$this->assertFalse( LLMS_Blocks_Form_Field_Date::is_valid_date( '' ) );
+		$this->assertFalse( LLMS_Blocks_Form_Field_Date::is_valid_date( 'yesterday' ) );
+		$this->assertFalse( LLMS_Blocks_Form_Field_Date::is_valid_date( '01/31/2000' ) );
+		$this->assertFalse( LLMS_Blocks_Form_Field_Date::is_valid_date( '2000-1-31' ) );
+		$this->assertFalse( LLMS_Blocks_Form_Field_Date::is_valid_date( '2023-02-29' ) );
+		$this->assertFalse( LLMS_Blocks_Form_Field_Date::is_valid_date( '2000-01-31 00:00:00' ) );
+		$this->assertFalse( LLMS_Blocks_Form_Field_Date::is_valid_date( array( '2000-01-31' ) ) );
+
+	}
+
+	/**
+	 * Test format_date().
+	 *
+	 * @since [version]
+	 *
+	 * @return void
+	 */
+	public function test_format_date() {
+
+		update_option( 'date_format', 'F j, Y' );
+
+		$this->assertEquals( 'January 31, 2000', LLMS_Blocks_Form_Field_Date::format_date( '2000-01-31', array() ) );
+		$this->assertEquals( '31/01/2000', LLMS_Blocks_Form_Field_Date::format_date( '2000-01-31', array( 'date_format' => 'd/m/Y' ) ) );
+
+		// Invalid dates aren't formatted.
+		$this->assertEquals( 'garbage', LLMS_Blocks_Form_Field_Date::format_date( 'garbage', array( 'date_format' => 'd/m/Y' ) ) );
+
+	}
+
+	/**
+	 * Test prepare_fields() and validate().
+	 *
+	 * @since [version]
+	 *
+	 * @return void
+	 */
+	public function test_validate() {
+
+		update_option( 'date_format', 'F j, Y' );
+
+		$fields = array(
+			array(
+				'type' => 'text',
+				'name' => 'first_name',
+			),
+			array(
+				'type'       => 'date',
+				'name'       => 'start_date',
+				'label'      => 'Start Date',
+				'html_attrs' => array(
+					'min' => '2020-01-01',
+					'max' => '2020-12-31',
+				),
+			),
+		);
+
+		// Not a form submission.
+		$this->assertEquals( $fields, $this->instance->prepare_fields( $fields ) );
+		$this->assertTrue( $this->instance->validate( true ) );
+
+		// Empty value.
+		$_POST = array(
+			'first_name' => 'Jeffrey',
+			'start_date' => '',
+		);
+		$this->assertEquals( $fields, $this->instance->prepare_fields( $fields ) );
+		$this->assertTrue( $this->instance->validate( true ) );
+
+		// Valid date.
+		$_POST['start_date'] = '2020-06-15';
+		$this->assertTrue( $this->instance->validate( true ) );
+
+		// Text which isn't a date.
+		$_POST['start_date'] = 'next tuesday';
+		$valid               = $this->instance->validate( true );
+		$this->assertWPError( $valid );
+		$this->assertEquals( 'llms-form-field-date-invalid', $valid->get_error_code() );
+
+		// Errors are merged with the existing errors.
+		$valid = $this->instance->validate( new WP_Error( 'core-error', 'Error' ) );
+		$this->assertEquals( array( 'core-error', 'llms-form-field-date-invalid' ), $valid->get_error_codes() );
+
+		// Before the earliest date.
+		$_POST['start_date'] = '2019-12-31';
+		$valid               = $this->instance->validate( true );
+		$this->assertEquals( 'llms-form-field-date-min', $valid->get_error_code() );
+		$this->assertEquals( 'Start Date must be on or after January 1, 2020.', $valid->get_error_message() );
+
+		// After the latest date.
+		$_POST['start_date'] = '2021-01-01';
+		$this->assertEquals( 'llms-form-field-date-max', $this->instance->validate( true )->get_error_code() );
+
+		// Limits are inclusive.
+		$_POST['start_date'] = '2020-12-31';
+		$this->assertTrue( $this->instance->validate( true ) );
+
+	}
+
+	/**
+	 * Test shortcode_output().
+	 *
+	 * @since [version]
+	 *
+	 * @return void
+	 */
+	public function test_shortcode_output() {
+
+		// Not the user shortcode.
+		$this->assertEquals( '2000-01-31', $this->instance->shortcode_output( '2000-01-31', 'gallery', array( 'dob' ) ) );
+
+		// Not a date.
+		$this->assertEquals( 'Jeffrey', $this->instance->shortcode_output( 'Jeffrey', 'llms-user', array( 'first_name' ) ) );
+
+		// Not a date field.
+		$this->assertEquals( '2000-01-31', $this->instance->shortcode_output( '2000-01-31', 'llms-user', array( 'not_a_field' ) ) );
+
+	}
+
+	/**
+	 * Test render_block().
+	 *
+	 * @since [version]
+	 *
+	 * @return void
+	 */
+	public function test_render_block() {
+
+		$today = current_time( 'Y-m-d' );
+		$block = array(
+			'blockName' => 'llms/form-field-text',
+			'attrs'     => array(
+				'field' => 'date',
+			),
+		);
+
+		$html = '<div class="llms-form-field"><input name="dob" type="date" value=""></div>';
+
+		// Not defaulting to today.
+		$this->assertEquals( $html, $this->instance->render_block( $html, $block ) );
+
+		// Not a date field.
+		$block['attrs']['default_today'] = true;
+		$this->assertEquals( $html, $this->instance->render_block( $html, array_merge( $block, array( 'attrs' => array( 'field' => 'text', 'default_today' => true ) ) ) ) );
+
+		// Empty value.
+		$this->assertEquals( '<div class="llms-form-field"><input name="dob" type="date" value="' . $today . '"></div>', $this->instance->render_block( $html, $block ) );
+
+		// No value attribute.
+		$this->assertEquals(
+			'<div class="llms-form-field"><input value="' . $today . '" name="dob" type="date"></div>',
+			$this->instance->render_block( '<div class="llms-form-field"><input name="dob" type="date"></div>', $block )
+		);
+
+		// Existing value.
+		$html = '<div class="llms-form-field"><input name="dob" type="date" value="2000-01-31"></div>';
+		$this->assertEquals( $html, $this->instance->render_block( $html, $block ) );
+
+	}
+
+}
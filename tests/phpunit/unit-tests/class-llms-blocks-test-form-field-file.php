@@ -0,0 +1,384 @@
+<?php
+/**
+ * Test LLMS_Blocks_Form_Field_File
+ *
+ * @package LifterLMS_Blocks/Tests
+ *
+ * @group form_field_file
+ *
+ * @since [version]
+ * @version [version]
+ */
+class LLMS_Blocks_Test_Form_Field_File extends LLMS_Blocks_Unit_Test_Case {
+
+	/**
+	 * Setup the test case.
+	 *
+	 * @since [version]
+	 *
+	 * @return void
+	 */
+	public function set_up() {
+		parent::set_up();
+		$this->instance = new LLMS_Blocks_Form_Field_File();
+	}
+
+	/**
+	 * Tear down the test case.
+	 *
+	 * @since [version]
+	 *
+	 * @return void
+	 */
+	public function tear_down() {
+		$_GET   = array();
+		$_POST  = array();
+		$_FILES = array();
+		parent::tear_down();
+	}
+
+	/**
+	 * Test get_max_size().
+	 *
+	 * @since [version]
+	 *
+	 * @return void
+	 */
+	public function test_get_max_size() {
+
+		$server_max = wp_max_upload_size();
+
+		$this->assertEquals( $server_max, LLMS_Blocks_Form_Field_File::get_max_size( array() ) );
+		$this->assertEquals( $server_max, LLMS_Blocks_Form_Field_File::get_max_size( array( 'max_size' => 0 ) ) );
+		$this->assertEquals( min( $server_max, MB_IN_BYTES ), LLMS_Blocks_Form_Field_File::get_max_size( array( 'max_size' => 1 ) ) );
+		$this->assertEquals( $server_max, LLMS_Blocks_Form_Field_File::get_max_size( array( 'max_size' => 999999 ) ) );
+
+	}
+
+	/**
+	 * Test get_allowed_types() and is_type_allowed().
+	 *
+	 * @since [version]
+	 *
+	 * @return void
+	 */
+	public function test_is_type_allowed() {
+
+		$this->assertEquals( array(), LLMS_Blocks_Form_Field_File::get_allowed_types( array() ) );
+
+		$allowed = LLMS_Blocks_Form_Field_File::get_allowed_types( array( 'allowed_types' => 'Application/PDF, image/*, .docx,' ) );
+		$this->assertEquals( array( 'application/pdf', 'image/*', '.docx' ), $allowed );
+
+		// All types allowed by the site.
+		$this->assertTrue( LLMS_Blocks_Form_Field_File::is_type_allowed( 'text/plain', 'txt', array() ) );
+
+		// Type not allowed by the site.
+		$this->assertFalse( LLMS_Blocks_Form_Field_File::is_type_allowed( false, false, array() ) );
+
+		// Exact MIME type, wildcard, and extension matches.
+		$this->assertTrue( LLMS_Blocks_Form_Field_File::is_type_allowed( 'application/pdf', 'pdf', $allowed ) );
+		$this->assertTrue( LLMS_Blocks_Form_Field_File::is_type_allowed( 'image/png', 'png', $allowed ) );
+		$this->assertTrue( LLMS_Blocks_Form_Field_File::is_type_allowed( 'application/vnd.openxmlformats-officedocument.wordprocessingml.document', 'DOCX', $allowed ) );
+
+		$this->assertFalse( LLMS_Blocks_Form_Field_File::is_type_allowed( 'text/plain', 'txt', $allowed ) );
+		$this->assertFalse( LLMS_Blocks_Form_Field_File::is_type_allowed( 'video/mp4', 'mp4', $allowed ) );
+
+	}
+
+	/**
+	 * Test get_uploaded_files().
+	 *
+	 * @since [version]
+	 *
+	 * @return void
+	 */
+	public function test_get_uploaded_files() {
+
+		$this->assertEquals( array(), LLMS_Blocks_Form_Field_File::get_uploaded_files( 'proof' ) );
+
+		// Single file.
+		$_FILES['proof'] = array(
+			'name'     => 'proof.pdf',
+			'type'     => 'application/pdf',
+			'tmp_name' => '/tmp/php123',
+			'error'    => UPLOAD_ERR_OK,
+			'size'     => 100,
+		);
+		$this->assertEquals( array( $_FILES['proof'] ), LLMS_Blocks_Form_Field_File::get_uploaded_files( 'proof' ) );
+
+		// Multiple files with an empty input.
+		$_FILES['proof'] = array(
+			'name'     => array( 'a.pdf', '', 'b.png' ),
+			'type'     => array( 'application/pdf', '', 'image/png' ),
+			'tmp_name' => array( '/tmp/php1', '', '/tmp/php2' ),
+			'error'    => array( UPLOAD_ERR_OK, UPLOAD_ERR_NO_FILE, UPLOAD_ERR_OK ),
+			'size'     => array( 10, 0, 20 ),
+		);
+		$this->assertEquals(
+			array(
+				array(
+					'name'     => 'a.pdf',
+					'type'     => 'application/pdf',
+					'tmp_name' => '/tmp/php1',
+					'error'    => UPLOAD_ERR_OK,
+					'size'     => 10,
+				),
+				array(
+					'name'     => 'b.png',
+					'type'     => 'image/png',
+					'tmp_name' => '/tmp/php2',
+					'error'    => UPLOAD_ERR_OK,
+					'size'     => 20,
+				),
+			),
+			LLMS_Blocks_Form_Field_File::get_uploaded_files( 'proof' )
+		);
+
+	}
+
+	/**
+	 * Test prepare_fields() and validate().
+	 *
+	 * @since [version]
+	 *
+	 * @return void
+	 */
+	public function test_validate() {
+
+		$fields = array(
+			array(
+				'type'     => 'text',
+				'name'     => 'first_name',
+				'required' => true,
+			),
+			array(
+				'type'     => 'file',
+				'name'     => 'proof',
+				'label'    => 'Proof of Eligibility',
+				'required' => true,
+			),
+		);
+
+		// Not a form submission.
+		$this->assertEquals( $fields, $this->instance->prepare_fields( $fields ) );
+		$this->assertTrue( $this->instance->validate( true ) );
+
+		// Required validation is skipped by core.
+		$_POST    = array( 'first_name' => 'Jeffrey' );
+		$prepared = $this->instance->prepare_fields( $fields );
+		$this->assertTrue( $prepared[0]['required'] );
+		$this->assertFalse( $prepared[1]['required'] );
+
+		// Missing required file.
+		$valid = $this->instance->validate( true );
+		$this->assertWPError( $valid );
+		$this->assertEquals( 'llms-form-field-file-required', $valid->get_error_code() );
+
+		// Errors are merged with the existing errors.
+		$valid = $this->instance->validate( new WP_Error( 'core-error', 'Error' ) );
+		$this->assertEquals( array( 'core-error', 'llms-form-field-file-required' ), $valid->get_error_codes() );
+
+		// Multiple files uploaded for a single file field.
+		$_FILES['proof'] = array(
+			'name'     => array( 'a.pdf', 'b.pdf' ),
+			'type'     => array( 'application/pdf', 'application/pdf' ),
+			'tmp_name' => array( '/tmp/php1', '/tmp/php2' ),
+			'error'    => array( UPLOAD_ERR_OK, UPLOAD_ERR_OK ),
+			'size'     => array( 10, 20 ),
+		);
+		$this->assertEquals( 'llms-form-field-file-multiple', $this->instance->validate( true )->get_error_code() );
+
+		// File too large.
+		$fields[1]['max_size'] = 1;
+		$this->instance->prepare_fields( $fields );
+		$_FILES['proof'] = array(
+			'name'     => 'proof.pdf',
+			'type'     => 'application/pdf',
+			'tmp_name' => '/tmp/php123',
+			'error'    => UPLOAD_ERR_OK,
+			'size'     => MB_IN_BYTES + 1,
+		);
+		$this->assertEquals( 'llms-form-field-file-size', $this->instance->validate( true )->get_error_code() );
+
+		// Upload error.
+		$_FILES['proof']['error'] = UPLOAD_ERR_PARTIAL;
+		$this->assertEquals( 'llms-form-field-file-upload', $this->instance->validate( true )->get_error_code() );
+
+	}
+
+	/**
+	 * Test render_block().
+	 *
+	 * @since [version]
+	 *
+	 * @return void
+	 */
+	public function test_render_block() {
+
+		$html = '<div class="llms-form-field"><input name="proof" type="file"></div>';
+
+		// Not a file field.
+		$this->assertEquals( $html, $this->instance->render_block( $html, array( 'blockName' => 'llms/form-field-text', 'attrs' => array() ) ) );
+
+		$block = array(
+			'blockName' => 'llms/form-field-file',
+			'attrs'     => array(
+				'allowed_types' => 'application/pdf, image/*',
+				'max_size'      => 1,
+			),
+		);
+
+		$max  = min( wp_max_upload_size(), MB_IN_BYTES );
+		$res  = $this->instance->render_block( $html, $block );
+		$attr = sprintf( ' data-llms-max-size="%d"', $max );
+
+		$this->assertStringContainsString( '<input' . $attr, $res );
+		$this->assertStringContainsString( ' accept="application/pdf,image/*"', $res );
+		$this->assertStringContainsString( ' name="proof"', $res );
+		$this->assertStringNotContainsString( ' multiple="multiple"', $res );
+		$this->assertTrue( wp_script_is( 'llms-blocks-field-file', 'enqueued' ) );
+
+		// Multiple files.
+		$block['attrs']['multiple'] = true;
+		$res                        = $this->instance->render_block( $html, $block );
+		$this->assertStringContainsString( ' multiple="multiple"', $res );
+		$this->assertStringContainsString( ' name="proof[]"', $res );
+
+	}
+
+	/**
+	 * Test add_form_enctype().
+	 *
+	 * @since [version]
+	 *
+	 * @return void
+	 */
+	public function test_add_form_enctype() {
+
+		$file = '<input data-llms-max-size="100" name="proof" type="file">';
+
+		// No file field.
+		$html = '<form action="" method="POST"><input name="first_name" type="text"></form>';
+		$this->assertEquals( $html, $this->instance->add_form_enctype( $html ) );
+
+		// Only the form containing the file field is updated.
+		$html = '<form class="login" method="POST"></form><form action="" method="POST">' . $file . '</form>';
+		$this->assertEquals(
+			'<form class="login" method="POST"></form><form enctype="multipart/form-data" action="" method="POST">' . $file . '</form>',
+			$this->instance->add_form_enctype( $html )
+		);
+
+		// Existing enctype.
+		$html = '<form enctype="application/x-www-form-urlencoded" method="POST">' . $file . '</form>';
+		$this->assertEquals( '<form enctype="multipart/form-data" method="POST">' . $file . '</form>', $this->instance->add_form_enctype( $html ) );
+
+	}
+
+	/**
+	 * Test get_upload_dir() and get_unique_filename().
+	 *
+	 * @since [version]
+	 *
+	 * @return void
+	 */
+	public function test_get_upload_dir() {
+
+		$uploads = array(
+			'path'    => '/var/www/wp-content/uploads/2020/01',
+			'url'     => 'https://example.com/wp-content/uploads/2020/01',
+			'subdir'  => '/2020/01',
+			'basedir' => '/var/www/wp-content/uploads',
+			'baseurl' => 'https://example.com/wp-content/uploads',
+			'error'   => false,
+		);
+
+		$this->assertEquals(
+			array(
+				'path'    => '/var/www/wp-content/uploads/llms-private-uploads/2020/01',
+				'url'     => 'https://example.com/wp-content/uploads/llms-private-uploads/2020/01',
+				'subdir'  => '/llms-private-uploads/2020/01',
+				'basedir' => '/var/www/wp-content/uploads',
+				'baseurl' => 'https://example.com/wp-content/uploads',
+				'error'   => false,
+			),
+			LLMS_Blocks_Form_Field_File::get_upload_dir( $uploads )
+		);
+
+		$name = LLMS_Blocks_Form_Field_File::get_unique_filename( get_temp_dir(), 'proof.pdf' );
+		$this->assertMatchesRegularExpression( '/^[A-Za-z0-9]{16}-proof\.pdf$/', $name );
+		$this->assertNotEquals( $name, LLMS_Blocks_Form_Field_File::get_unique_filename( get_temp_dir(), 'proof.pdf' ) );
+
+	}
+
+	/**
+	 * Test that uploaded files can't be accessed by other users.
+	 *
+	 * @since [version]
+	 *
+	 * @return void
+	 */
+	public function test_file_not_accessible_by_other_users() {
+
+		$owner = $this->factory->user->create( array( 'role' => 'subscriber' ) );
+		$other = $this->factory->user->create( array( 'role' => 'subscriber' ) );
+		$admin = $this->factory->user->create( array( 'role' => 'administrator' ) );
+
+		$id = $this->factory->attachment->create(
+			array(
+				'post_author'    => $owner,
+				'post_status'    => 'private',
+				'post_mime_type' => 'application/pdf',
+				'file'           => 'llms-private-uploads/proof.pdf',
+			)
+		);
+		update_post_meta( $id, LLMS_Blocks_Form_Field_File::META_KEY, $owner );
+
+		$this->assertTrue( LLMS_Blocks_Form_Field_File::user_can_access_file( $id, $owner ) );
+		$this->assertTrue( LLMS_Blocks_Form_Field_File::user_can_access_file( $id, $admin ) );
+		$this->assertFalse( LLMS_Blocks_Form_Field_File::user_can_access_file( $id, $other ) );
+		$this->assertFalse( LLMS_Blocks_Form_Field_File::user_can_access_file( $id, 0 ) );
+
+		// Other attachments aren't handled.
+		$media = $this->factory->attachment->create( array( 'post_author' => $owner ) );
+		$this->assertFalse( LLMS_Blocks_Form_Field_File::user_can_access_file( $media, $owner ) );
+
+		// The file URL points to the download handler, not to the uploads directory.
+		$this->assertEquals( LLMS_Blocks_Form_Field_File::get_download_url( $id ), wp_get_attachment_url( $id ) );
+		$this->assertStringNotContainsString( 'llms-private-uploads', wp_get_attachment_url( $id ) );
+
+		// The file isn't listed in the media modal, even for administrators.
+		wp_set_current_user( $admin );
+		$args  = array(
+			'post_type'   => 'attachment',
+			'post_status' => array( 'inherit', 'private' ),
+			'fields'      => 'ids',
+		);
+		$query = new WP_Query( apply_filters( 'ajax_query_attachments_args', $args ) );
+		$this->assertContains( $media, $query->posts );
+		$this->assertNotContains( $id, $query->posts );
+
+		// The file isn't listed in the list mode of the media library.
+		$main_query = $GLOBALS['wp_the_query'];
+		set_current_screen( 'upload' );
+		$query                   = new WP_Query();
+		$GLOBALS['wp_the_query'] = $query;
+		$query->query( $args );
+		$GLOBALS['wp_the_query'] = $main_query;
+		set_current_screen( 'front' );
+		$this->assertContains( $media, $query->posts );
+		$this->assertNotContains( $id, $query->posts );
+
+		// Other attachment queries aren't modified.
+		$query = new WP_Query( $args );
+		$this->assertContains( $id, $query->posts );
+
+		// The download handler refuses other users.
+		wp_set_current_user( $other );
+		$_GET['attachment'] = $id;
+		$this->expectException( 'WPDieException' );
+		$this->expectExceptionMessage( 'You are not allowed to access this file.' );
+		$this->instance->download();
+
+	}
+
+}
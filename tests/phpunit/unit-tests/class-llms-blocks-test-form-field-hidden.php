@@ -0,0 +1,144 @@
+<?php
+/**
+ * Test LLMS_Blocks_Form_Field_Hidden
+ *
+ * @package LifterLMS_Blocks/Tests
+ *
+ * @group form_field_hidden
+ *
+ * @since [version]
+ * @version [version]
+ */
+class LLMS_Blocks_Test_Form_Field_Hidden extends LLMS_Blocks_Unit_Test_Case {
+
+	/**
+	 * Setup the test case.
+	 *
+	 * @since [version]
+	 *
+	 * @return void
+	 */
+	public function set_up() {
+		parent::set_up();
+		$this->instance = new LLMS_Blocks_Form_Field_Hidden();
+	}
+
+	/**
+	 * Tear down the test case.
+	 *
+	 * @since [version]
+	 *
+	 * @return void
+	 */
+	public function tear_down() {
+		$_GET    = array();
+		$_POST   = array();
+		$_COOKIE = array();
+		unset( $_SERVER['HTTP_REFERER'] );
+		parent::tear_down();
+	}
+
+	/**
+	 * Test get_value().
+	 *
+	 * @since [version]
+	 *
+	 * @return void
+	 */
+	public function test_get_value() {
+
+		// Static value.
+		$this->assertEquals( '', LLMS_Blocks_Form_Field_Hidden::get_value( array() ) );
+		$this->assertEquals( 'spring', LLMS_Blocks_Form_Field_Hidden::get_value( array( 'value' => 'spring' ) ) );
+
+		// Query parameter.
+		$attrs = array(
+			'value_source' => 'query',
+			'value_key'    => 'utm_campaign',
+			'value'        => 'none',
+		);
+		$this->assertEquals( 'none', LLMS_Blocks_Form_Field_Hidden::get_value( $attrs ) );
+		$_GET['utm_campaign'] = 'fall<script>';
+		$this->assertEquals( 'fall', LLMS_Blocks_Form_Field_Hidden::get_value( $attrs ) );
+		$_GET['utm_campaign'] = array( 'fall' );
+		$this->assertEquals( 'none', LLMS_Blocks_Form_Field_Hidden::get_value( $attrs ) );
+
+		// Cookie.
+		$attrs = array(
+			'value_source' => 'cookie',
+			'value_key'    => 'affiliate',
+		);
+		$this->assertEquals( '', LLMS_Blocks_Form_Field_Hidden::get_value( $attrs ) );
+		$_COOKIE['affiliate'] = '123';
+		$this->assertEquals( '123', LLMS_Blocks_Form_Field_Hidden::get_value( $attrs ) );
+
+		// Usermeta.
+		$user_id = $this->factory->user->create();
+		update_user_meta( $user_id, 'company', 'LifterLMS' );
+		update_user_meta( $user_id, '_private', 'secret' );
+
+		$attrs = array(
+			'value_source' => 'usermeta',
+			'value_key'    => 'company',
+		);
+		$this->assertEquals( '', LLMS_Blocks_Form_Field_Hidden::get_value( $attrs ) );
+		wp_set_current_user( $user_id );
+		$this->assertEquals( 'LifterLMS', LLMS_Blocks_Form_Field_Hidden::get_value( $attrs ) );
+
+		$attrs['value_key'] = '_private';
+		$this->assertEquals( '', LLMS_Blocks_Form_Field_Hidden::get_value( $attrs ) );
+
+		// Referring page.
+		$attrs = array(
+			'value_source' => 'referer',
+		);
+		$this->assertEquals( '', LLMS_Blocks_Form_Field_Hidden::get_value( $attrs ) );
+		$_SERVER['HTTP_REFERER'] = 'https://example.com/blog/?ref=abc';
+		$this->assertEquals( 'https://example.com/blog/?ref=abc', LLMS_Blocks_Form_Field_Hidden::get_value( $attrs ) );
+
+	}
+
+	/**
+	 * Test render_block().
+	 *
+	 * @since [version]
+	 *
+	 * @return void
+	 */
+	public function test_render_block() {
+
+		$html  = '<input name="utm_source" type="hidden" value="">';
+		$block = array(
+			'blockName' => 'llms/form-field-hidden',
+			'attrs'     => array(
+				'name'           => 'utm_source',
+				'data_store_key' => 'utm_source',
+				'value_source'   => 'query',
+				'value_key'      => 'utm_source',
+			),
+		);
+
+		// Not a hidden field.
+		$this->assertEquals( $html, $this->instance->render_block( $html, array_merge( $block, array( 'blockName' => 'llms/form-field-text' ) ) ) );
+
+		// Value from the query string.
+		$_GET['utm_source'] = 'news$1letter';
+		$this->assertEquals( '<input value="news$1letter" name="utm_source" type="hidden">', $this->instance->render_block( $html, $block ) );
+
+		// Input without a value attribute.
+		$this->assertEquals( '<input value="news$1letter" name="utm_source" type="hidden">', $this->instance->render_block( '<input name="utm_source" type="hidden">', $block ) );
+
+		// Submitted value.
+		$_POST['utm_source'] = 'ads';
+		$this->assertEquals( '<input value="ads" name="utm_source" type="hidden">', $this->instance->render_block( $html, $block ) );
+		$_POST = array();
+
+		// Value stored for the current user.
+		$user_id = $this->factory->user->create();
+		update_user_meta( $user_id, 'utm_source', 'social' );
+		wp_set_current_user( $user_id );
+		$this->assertEquals( '<input value="social" name="utm_source" type="hidden">', $this->instance->render_block( $html, $block ) );
+
+	}
+
+}
@@ -0,0 +1,137 @@
+<?php
+/**
+ * Test LLMS_Blocks_Post_Access
+ *
+ * @package LifterLMS_Blocks/Tests
+ *
+ * @group post_access
+ *
+ * @since [version]
+ * @version [version]
+ */
+class LLMS_Blocks_Test_Post_Access extends LLMS_Blocks_Unit_Test_Case {
+
+	/**
+	 * Setup the test case.
+	 *
+	 * @since [version]
+	 *
+	 * @return void
+	 */
+	public function set_up() {
+		parent::set_up();
+		$this->instance = new LLMS_Blocks_Post_Access();
+	}
+
+	/**
+	 * Test course and membership meta fields are exposed to the REST API.
+	 *
+	 * @since [version]
+	 *
+	 * @return void
+	 */
+	public function test_register_meta() {
+
+		foreach ( array( 'course', 'llms_membership' ) as $post_type ) {
+
+			$registered = get_registered_meta_keys( 'post', $post_type );
+
+			foreach ( array_keys( $this->instance->get_meta_fields() ) as $key ) {
+				$this->assertArrayHasKey( $key, $registered, $post_type . ' ' . $key );
+				$this->assertTrue( $registered[ $key ]['show_in_rest'], $post_type . ' ' . $key );
+			}
+		}
+
+	}
+
+	/**
+	 * Test fields edited by the panel are removed from the metaboxes in the block editor.
+	 *
+	 * @since [version]
+	 *
+	 * @return void
+	 */
+	public function test_remove_metabox_fields() {
+
+		$tabs = array(
+			array(
+				'title'  => 'General',
+				'fields' => array(
+					array( 'id' => '_llms_length' ),
+					array( 'id' => '_llms_capacity' ),
+					array( 'type' => 'custom-html' ),
+				),
+			),
+			array(
+				'title'  => 'Restrictions',
+				'fields' => array(
+					array( 'id' => '_llms_enrollment_period' ),
+					array( 'id' => '_llms_enrollment_opens_date' ),
+				),
+			),
+		);
+
+		// No post.
+		$this->assertEquals( $tabs, $this->instance->remove_metabox_fields( $tabs ) );
+
+		global $post;
+		$post = get_post( $this->factory->course->create( array( 'sections' => 0 ) ) );
+
+		$this->assertEquals(
+			array(
+				array(
+					'title'  => 'General',
+					'fields' => array(
+						array( 'id' => '_llms_length' ),
+						array( 'type' => 'custom-html' ),
+					),
+				),
+			),
+			$this->instance->remove_metabox_fields( $tabs )
+		);
+
+		// Classic editor.
+		add_filter( 'llms_blocks_is_classic_enabled_for_post', '__return_true' );
+		$this->assertEquals( $tabs, $this->instance->remove_metabox_fields( $tabs ) );
+		remove_filter( 'llms_blocks_is_classic_enabled_for_post', '__return_true' );
+
+		$post = null;
+
+	}
+
+	/**
+	 * Test dates are stored in the format used by the course metabox.
+	 *
+	 * @since [version]
+	 *
+	 * @return void
+	 */
+	public function test_sanitize_date() {
+
+		$this->assertEquals( '', $this->instance->sanitize_date( '' ) );
+		$this->assertEquals( '', $this->instance->sanitize_date( 'not a date' ) );
+		$this->assertEquals( '01/31/2022 09:30 PM', $this->instance->sanitize_date( '2022-01-31T21:30:00' ) );
+		$this->assertEquals( '01/31/2022 09:30 PM', $this->instance->sanitize_date( '01/31/2022 09:30 PM' ) );
+
+	}
+
+	/**
+	 * Test meta values are sanitized when saved.
+	 *
+	 * @since [version]
+	 *
+	 * @return void
+	 */
+	public function test_update_meta() {
+
+		$id = $this->factory->course->create( array( 'sections' => 0 ) );
+
+		update_post_meta( $id, '_llms_start_date', '2022-01-31T09:00:00' );
+		$this->assertEquals( '01/31/2022 09:00 AM', get_post_meta( $id, '_llms_start_date', true ) );
+
+		update_post_meta( $id, '_llms_capacity', '-25' );
+		$this->assertEquals( 25, get_post_meta( $id, '_llms_capacity', true ) );
+
+	}
+
+}
@@ -0,0 +1,154 @@
+<?php
+/**
+ * Test LLMS_Blocks_Post_Visibility class & methods.
+ *
+ * @package LifterLMS_Blocks/Tests
+ *
+ * @group post_visibility
+ *
+ * @since [version]
+ */
+class LLMS_Blocks_Test_Post_Visibility extends LLMS_Blocks_Unit_Test_Case {
+
+	public function set_up() {
+
+		parent::set_up();
+		$this->main = new LLMS_Blocks_Post_Visibility();
+
+	}
+
+	/**
+	 * Test scheduling a catalog visibility change.
+	 *
+	 * @since [version]
+	 *
+	 * @return void
+	 */
+	public function test_schedule_callbacks() {
+
+		wp_set_current_user( $this->factory->user->create( array( 'role' => 'administrator' ) ) );
+
+		$id  = $this->factory->course->create( array( 'sections' => 0 ) );
+		$arr = compact( 'id' );
+		$obj = get_post( $id );
+
+		// Nothing scheduled.
+		$this->assertEquals( array( 'visibility' => '', 'date' => '' ), $this->main->get_schedule_callback( $arr, null ) );
+
+		// Schedule a change.
+		$date  = wp_date( 'Y-m-d\TH:i:s', time() + DAY_IN_SECONDS );
+		$value = array(
+			'visibility' => 'catalog_search',
+			'date'       => $date,
+		);
+		$this->assertNull( $this->main->update_schedule_callback( $value, $obj, 'visibility_schedule' ) );
+		$this->assertEquals( $value, $this->main->get_schedule_callback( $arr, null ) );
+		$this->assertEquals( get_gmt_from_date( $date, 'U' ), wp_next_scheduled( LLMS_Blocks_Post_Visibility::SCHEDULE_HOOK, array( $id ) ) );
+
+		// Invalid visibility removes the scheduled change.
+		$this->main->update_schedule_callback( array( 'visibility' => 'fake', 'date' => $date ), $obj, 'visibility_schedule' );
+		$this->assertEquals( array( 'visibility' => '', 'date' => '' ), $this->main->get_schedule_callback( $arr, null ) );
+		$this->assertFalse( wp_next_scheduled( LLMS_Blocks_Post_Visibility::SCHEDULE_HOOK, array( $id ) ) );
+
+		// No permission.
+		wp_set_current_user( $this->factory->student->create() );
+		$this->assertWPError( $this->main->update_schedule_callback( $value, $obj, 'visibility_schedule' ) );
+
+	}
+
+	/**
+	 * Test applying a scheduled catalog visibility change.
+	 *
+	 * @since [version]
+	 *
+	 * @return void
+	 */
+	public function test_apply_scheduled_visibility() {
+
+		$course  = $this->factory->course->create_and_get( array( 'sections' => 0 ) );
+		$product = $course->get_product();
+		$id      = $course->get( 'id' );
+		$product->set_catalog_visibility( 'hidden' );
+
+		// Not yet due.
+		update_post_meta( $id, '_llms_scheduled_visibility', 'catalog' );
+		update_post_meta( $id, '_llms_scheduled_visibility_date', wp_date( 'Y-m-d\TH:i:s', time() + HOUR_IN_SECONDS ) );
+		do_action( LLMS_Blocks_Post_Visibility::SCHEDULE_HOOK, $id );
+		$this->assertEquals( 'hidden', $product->get_catalog_visibility() );
+		$this->assertEquals( array( 'hidden' ), wp_get_object_terms( $id, LLMS_Blocks_Post_Visibility::TAXONOMY, array( 'fields' => 'names' ) ) );
+
+		// Due.
+		update_post_meta( $id, '_llms_scheduled_visibility_date', wp_date( 'Y-m-d\TH:i:s', time() - HOUR_IN_SECONDS ) );
+		do_action( LLMS_Blocks_Post_Visibility::SCHEDULE_HOOK, $id );
+		$this->assertEquals( 'catalog', $product->get_catalog_visibility() );
+		$this->assertEquals( array( 'catalog' ), wp_get_object_terms( $id, LLMS_Blocks_Post_Visibility::TAXONOMY, array( 'fields' => 'names' ) ) );
+		$this->assertEmpty( get_post_meta( $id, '_llms_scheduled_visibility', true ) );
+		$this->assertEmpty( get_post_meta( $id, '_llms_scheduled_visibility_date', true ) );
+
+	}
+
+	/**
+	 * Test retrieving and updating lesson visibility.
+	 *
+	 * @since [version]
+	 *
+	 * @return void
+	 */
+	public function test_lesson_visibility_callbacks() {
+
+		wp_set_current_user( $this->factory->user->create( array( 'role' => 'administrator' ) ) );
+
+		$id  = $this->factory->post->create( array( 'post_type' => 'lesson' ) );
+		$arr = compact( 'id' );
+		$obj = get_post( $id );
+
+		// Default.
+		$this->assertEquals( 'catalog_search', $this->main->get_callback( $arr, null ) );
+
+		// Hidden.
+		$this->assertNull( $this->main->update_callback( 'hidden', $obj, 'visibility' ) );
+		$this->assertEquals( 'hidden', $this->main->get_callback( $arr, null ) );
+
+		// Options which don't apply to lessons are ignored.
+		$this->main->update_callback( 'catalog', $obj, 'visibility' );
+		$this->assertEquals( 'hidden', $this->main->get_callback( $arr, null ) );
+
+		$this->main->update_callback( 'catalog_search', $obj, 'visibility' );
+		$this->assertEquals( 'catalog_search', $this->main->get_callback( $arr, null ) );
+
+	}
+
+	/**
+	 * Test hidden lessons are excluded from search results.
+	 *
+	 * @since [version]
+	 *
+	 * @return void
+	 */
+	public function test_exclude_hidden_lessons() {
+
+		$visible = $this->factory->post->create( array( 'post_type' => 'lesson', 'post_title' => 'Searchable Lesson' ) );
+		$hidden  = $this->factory->post->create( array( 'post_type' => 'lesson', 'post_title' => 'Searchable Lesson' ) );
+		wp_set_object_terms( $hidden, 'hidden', LLMS_Blocks_Post_Visibility::TAXONOMY );
+
+		$this->go_to( home_url( '/?s=Searchable&post_type=lesson' ) );
+
+		$ids = wp_list_pluck( $GLOBALS['wp_query']->posts, 'ID' );
+		$this->assertContains( $visible, $ids );
+		$this->assertNotContains( $hidden, $ids );
+
+		// Hidden lessons are excluded with a tax query instead of a list of IDs.
+		$this->assertEmpty( $GLOBALS['wp_query']->get( 'post__not_in' ) );
+		$this->assertContains(
+			array(
+				'taxonomy' => LLMS_Blocks_Post_Visibility::TAXONOMY,
+				'field'    => 'name',
+				'terms'    => array( 'hidden', 'catalog' ),
+				'operator' => 'NOT IN',
+			),
+			$GLOBALS['wp_query']->get( 'tax_query' )
+		);
+
+	}
+
+}
@@ -6,6 +6,17 @@
  *
  * @since 1.0.0
  * @since 1.6.0 Add tests for `logged_out` and `logged_in` visiblity settings.
+ * @since [version] Add tests for scheduled visibility.
+ *              Add tests for `enrolled_days`, `progress`, and `completed` visibility.
+ *              Add tests for quiz result visibility.
+ *              Add tests for composite visibility rules.
+ *              Add tests for fallback content.
+ *              Add tests for `role` and `capability` visibility.
+ *              Add tests for `user_field` visibility.
+ *              Add tests for dynamic block visibility opt-in.
+ *              Add tests for `access_plan` visibility.
+ *              Add tests for enrollment status visibility.
+ *              Add tests for the lesson parent course REST field.
  */
 class LLMS_Blocks_Test_Visibility extends LLMS_Blocks_Unit_Test_Case {
 
@@ -653,6 +664,726 @@ class LLMS_Blocks_Test_Visibility extends LLMS_Blocks_Unit_Test_Case {
 
 	}
 
+	/**
+	 * Test scheduled (date window) block visibility
+	 *
+	 * @since [version]
+	 *
+	 * @return void
+	 */
+	public function test_visibility_schedule() {
+
+		llms_tests_mock_current_time( '2022-06-15 12:00:00' );
+
+		// Starts in the future.
+		$post = $this->create_post( array(
+			'llms_visibility_start' => '2022-06-16T00:00:00',
+		) );
+		$this->assertPostContentEquals( '', $post->post_content );
+
+		// Started in the past.
+		$post = $this->create_post( array(
+			'llms_visibility_start' => '2022-06-14T00:00:00',
+		) );
+		$this->assertPostContentEquals( $post->post_content, $post->post_content );
+
+		// Ended in the past.
+		$post = $this->create_post( array(
+			'llms_visibility_end' => '2022-06-15T11:59:00',
+		) );
+		$this->assertPostContentEquals( '', $post->post_content );
+
+		// Ends in the future.
+		$post = $this->create_post( array(
+			'llms_visibility_end' => '2022-06-15T12:01:00',
+		) );
+		$this->assertPostContentEquals( $post->post_content, $post->post_content );
+
+		// Inside the window.
+		$post = $this->create_post( array(
+			'llms_visibility_start' => '2022-06-01T00:00:00',
+			'llms_visibility_end'   => '2022-06-30T00:00:00',
+		) );
+		$this->assertPostContentEquals( $post->post_content, $post->post_content );
+
+		// Inside the window but the visibility settings don't match the current user.
+		$post = $this->create_post( array(
+			'llms_visibility'       => 'logged_in',
+			'llms_visibility_start' => '2022-06-01T00:00:00',
+			'llms_visibility_end'   => '2022-06-30T00:00:00',
+		) );
+		$this->assertPostContentEquals( '', $post->post_content );
+
+		// Outside the window but the visibility settings match the current user.
+		wp_set_current_user( $this->factory->student->create() );
+		$post = $this->create_post( array(
+			'llms_visibility'       => 'logged_in',
+			'llms_visibility_start' => '2022-07-01T00:00:00',
+		) );
+		$this->assertPostContentEquals( '', $post->post_content );
+
+		llms_tests_reset_current_time();
+
+	}
+
+	/**
+	 * Test block visibility for the "enrolled_days" setting
+	 *
+	 * @since [version]
+	 *
+	 * @return void
+	 */
+	public function test_visibility_enrolled_days() {
+
+		llms_tests_mock_current_time( '2022-06-01 12:00:00' );
+
+		$student_id = $this->factory->student->create();
+
+		// Current course.
+		$post = $this->create_post( array(
+			'llms_visibility'      => 'enrolled_days',
+			'llms_visibility_in'   => 'this',
+			'llms_visibility_days' => 3,
+		), 'course' );
+
+		// Logged out.
+		$this->assertPostContentEquals( '', $post->post_content );
+		// Logged in, not enrolled.
+		wp_set_current_user( $student_id );
+		$this->assertPostContentEquals( '', $post->post_content );
+		// Enrolled today.
+		llms_enroll_student( $student_id, $post->ID );
+		$this->assertPostContentEquals( '', $post->post_content );
+		// Two days later.
+		llms_tests_mock_current_time( '2022-06-03 12:00:00' );
+		$this->assertPostContentEquals( '', $post->post_content );
+		// Three days later.
+		llms_tests_mock_current_time( '2022-06-04 12:00:00' );
+		$this->assertPostContentEquals( $post->post_content, $post->post_content );
+		// Unenrolled.
+		llms_unenroll_student( $student_id, $post->ID );
+		$this->assertPostContentEquals( '', $post->post_content );
+
+		// Selected courses (any).
+		llms_tests_mock_current_time( '2022-06-01 12:00:00' );
+		$list = $this->get_posts_array( 2 );
+		$post = $this->create_post( array(
+			'llms_visibility'       => 'enrolled_days',
+			'llms_visibility_in'    => 'list_any',
+			'llms_visibility_posts' => $this->encode_posts_array( $list ),
+			'llms_visibility_days'  => 1,
+		) );
+
+		llms_enroll_student( $student_id, $list[0]['id'] );
+		$this->assertPostContentEquals( '', $post->post_content );
+		llms_tests_mock_current_time( '2022-06-02 12:00:00' );
+		llms_enroll_student( $student_id, $list[1]['id'] );
+		$this->assertPostContentEquals( $post->post_content, $post->post_content );
+
+		// Selected courses (all).
+		$post = $this->create_post( array(
+			'llms_visibility'       => 'enrolled_days',
+			'llms_visibility_in'    => 'list_all',
+			'llms_visibility_posts' => $this->encode_posts_array( $list ),
+			'llms_visibility_days'  => 1,
+		) );
+
+		// Enrolled in the second course today.
+		$this->assertPostContentEquals( '', $post->post_content );
+		// Enrolled in both for at least one day.
+		llms_tests_mock_current_time( '2022-06-03 12:00:00' );
+		$this->assertPostContentEquals( $post->post_content, $post->post_content );
+
+		llms_tests_reset_current_time();
+
+	}
+
+	/**
+	 * Test block visibility for the "progress" setting
+	 *
+	 * @since [version]
+	 *
+	 * @return void
+	 */
+	public function test_visibility_progress() {
+
+		$student_id = $this->factory->student->create();
+		$course_id  = $this->factory->course->create( array( 'sections' => 1, 'lessons' => 4, 'quizzes' => 0 ) );
+
+		$post = $this->create_post( array(
+			'llms_visibility'          => 'progress',
+			'llms_visibility_in'       => 'list_all',
+			'llms_visibility_posts'    => $this->encode_posts_array( array( array( 'id' => $course_id, 'type' => 'course' ) ) ),
+			'llms_visibility_progress' => 50,
+		) );
+
+		// Logged out.
+		$this->assertPostContentEquals( '', $post->post_content );
+		// Logged in, not enrolled.
+		wp_set_current_user( $student_id );
+		$this->assertPostContentEquals( '', $post->post_content );
+		// Enrolled, no progress.
+		llms_enroll_student( $student_id, $course_id );
+		$this->assertPostContentEquals( '', $post->post_content );
+		// 25% progress.
+		$this->complete_courses_for_student( $student_id, $course_id, 25 );
+		$this->assertPostContentEquals( '', $post->post_content );
+		// 50% progress.
+		$this->complete_courses_for_student( $student_id, $course_id, 50 );
+		$this->assertPostContentEquals( $post->post_content, $post->post_content );
+
+	}
+
+	/**
+	 * Test block visibility for the "completed" setting
+	 *
+	 * @since [version]
+	 *
+	 * @return void
+	 */
+	public function test_visibility_completed() {
+
+		$student_id = $this->factory->student->create();
+		$course_ids = $this->factory->course->create_many( 2, array( 'sections' => 1, 'lessons' => 2, 'quizzes' => 0 ) );
+		$list       = array(
+			array( 'id' => $course_ids[0], 'type' => 'course' ),
+			array( 'id' => $course_ids[1], 'type' => 'course' ),
+		);
+
+		$all = $this->create_post( array(
+			'llms_visibility'       => 'completed',
+			'llms_visibility_in'    => 'list_all',
+			'llms_visibility_posts' => $this->encode_posts_array( $list ),
+		) );
+		$any = $this->create_post( array(
+			'llms_visibility'       => 'completed',
+			'llms_visibility_in'    => 'list_any',
+			'llms_visibility_posts' => $this->encode_posts_array( $list ),
+		) );
+
+		// Logged out.
+		$this->assertPostContentEquals( '', $all->post_content );
+		$this->assertPostContentEquals( '', $any->post_content );
+
+		// Nothing completed.
+		wp_set_current_user( $student_id );
+		$this->assertPostContentEquals( '', $all->post_content );
+		$this->assertPostContentEquals( '', $any->post_content );
+
+		// Partially completed.
+		$this->complete_courses_for_student( $student_id, $course_ids[0], 50 );
+		$this->assertPostContentEquals( '', $all->post_content );
+		$this->assertPostContentEquals( '', $any->post_content );
+
+		// One completed.
+		$this->complete_courses_for_student( $student_id, $course_ids[0], 100 );
+		$this->assertPostContentEquals( '', $all->post_content );
+		$this->assertPostContentEquals( $any->post_content, $any->post_content );
+
+		// Both completed.
+		$this->complete_courses_for_student( $student_id, $course_ids[1], 100 );
+		$this->assertPostContentEquals( $all->post_content, $all->post_content );
+		$this->assertPostContentEquals( $any->post_content, $any->post_content );
+
+	}
+
+	/**
+	 * Test block visibility for the "completed" setting with selected lessons
+	 *
+	 * @since [version]
+	 *
+	 * @return void
+	 */
+	public function test_visibility_completed_lessons() {
+
+		$student_id = $this->factory->student->create();
+		$course     = $this->factory->course->create_and_get( array( 'sections' => 1, 'lessons' => 3, 'quizzes' => 0 ) );
+		$lessons    = $course->get_lessons( 'ids' );
+		$list       = array(
+			array( 'id' => $lessons[0], 'type' => 'lesson' ),
+			array( 'id' => $lessons[1], 'type' => 'lesson' ),
+		);
+
+		$post = $this->create_post( array(
+			'llms_visibility'       => 'completed',
+			'llms_visibility_in'    => 'list_all',
+			'llms_visibility_posts' => $this->encode_posts_array( $list ),
+		) );
+
+		// Logged out.
+		$this->assertPostContentEquals( '', $post->post_content );
+
+		// No lessons completed.
+		wp_set_current_user( $student_id );
+		llms_enroll_student( $student_id, $course->get( 'id' ) );
+		$this->assertPostContentEquals( '', $post->post_content );
+
+		// One of the lessons completed.
+		llms_mark_complete( $student_id, $lessons[0], 'lesson' );
+		$this->assertPostContentEquals( '', $post->post_content );
+
+		// An unrelated lesson completed.
+		llms_mark_complete( $student_id, $lessons[2], 'lesson' );
+		$this->assertPostContentEquals( '', $post->post_content );
+
+		// Both lessons completed.
+		llms_mark_complete( $student_id, $lessons[1], 'lesson' );
+		$this->assertPostContentEquals( $post->post_content, $post->post_content );
+
+	}
+
+	/**
+	 * Test block visibility for the quiz result settings using the current lesson's quiz
+	 *
+	 * @since [version]
+	 *
+	 * @return void
+	 */
+	public function test_visibility_quiz_results() {
+
+		$student_id = $this->factory->student->create();
+		$course     = $this->factory->course->create_and_get( array( 'sections' => 1, 'lessons' => 1, 'quizzes' => 0 ) );
+
+		$posts = array();
+		foreach ( array( 'quiz_passed', 'quiz_failed', 'quiz_not_attempted' ) as $visibility ) {
+			$posts[ $visibility ] = $this->create_post( array(
+				'llms_visibility'    => $visibility,
+				'llms_visibility_in' => 'this',
+			), 'lesson' );
+		}
+
+		// Each block is rendered in the context of its own lesson, all of which use the same quiz.
+		$quiz_id = $this->factory->post->create( array( 'post_type' => 'llms_quiz' ) );
+		foreach ( $posts as $post ) {
+			llms_get_post( $post )->set( 'quiz', $quiz_id );
+		}
+
+		$assert_visible = function( $visible ) use ( $posts ) {
+			foreach ( $posts as $visibility => $post ) {
+				$GLOBALS['post'] = $post;
+				$expected        = in_array( $visibility, $visible, true ) ? $post->post_content : '';
+				$this->assertPostContentEquals( $expected, $post->post_content );
+			}
+		};
+
+		// Logged out.
+		$assert_visible( array() );
+
+		// No attempts.
+		wp_set_current_user( $student_id );
+		llms_enroll_student( $student_id, $course->get( 'id' ) );
+		$assert_visible( array( 'quiz_not_attempted' ) );
+
+		// Failed attempt.
+		$attempt = LLMS_Quiz_Attempt::init( $quiz_id, $posts['quiz_passed']->ID, $student_id );
+		$attempt->set( 'status', 'fail' );
+		$attempt->set( 'grade', 10 );
+		$attempt->save();
+		$assert_visible( array( 'quiz_failed' ) );
+
+		// Passing attempt.
+		$attempt = LLMS_Quiz_Attempt::init( $quiz_id, $posts['quiz_passed']->ID, $student_id );
+		$attempt->set( 'status', 'pass' );
+		$attempt->set( 'grade', 90 );
+		$attempt->save();
+		$assert_visible( array( 'quiz_passed' ) );
+
+	}
+
+	/**
+	 * Test block visibility using composite visibility rules
+	 *
+	 * @since [version]
+	 *
+	 * @return void
+	 */
+	public function test_visibility_rules() {
+
+		$student_id    = $this->factory->student->create();
+		$course_id     = $this->factory->post->create( array( 'post_type' => 'course' ) );
+		$membership_id = $this->factory->post->create( array( 'post_type' => 'llms_membership' ) );
+
+		$enrolled_in_course = array(
+			'visibility' => 'enrolled',
+			'in'         => 'list_all',
+			'posts'      => array( array( 'id' => $course_id, 'type' => 'course' ) ),
+		);
+		$not_enrolled_in_membership = array(
+			'visibility' => 'not_enrolled',
+			'in'         => 'list_all',
+			'posts'      => array( array( 'id' => $membership_id, 'type' => 'llms_membership' ) ),
+		);
+
+		// Enrolled in the course AND not enrolled in the membership.
+		$and = $this->create_post( array(
+			'llms_visibility'       => 'all',
+			'llms_visibility_rules' => wp_json_encode( array(
+				'relation' => 'and',
+				'rules'    => array( $enrolled_in_course, $not_enrolled_in_membership ),
+			) ),
+		) );
+
+		// Logged out OR (enrolled in the course AND enrolled in the membership).
+		$or = $this->create_post( array(
+			'llms_visibility'       => 'all',
+			'llms_visibility_rules' => wp_json_encode( array(
+				'relation' => 'or',
+				'rules'    => array(
+					array( 'visibility' => 'logged_out' ),
+					array(
+						'relation' => 'and',
+						'rules'    => array(
+							$enrolled_in_course,
+							array_merge( $not_enrolled_in_membership, array( 'visibility' => 'enrolled' ) ),
+						),
+					),
+				),
+			) ),
+		) );
+
+		// Empty rule sets don't restrict the block.
+		$empty = $this->create_post( array(
+			'llms_visibility'       => 'all',
+			'llms_visibility_rules' => wp_json_encode( array(
+				'relation' => 'and',
+				'rules'    => array(),
+			) ),
+		) );
+
+		// Logged out.
+		$this->assertPostContentEquals( '', $and->post_content );
+		$this->assertPostContentEquals( $or->post_content, $or->post_content );
+		$this->assertPostContentEquals( $empty->post_content, $empty->post_content );
+
+		// Logged in, no enrollments.
+		wp_set_current_user( $student_id );
+		$this->assertPostContentEquals( '', $and->post_content );
+		$this->assertPostContentEquals( '', $or->post_content );
+		$this->assertPostContentEquals( $empty->post_content, $empty->post_content );
+
+		// Enrolled in the course.
+		llms_enroll_student( $student_id, $course_id );
+		$this->assertPostContentEquals( $and->post_content, $and->post_content );
+		$this->assertPostContentEquals( '', $or->post_content );
+
+		// Enrolled in the course and the membership.
+		llms_enroll_student( $student_id, $membership_id );
+		$this->assertPostContentEquals( '', $and->post_content );
+		$this->assertPostContentEquals( $or->post_content, $or->post_content );
+
+	}
+
+	/**
+	 * Test fallback content is displayed in place of hidden blocks
+	 *
+	 * @since [version]
+	 *
+	 * @return void
+	 */
+	public function test_visibility_fallback() {
+
+		$post = $this->create_post( array(
+			'llms_visibility'          => 'logged_in',
+			'llms_visibility_fallback' => 'Enroll to <strong>unlock</strong> this video<script>alert(1);</script>',
+		) );
+
+		// Logged out.
+		$this->assertPostContentEquals( '<div class="llms-block-visibility-fallback">' . wpautop( 'Enroll to <strong>unlock</strong> this videoalert(1);' ) . '</div>', $post->post_content );
+
+		// Logged in.
+		wp_set_current_user( $this->factory->user->create() );
+		$this->assertPostContentEquals( $post->post_content, $post->post_content );
+
+		// A visible block rendering empty output doesn't display the fallback content.
+		$block = array(
+			'blockName' => 'core/paragraph',
+			'attrs'     => array(
+				'llms_visibility'          => 'logged_in',
+				'llms_visibility_fallback' => 'Enroll to unlock this video',
+			),
+		);
+		$main = new LLMS_Blocks_Visibility();
+		$this->assertEquals( '', $main->maybe_filter_block( '', $block ) );
+
+	}
+
+	/**
+	 * Test block visibility for the "role" and "capability" settings
+	 *
+	 * @since [version]
+	 *
+	 * @return void
+	 */
+	public function test_visibility_role_and_capability() {
+
+		$role = $this->create_post( array(
+			'llms_visibility'       => 'role',
+			'llms_visibility_roles' => wp_json_encode( array( 'instructor', 'instructors_assistant' ) ),
+		) );
+		$cap  = $this->create_post( array(
+			'llms_visibility'            => 'capability',
+			'llms_visibility_capability' => 'edit_posts',
+		) );
+
+		// Logged out.
+		$this->assertPostContentEquals( '', $role->post_content );
+		$this->assertPostContentEquals( '', $cap->post_content );
+
+		// Student.
+		wp_set_current_user( $this->factory->student->create() );
+		$this->assertPostContentEquals( '', $role->post_content );
+		$this->assertPostContentEquals( '', $cap->post_content );
+
+		// Instructor's assistant.
+		wp_set_current_user( $this->factory->user->create( array( 'role' => 'instructors_assistant' ) ) );
+		$this->assertPostContentEquals( $role->post_content, $role->post_content );
+
+		// Editor.
+		wp_set_current_user( $this->factory->user->create( array( 'role' => 'editor' ) ) );
+		$this->assertPostContentEquals( '', $role->post_content );
+		$this->assertPostContentEquals( $cap->post_content, $cap->post_content );
+
+	}
+
+	/**
+	 * Test block visibility for the "user_field" setting
+	 *
+	 * @since [version]
+	 *
+	 * @return void
+	 */
+	public function test_visibility_user_field() {
+
+		$country   = $this->create_post( array(
+			'llms_visibility'       => 'user_field',
+			'llms_visibility_field' => 'llms_billing_country',
+			'llms_visibility_value' => 'CA',
+		) );
+		$not_empty = $this->create_post( array(
+			'llms_visibility'          => 'user_field',
+			'llms_visibility_field'    => 'llms_billing_country',
+			'llms_visibility_operator' => 'not_empty',
+		) );
+		$checkbox  = $this->create_post( array(
+			'llms_visibility'          => 'user_field',
+			'llms_visibility_field'    => 'custom_checkbox',
+			'llms_visibility_operator' => 'contains',
+			'llms_visibility_value'    => 'option_2',
+		) );
+
+		// Logged out.
+		$this->assertPostContentEquals( '', $country->post_content );
+		$this->assertPostContentEquals( '', $not_empty->post_content );
+		$this->assertPostContentEquals( '', $checkbox->post_content );
+
+		// No stored values.
+		$uid = $this->factory->student->create();
+		wp_set_current_user( $uid );
+		$this->assertPostContentEquals( '', $country->post_content );
+		$this->assertPostContentEquals( '', $not_empty->post_content );
+		$this->assertPostContentEquals( '', $checkbox->post_content );
+
+		// Values don't match.
+		update_user_meta( $uid, 'llms_billing_country', 'US' );
+		update_user_meta( $uid, 'custom_checkbox', array( 'option_1', 'option_3' ) );
+		$this->assertPostContentEquals( '', $country->post_content );
+		$this->assertPostContentEquals( $not_empty->post_content, $not_empty->post_content );
+		$this->assertPostContentEquals( '', $checkbox->post_content );
+
+		// Values match.
+		update_user_meta( $uid, 'llms_billing_country', 'CA' );
+		update_user_meta( $uid, 'custom_checkbox', array( 'option_1', 'option_2' ) );
+		$this->assertPostContentEquals( $country->post_content, $country->post_content );
+		$this->assertPostContentEquals( $checkbox->post_content, $checkbox->post_content );
+
+	}
+
+	/**
+	 * Test block visibility for the "access_plan" setting
+	 *
+	 * @since [version]
+	 *
+	 * @return void
+	 */
+	public function test_visibility_access_plan() {
+
+		$course_id = $this->factory->course->create( array( 'sections' => 0 ) );
+		$plans     = array();
+		foreach ( array( 'basic', 'pro' ) as $plan ) {
+			$plans[ $plan ] = $this->factory->post->create( array(
+				'post_type'  => 'llms_access_plan',
+				'post_title' => $plan,
+				'meta_input' => array(
+					'_llms_product_id' => $course_id,
+				),
+			) );
+		}
+
+		$post = $this->create_post( array(
+			'llms_visibility'       => 'access_plan',
+			'llms_visibility_in'    => 'list_any',
+			'llms_visibility_posts' => wp_json_encode( array( array( 'id' => $course_id ) ) ),
+			'llms_visibility_plans' => wp_json_encode( array( array( 'id' => $plans['pro'], 'title' => 'pro' ) ) ),
+		) );
+
+		// Enroll a student and create an order for the plan.
+		$create_order = function( $uid, $plan_id, $status ) use ( $course_id ) {
+			llms_enroll_student( $uid, $course_id );
+			$this->factory->post->create( array(
+				'post_type'   => 'llms_order',
+				'post_status' => $status,
+				'meta_input'  => array(
+					'_llms_user_id'    => $uid,
+					'_llms_plan_id'    => $plan_id,
+					'_llms_product_id' => $course_id,
+				),
+			) );
+		};
+
+		// Logged out.
+		$this->assertPostContentEquals( '', $post->post_content );
+
+		// Enrolled through the basic plan.
+		$basic = $this->factory->student->create();
+		$create_order( $basic, $plans['basic'], 'llms-completed' );
+		wp_set_current_user( $basic );
+		$this->assertPostContentEquals( '', $post->post_content );
+
+		// Enrolled through the pro plan.
+		$pro = $this->factory->student->create();
+		$create_order( $pro, $plans['pro'], 'llms-active' );
+		wp_set_current_user( $pro );
+		$this->assertPostContentEquals( $post->post_content, $post->post_content );
+
+		// No longer enrolled.
+		llms_unenroll_student( $pro, $course_id );
+		$this->assertPostContentEquals( '', $post->post_content );
+
+		// Order without access.
+		$failed = $this->factory->student->create();
+		$create_order( $failed, $plans['pro'], 'llms-failed' );
+		wp_set_current_user( $failed );
+		$this->assertPostContentEquals( '', $post->post_content );
+
+	}
+
+	/**
+	 * Test block visibility for the enrollment status settings
+	 *
+	 * @since [version]
+	 *
+	 * @return void
+	 */
+	public function test_visibility_enrollment_status() {
+
+		$course_id = $this->factory->course->create( array( 'sections' => 1, 'lessons' => 2, 'quizzes' => 0 ) );
+		$posts     = array();
+		foreach ( array( 'pending', 'expired', 'cancelled', 'completed' ) as $status ) {
+			$posts[ $status ] = $this->create_post( array(
+				'llms_visibility'       => 'enrollment_' . $status,
+				'llms_visibility_in'    => 'list_any',
+				'llms_visibility_posts' => $this->encode_posts_array( array( array( 'id' => $course_id, 'type' => 'course' ) ) ),
+			) );
+		}
+
+		/**
+		 * Assert which of the enrollment status blocks are visible to the current user.
+		 *
+		 * @param string[] $visible Statuses of the blocks expected to be visible.
+		 */
+		$assert_visible = function( $visible ) use ( $posts ) {
+			foreach ( $posts as $status => $post ) {
+				$expected = in_array( $status, $visible, true ) ? $post->post_content : '';
+				$this->assertPostContentEquals( $expected, $post->post_content );
+			}
+		};
+
+		// Logged out.
+		$assert_visible( array() );
+
+		// Enrolled.
+		$student_id = $this->factory->student->create();
+		wp_set_current_user( $student_id );
+		llms_enroll_student( $student_id, $course_id );
+		$assert_visible( array() );
+
+		// Completed.
+		$this->complete_courses_for_student( $student_id, $course_id, 100 );
+		$assert_visible( array( 'completed' ) );
+
+		// Expired.
+		llms_unenroll_student( $student_id, $course_id, 'expired' );
+		$assert_visible( array( 'expired' ) );
+
+		// Cancelled.
+		llms_enroll_student( $student_id, $course_id );
+		llms_unenroll_student( $student_id, $course_id, 'cancelled' );
+		$assert_visible( array( 'cancelled' ) );
+
+		// Pending order.
+		$pending_id = $this->factory->student->create();
+		wp_set_current_user( $pending_id );
+		$this->factory->post->create( array(
+			'post_type'   => 'llms_order',
+			'post_status' => 'llms-pending',
+			'meta_input'  => array(
+				'_llms_user_id'    => $pending_id,
+				'_llms_product_id' => $course_id,
+			),
+		) );
+		$assert_visible( array( 'pending' ) );
+
+	}
+
+	/**
+	 * Test visibility attributes are registered for dynamic blocks which opted in to block visibility
+	 *
+	 * @since [version]
+	 *
+	 * @return void
+	 */
+	public function test_dynamic_block_visibility_opt_in() {
+
+		$render = function() {
+			return '<p>Dynamic</p>';
+		};
+
+		$opt_in  = register_block_type( 'llms-test/opt-in', array(
+			'render_callback' => $render,
+			'supports'        => array( 'llms_visibility' => true ),
+		) );
+		$default = register_block_type( 'llms-test/default', array(
+			'render_callback' => $render,
+		) );
+
+		$this->assertArrayHasKey( 'llms_visibility', $opt_in->attributes );
+		$this->assertArrayHasKey( 'llms_visibility_posts', $opt_in->attributes );
+		$this->assertTrue( empty( $default->attributes['llms_visibility'] ) );
+
+		// Opt-in via filter.
+		$handler = function( $supports, $name ) {
+			return 'llms-test/filtered' === $name ? true : $supports;
+		};
+		add_filter( 'llms_blocks_visibility_dynamic_block_support', $handler, 10, 2 );
+		$filtered = register_block_type( 'llms-test/filtered', array(
+			'render_callback' => $render,
+		) );
+		remove_filter( 'llms_blocks_visibility_dynamic_block_support', $handler, 10 );
+		$this->assertArrayHasKey( 'llms_visibility', $filtered->attributes );
+
+		// Visibility is applied when the block is rendered.
+		$content = '<!-- wp:llms-test/opt-in {"llms_visibility":"logged_in"} /-->';
+		$this->assertPostContentEquals( '', $content );
+
+		wp_set_current_user( $this->factory->user->create() );
+		$this->assertPostContentEquals( '<p>Dynamic</p>', $content );
+
+		unregister_block_type( 'llms-test/opt-in' );
+		unregister_block_type( 'llms-test/default' );
+		unregister_block_type( 'llms-test/filtered' );
+
+	}
+
 	/**
 	 * Test summary
 	 *
@@ -696,4 +1427,21 @@ class LLMS_Blocks_Test_Visibility extends LLMS_Blocks_Unit_Test_Case {
 
 	}
 
+	/**
+	 * Test the lesson parent course REST field callback.
+	 *
+	 * @since [version]
+	 *
+	 * @return void
+	 */
+	public function test_get_parent_course_callback() {
+
+		$main   = new LLMS_Blocks_Visibility();
+		$course = $this->factory->course->create_and_get( array( 'sections' => 1, 'lessons' => 1, 'quizzes' => 0 ) );
+		$lesson = $course->get_lessons( 'ids' )[0];
+
+		$this->assertEquals( $course->get( 'id' ), $main->get_parent_course_callback( array( 'id' => $lesson ) ) );
+
+	}
+
 }
@@ -4,14 +4,14 @@
  * @package LifterLMS_Blocks/Scripts/Dev
  *
  * @since 1.8.0
- * @version 2.4.3
+ * @version [version]
  */
 
 const
 	generate = require( '@lifterlms/scripts/config/webpack.config' ),
 	config   = generate( {
 		css: [ 'blocks' ],
-		js: [ 'blocks', 'blocks-backwards-compat' ],
+		js: [ 'blocks', 'blocks-backwards-compat', 'field-conditions', 'field-file' ],
 	} );
 
 config.module.rules.forEach( rule => {